@@ -1,7 +1,8 @@
-import { useState, useCallback, Suspense, useRef, useEffect } from 'react'
+import { useState, useCallback, Suspense, useRef, useEffect, useMemo, Profiler } from 'react'
 import { Canvas, useFrame, useThree } from '@react-three/fiber'
 import { useGLTF, OrbitControls } from '@react-three/drei'
 import * as THREE from 'three'
+import { clone } from 'three/examples/jsm/utils/SkeletonUtils.js'
 
 // Wallet & Game Context
 import { WalletContextProvider } from './contexts/WalletContext'
@@ -10,70 +11,145 @@ import { GameProvider, useGame } from './contexts/GameContext'
 // Components
 import { WalletButton } from './components/WalletButton'
 import { MarketCapDisplay, MarketCapBadge } from './components/MarketCapDisplay'
+import { MarketCapFeedStatus, MarketCapHistory, MarketCapFeedControls, TierUpNotification, useFeedTierLevel } from './components/MarketCapFeed'
 import { CollectiblesGroup } from './components/Collectible'
+import { CollectibleItems } from './components/CollectibleItems'
+import { QuestLog, QuestNotification } from './components/Quests'
+import { StatsRecorder, AchievementsPanel, AchievementToast } from './components/Achievements'
 import { LockedZoneBarriers } from './components/LockedZoneBarrier'
-import { TierUpNotification } from './components/TierUpNotification'
-import { UnlockPrompt } from './components/UnlockPrompt'
 import { DevPanel } from './components/DevPanel'
+import { TouchControls } from './components/TouchControls'
+import { KeyBindingsPanel } from './components/KeyBindingsPanel'
+import { PerfOverlay, PerfProbe, createPerfStats } from './components/PerfOverlay'
+import { AssetErrorBoundary, AssetErrorNotice } from './components/AssetErrorBoundary'
+import { PlaceholderGround, PlaceholderCharacter, createPlaceholderCharacter } from './components/Placeholders'
+import { MapPortals } from './components/MapPortals'
+import { NpcSkeletons, PlaceholderNpcs } from './components/Npcs'
+import { MapSelectPanel } from './components/MapSelectPanel'
+import { ZoneBanner, KeyLockedBanner, TierLockedBanner } from './components/ZoneBanner'
+import { WorldMap, MinimapFrame, FullMapOverlay, createMapView } from './components/Minimap'
+import { SoundEffects } from './components/SoundEffects'
+import { DayNightCycle, WeatherParticles, WorldClockControls } from './components/Sky'
+import { RemoteSkeletons, PlaceholderRemotePlayers, MultiplayerControls } from './components/Multiplayer'
+import { PerksPanel, PerksControls, useWalletPerks } from './components/Perks'
+import { AudioControls } from './components/AudioControls'
+import { PauseMenu } from './components/PauseMenu'
+import { SaveSlotsPanel } from './components/SaveSlotsPanel'
+import { GraphicsSettingsPanel, AdaptiveQuality, ShadowToggle } from './components/GraphicsSettings'
+import { DevTools, DevToolsButton } from './components/DevTools'
+import { LayoutEditorScene, LayoutEditorCamera, LayoutEditorPanel } from './components/LayoutEditor'
 
 // Utils
-import { COLLECTIBLES } from './utils/collectibles'
-import { getZoneAtPosition, canAccessZone } from './utils/zones'
-
-// Hook to track keyboard input for movement (WASD + Arrow keys)
-function useKeyboardControls() {
-  const keys = useRef({ forward: false, backward: false, left: false, right: false })
-
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      // Prevent default for arrow keys to stop page scrolling
-      if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
-        e.preventDefault()
-      }
-
-      const key = e.key.toLowerCase()
-      // WASD + Arrow keys
-      if (key === 'w' || e.key === 'ArrowUp') keys.current.forward = true
-      if (key === 's' || e.key === 'ArrowDown') keys.current.backward = true
-      if (key === 'a' || e.key === 'ArrowLeft') keys.current.left = true
-      if (key === 'd' || e.key === 'ArrowRight') keys.current.right = true
-    }
-    const handleKeyUp = (e) => {
-      const key = e.key.toLowerCase()
-      if (key === 'w' || e.key === 'ArrowUp') keys.current.forward = false
-      if (key === 's' || e.key === 'ArrowDown') keys.current.backward = false
-      if (key === 'a' || e.key === 'ArrowLeft') keys.current.left = false
-      if (key === 'd' || e.key === 'ArrowRight') keys.current.right = false
-    }
+import { createSkeletonAnimator, EMOTES, HOLDER_EMOTES } from './utils/skeletonAnimator'
+import { createCharacterController } from './utils/characterController'
+import { createCollisionWorld, createCollisionMeshBuilder } from './utils/collisionWorld'
+import { benchmarkCollisionQueries } from './utils/collisionBenchmark'
+import { damp, dampVector3 } from './utils/damping'
+import { createFixedStepper } from './utils/fixedTimestep'
+import { createInputManager, saveBindings, formatKeyCode, DEFAULT_BINDINGS } from './utils/input'
+import { createPlayerStore } from './utils/playerStore'
+import { ASSETS, assetUrl } from './utils/assetManifest'
+import { createAssetLoader, validateAssetManifest } from './utils/assetLoader'
+import { MAPS, DEFAULT_MAP_ID, LEGACY_TOWN_ZONES, mapAssetIds, resolveMap, getMapZonesAtPosition, getMapZoneAtPosition, applyZoneLocks, isZoneOpen, collectiblePoint, collectibleIndex } from './utils/maps'
+import { COLLECTIBLE_TYPES, collectibleType } from './utils/collectibleTypes'
+import { createQuestLog, questGold } from './utils/quests'
+import { createStatsTracker } from './utils/stats'
+import { GREET_DISTANCE } from './utils/npcs'
+import { createZoneTracker } from './utils/zoneTracker'
+import { createWorldClock } from './utils/worldClock'
+import { loadGraphicsSettings, saveGraphicsSettings, resolveQuality, AUTO_START_LEVEL, DEFAULT_GRAPHICS_SETTINGS } from './utils/graphics'
+import { MUSIC_TRACKS, createMusicPlayer, loadSoundEffects, createSoundEvents, loadAudioSettings, saveAudioSettings, DEFAULT_AUDIO_SETTINGS } from './utils/audio'
+import { loadLayout, saveLayout, updateMapLayout } from './utils/layout'
+import { createSave, readSlot, writeSlot, loadActiveSlot, saveActiveSlot } from './utils/saves'
+import { createTransport, createPresence, loadMultiplayerSettings, saveMultiplayerSettings } from './utils/multiplayer'
+import { createMarketCapFeed, createProvider, loadFeedSettings, saveFeedSettings } from './utils/marketCapFeed'
+import { loadPerkSettings, savePerkSettings, equippedCosmetic } from './utils/walletPerks'
+import { applyCosmetics } from './utils/cosmetics'
+
+// Control schemes: 'tank' turns with A/D and moves along the facing direction,
+// 'camera' moves with WASD relative to the third-person camera view
+const CONTROL_SCHEMES = ['tank', 'camera']
+
+// Movement speeds in units/sec
+const WALK_SPEED = 4
+const SPRINT_SPEED = 7.5
+const CROUCH_SPEED = 1.8
+const JUMP_SPEED = 6.5
+const TURN_SPEED = 2.5
+const FACE_TURN_SPEED = 10
+const LOOK_SPEED = 2.5 // Camera orbit, radians/sec at full stick
+
+// Third-person camera
+const MOUSE_SENSITIVITY = 0.0025 // Radians per pixel
+const CAMERA_DISTANCE = 3.5
+const CAMERA_PITCH = 0.5
+const CAMERA_MIN_PITCH = -0.35
+const CAMERA_MAX_PITCH = 1.2
+const CAMERA_PIVOT_HEIGHT = 1.8
+const CAMERA_ZOOM_STEP = 0.5
+const CAMERA_COLLISION_PADDING = 0.2
+const CAMERA_MIN_COLLISION_DISTANCE = 0.4
+const PHOTO_MODE_SPEED = 6
+// Player moves further than this in one frame only when teleported
+const CAMERA_SNAP_DISTANCE = 10
+
+// Smoothing half-lives in seconds (time to close half the gap), independent of frame rate
+const CAMERA_POSITION_HALF_LIFE = 0.14
+const CAMERA_LOOK_AT_HALF_LIFE = 0.11
+const CAMERA_RECENTER_HALF_LIFE = 0.23
+const HEAD_TILT_HALF_LIFE = 0.11
+
+// Simulate player movement in fixed 60 Hz steps, interpolating what is rendered
+const USE_FIXED_TIMESTEP = true
+
+// The placeholder character has no clips; the animator just leaves it in its rest pose
+const NO_ANIMATIONS = []
+
+// Input actions that trigger each emote, holder emotes last
+const PLAYER_EMOTES = [...EMOTES, ...HOLDER_EMOTES]
+const EMOTE_ACTIONS = PLAYER_EMOTES.map((_, i) => `emote${i + 1}`)
+const NO_PERK_EMOTES = []
+
+// How often the gamepad is polled while paused, so Start can resume
+const PAUSED_GAMEPAD_POLL_MS = 100
+
+// Input manager (keyboard + gamepad + touch) attached to the window while mounted
+function useInputManager() {
+  const input = useMemo(() => createInputManager(), [])
+  useEffect(() => input.attach(), [input])
+  return input
+}
 
-    window.addEventListener('keydown', handleKeyDown)
-    window.addEventListener('keyup', handleKeyUp)
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown)
-      window.removeEventListener('keyup', handleKeyUp)
-    }
-  }, [])
+// Polls gamepads once per frame, before anything reads input
+function InputPoller({ input }) {
+  useFrame(() => input.update(), -1)
+  return null
+}
 
-  return keys
+// Animation state machine bound to a loaded skeleton, disposed on unmount
+function useSkeletonAnimator(scene, animations) {
+  const animator = useMemo(() => createSkeletonAnimator(scene, animations), [scene, animations])
+  useEffect(() => () => animator.dispose(), [animator])
+  return animator
 }
 
 // Skeleton for the start screen (rotatable display)
 function StartScreenSkeleton() {
-  const { scene } = useGLTF('/models/Characters_Skeleton.gltf')
+  const { scene, animations } = useGLTF(assetUrl('skeleton'))
   const skeletonRef = useRef()
+  const animator = useSkeletonAnimator(scene, animations)
 
-  useFrame((state) => {
-    if (skeletonRef.current) {
-      // Gentle idle animation
-      skeletonRef.current.position.y = -1.5 + Math.sin(state.clock.elapsedTime * 0.8) * 0.05
-    }
+  useFrame((_, delta) => {
+    // Stand still and play the Idle clip
+    animator.update(delta)
   })
 
   return <primitive ref={skeletonRef} object={scene} scale={1.5} position={[0, -1.5, 0]} rotation={[0, 0, 0]} />
 }
 
 // Animated flame background using doom fire algorithm
-function FlameBackground() {
+// `scale` multiplies the 120x80 fire resolution (graphics quality)
+function FlameBackground({ scale = 1 }) {
   const canvasRef = useRef(null)
 
   useEffect(() => {
@@ -81,8 +157,8 @@ function FlameBackground() {
     const ctx = canvas.getContext('2d')
 
     // Fire dimensions (low res for performance, scaled up)
-    const fireWidth = 120
-    const fireHeight = 80
+    const fireWidth = Math.round(120 * scale)
+    const fireHeight = Math.round(80 * scale)
     const firePixels = new Array(fireWidth * fireHeight).fill(0)
 
     // Fire color palette (36 colors from black to white)
@@ -144,7 +220,7 @@ function FlameBackground() {
 
     animationId = requestAnimationFrame(animate)
     return () => cancelAnimationFrame(animationId)
-  }, [])
+  }, [scale])
 
   return (
     <canvas
@@ -156,7 +232,7 @@ function FlameBackground() {
 }
 
 // Start screen 3D scene
-function StartScreenScene() {
+function StartScreenScene({ onAssetError }) {
   return (
     <>
       <ambientLight intensity={0.5} />
@@ -164,9 +240,16 @@ function StartScreenScene() {
       <pointLight position={[-3, 2, 3]} intensity={6} color="#ff6b35" distance={15} />
       <pointLight position={[3, 2, -3]} intensity={6} color="#ff4500" distance={15} />
 
-      <Suspense fallback={null}>
-        <StartScreenSkeleton />
-      </Suspense>
+      <AssetErrorBoundary
+        assetId="skeleton"
+        label={ASSETS.skeleton.label}
+        onError={onAssetError}
+        fallback={<PlaceholderCharacter scale={1.5} position={[0, -1.5, 0]} />}
+      >
+        <Suspense fallback={null}>
+          <StartScreenSkeleton />
+        </Suspense>
+      </AssetErrorBoundary>
 
       <OrbitControls
         enablePan={false}
@@ -288,8 +371,54 @@ function DocsPage({ onBack }) {
   )
 }
 
+// Start parsing already-downloaded models so the scene's Suspense resolves straight away
+function preloadModels(ids) {
+  ids.filter((id) => ASSETS[id].type === 'gltf').forEach((id) => useGLTF.preload(assetUrl(id)))
+}
+
+// Per-asset status under the loading bar: what's still downloading, and what failed
+function AssetLoadStatus({ loadState, onRetry, onContinue }) {
+  const assets = Object.values(loadState?.assets ?? {})
+  const failed = assets.filter((a) => a.status === 'error')
+  const loading = assets.filter((a) => a.status === 'loading')
+
+  if (failed.length) {
+    return (
+      <div className="flex flex-col items-center gap-2 max-w-sm text-center">
+        {failed.map((asset) => (
+          <p key={asset.label} className="text-red-400 text-sm">
+            {asset.label} failed to load: {asset.error}
+          </p>
+        ))}
+        {!loading.length && (
+          <div className="flex gap-2">
+            <button
+              onClick={onRetry}
+              className="px-4 py-1.5 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white text-sm rounded-lg transition-colors"
+            >
+              Retry
+            </button>
+            <button
+              onClick={onContinue}
+              className="px-4 py-1.5 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white text-sm rounded-lg transition-colors"
+            >
+              Play with placeholders
+            </button>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <p className="text-gray-400 text-sm">
+      {loading.length ? `Loading ${loading.map((a) => a.label).join(', ')}...` : 'Loading...'}
+    </p>
+  )
+}
+
 // Start screen UI overlay
-function StartScreenUI({ onStart, onDocs, isLoading, loadProgress }) {
+function StartScreenUI({ onStart, onDocs, onSettings, onSaves, onAchievements, isLoading, loadState, onRetry, onContinue }) {
   return (
     <div className="absolute inset-0 flex flex-col pointer-events-none">
       {/* Title at top */}
@@ -309,8 +438,8 @@ function StartScreenUI({ onStart, onDocs, isLoading, loadProgress }) {
         <div className="pointer-events-auto">
           {isLoading ? (
             <div className="flex flex-col items-center gap-3">
-              <LoadingBar progress={loadProgress} />
-              <p className="text-gray-400 text-sm">Loading...</p>
+              <LoadingBar progress={loadState?.progress ?? 0} />
+              <AssetLoadStatus loadState={loadState} onRetry={onRetry} onContinue={onContinue} />
             </div>
           ) : (
             <button
@@ -322,8 +451,8 @@ function StartScreenUI({ onStart, onDocs, isLoading, loadProgress }) {
           )}
         </div>
 
-        {/* Right side - Docs button */}
-        <div className="pointer-events-auto">
+        {/* Right side - Docs, settings, saves and achievements buttons */}
+        <div className="pointer-events-auto flex flex-col gap-4">
           <button
             onClick={onDocs}
             disabled={isLoading}
@@ -331,6 +460,25 @@ function StartScreenUI({ onStart, onDocs, isLoading, loadProgress }) {
           >
             Documentation
           </button>
+          <button
+            onClick={onSettings}
+            className="px-10 py-3 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white text-lg font-semibold rounded-2xl transition-all transform hover:scale-105"
+          >
+            Settings
+          </button>
+          <button
+            onClick={onSaves}
+            disabled={isLoading}
+            className="px-10 py-3 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white text-lg font-semibold rounded-2xl transition-all transform hover:scale-105 disabled:opacity-50 disabled:hover:scale-100"
+          >
+            Saves
+          </button>
+          <button
+            onClick={onAchievements}
+            className="px-10 py-3 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white text-lg font-semibold rounded-2xl transition-all transform hover:scale-105"
+          >
+            Achievements
+          </button>
         </div>
       </div>
 
@@ -352,6 +500,32 @@ function StartScreenUI({ onStart, onDocs, isLoading, loadProgress }) {
   )
 }
 
+// Shows the current map; opens the map select screen
+function TravelButton({ mapName, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className="absolute top-16 left-1/2 -translate-x-1/2 bg-black/40 hover:bg-black/60 backdrop-blur-sm px-4 py-1.5 rounded-full border border-white/10 text-white/80 text-xs transition-all z-20"
+    >
+      {mapName} · Travel
+    </button>
+  )
+}
+
+// Progress while the next map's assets load
+function TravelOverlay({ travel, onRetry, onContinue, onCancel }) {
+  return (
+    <div className="absolute inset-0 bg-black/50 backdrop-blur-sm flex flex-col items-center justify-center gap-3 z-30">
+      <p className="text-white text-lg font-semibold">Travelling to {MAPS[travel.to].name}</p>
+      <LoadingBar progress={travel.loadState?.progress ?? 0} />
+      <AssetLoadStatus loadState={travel.loadState} onRetry={onRetry} onContinue={onContinue} />
+      <button onClick={onCancel} className="text-gray-400 hover:text-white text-sm transition-colors">
+        Cancel
+      </button>
+    </div>
+  )
+}
+
 // Pause button for in-game
 function PauseButton({ onPause }) {
   return (
@@ -362,23 +536,65 @@ function PauseButton({ onPause }) {
       <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z" />
       </svg>
-      Menu
+      Pause
     </button>
   )
 }
 
-function Skeleton({ onPositionChange, onRotationChange, townScene, currentTierLevel, onZoneBlocked }) {
-  const { scene } = useGLTF('/models/Characters_Skeleton.gltf')
+// The player: the skeleton glTF with its animation clips. Its own copy, so cosmetics put on it
+// don't turn up on NPCs and remote players cloned from the shared scene.
+function Skeleton(props) {
+  const { scene, animations } = useGLTF(assetUrl('skeleton'))
+  const model = useMemo(() => clone(scene), [scene])
+  return <PlayerCharacter model={model} animations={animations} {...props} />
+}
+
+// Stand-in player used when the skeleton model can't be loaded. Moves the same way, unanimated.
+function PlaceholderSkeleton(props) {
+  const model = useMemo(() => createPlaceholderCharacter(), [])
+  return <PlayerCharacter model={model} animations={NO_ANIMATIONS} {...props} />
+}
+
+function PlayerCharacter({ model: scene, animations, map, input, playerStore, collisionWorld, currentTierLevel, keys, onZoneBlocked, onEmote, zoneTracker, soundEvents, startAt = null, unlockedEmotes = EMOTES, perkEmotes = NO_PERK_EMOTES, cosmetics = null, controlScheme = 'tank', frozen = false, fixedTimestep = USE_FIXED_TIMESTEP }) {
   const skeletonRef = useRef()
   const headBone = useRef()
-  const keys = useKeyboardControls()
-  // Spawn on the road - adjusted position
-  const position = useRef(new THREE.Vector3(8, -3, 0))
-  const rotation = useRef(Math.PI) // Face down the road
-  const walkPhase = useRef(0)
-  const isMoving = useRef(false)
-  const raycaster = useRef(new THREE.Raycaster())
+  const animator = useSkeletonAnimator(scene, animations)
+  // Where the character first appears: a loaded save's transform, else the map's spawn point
+  const start = startAt ?? map.spawn
+  // Capsule controller; its position is the skeleton's feet
+  const controller = useMemo(() => {
+    const character = createCharacterController({ floorY: map.floorY })
+    character.teleport(new THREE.Vector3(...start.position))
+    // Later map changes respawn in the frame loop instead of rebuilding the controller
+    return character
+  }, [])
+  const position = useRef(controller.position)
+  const rotation = useRef(start.rotation)
+  // The map the character was last spawned on. The component (and its controller, animation
+  // and input state) stays mounted across travel; only the transform is reset.
+  const spawnedOn = useRef(map.id)
   const lastBlockedZone = useRef(null)
+  const cameraForward = useRef(new THREE.Vector3()).current
+  const motion = useRef({ speed: 0, crouching: false })
+  // Fixed-timestep state: the step before the latest one, and what is actually drawn
+  const stepper = useMemo(() => createFixedStepper(), [])
+  const previous = useRef({ position: controller.position.clone(), rotation: start.rotation })
+  const renderPosition = useRef(controller.position.clone())
+  const renderRotation = useRef(start.rotation)
+
+  // Put the character on the current map's spawn point, with nothing to interpolate from
+  const respawn = () => {
+    controller.config.floorY = map.floorY
+    controller.teleport(previous.current.position.fromArray(map.spawn.position))
+    rotation.current = map.spawn.rotation
+    previous.current.rotation = map.spawn.rotation
+    if (lastBlockedZone.current) {
+      lastBlockedZone.current = null
+      onZoneBlocked?.(null)
+    }
+  }
+
+  useEffect(() => animator.onFootstep(() => soundEvents?.emit('footstep', position.current)), [animator, soundEvents])
 
   useEffect(() => {
     if (scene) {
@@ -390,240 +606,525 @@ function Skeleton({ onPositionChange, onRotationChange, townScene, currentTierLe
     }
   }, [scene])
 
-  // Collision detection function
-  const checkCollision = (newPos, townScene) => {
-    if (!townScene) return false
+  // Holder cosmetics (utils/cosmetics.js); the cleanup takes them off again
+  useEffect(() => cosmetics && applyCosmetics(scene, cosmetics), [scene, cosmetics])
+
+  // Advance movement by `dt` seconds: input, turning, jumping, zone locks and collision
+  const simulate = (dt, camera) => {
+    // moveY is forward, moveX is right; analog sticks scale speed by their tilt.
+    // While frozen (photo mode) input drives the free camera instead.
+    const { moveX, moveY } = frozen ? { moveX: 0, moveY: 0 } : input.axes()
+    const crouching = !frozen && input.isDown('crouch') && controller.grounded
+    const baseSpeed = crouching ? CROUCH_SPEED : input.isDown('sprint') ? SPRINT_SPEED : WALK_SPEED
+    const moveSpeed = baseSpeed * dt
+
+    // Horizontal displacement requested this step
+    const move = { x: 0, z: 0 }
+
+    if (controlScheme === 'camera') {
+      // Move relative to where the camera is looking, flattened onto the ground
+      const magnitude = Math.hypot(moveX, moveY)
+      if (magnitude > 0) {
+        camera.getWorldDirection(cameraForward)
+        const yaw = Math.atan2(cameraForward.x, cameraForward.z)
+        // Screen-right is -90° from the view direction around +Y
+        const dirX = (Math.sin(yaw) * moveY - Math.cos(yaw) * moveX) / magnitude
+        const dirZ = (Math.cos(yaw) * moveY + Math.sin(yaw) * moveX) / magnitude
+        move.x = dirX * moveSpeed * magnitude
+        move.z = dirZ * moveSpeed * magnitude
+
+        // Turn to face the direction of travel
+        const facing = Math.atan2(dirX, dirZ)
+        const turn = Math.atan2(Math.sin(facing - rotation.current), Math.cos(facing - rotation.current))
+        rotation.current += THREE.MathUtils.clamp(turn, -FACE_TURN_SPEED * dt, FACE_TURN_SPEED * dt)
+      }
+    } else {
+      // Turn left/right (A/D or Left/Right arrows)
+      rotation.current -= moveX * TURN_SPEED * dt
 
-    // Cast rays in multiple directions to detect walls
-    const directions = [
-      new THREE.Vector3(1, 0, 0),
-      new THREE.Vector3(-1, 0, 0),
-      new THREE.Vector3(0, 0, 1),
-      new THREE.Vector3(0, 0, -1),
-    ]
+      // Move forward/backward relative to facing direction (W/S or Up/Down arrows)
+      const forwardSpeed = moveY > 0 ? moveY * moveSpeed : moveY * moveSpeed * 0.6
+      move.x += Math.sin(rotation.current) * forwardSpeed
+      move.z += Math.cos(rotation.current) * forwardSpeed
+    }
 
-    const origin = new THREE.Vector3(newPos.x, newPos.y + 1, newPos.z)
-    const collisionDistance = 0.5
+    // Jump only leaves the ground when standing on it
+    if (!frozen && input.consume('jump') && !crouching) {
+      controller.jump(JUMP_SPEED)
+    }
 
-    for (const dir of directions) {
-      raycaster.current.set(origin, dir)
-      raycaster.current.far = collisionDistance
+    const previousX = position.current.x
+    const previousZ = position.current.z
 
-      const intersects = raycaster.current.intersectObject(townScene, true)
-      if (intersects.length > 0) {
-        // Check if collision is in movement direction
-        const moveDir = new THREE.Vector3(
-          newPos.x - position.current.x,
-          0,
-          newPos.z - position.current.z
-        ).normalize()
+    // Check zone access before moving; a locked zone turns the move into a slide along its edge
+    const blockingZone = applyZoneLocks(map, position.current, move, currentTierLevel, keys)
 
-        if (moveDir.dot(dir) > 0.5) {
-          return true // Collision detected
-        }
+    if (blockingZone) {
+      // Blocked by locked zone
+      if (lastBlockedZone.current !== blockingZone.id) {
+        lastBlockedZone.current = blockingZone.id
+        onZoneBlocked?.(blockingZone)
       }
+    } else if (lastBlockedZone.current) {
+      // Clear blocked zone when not blocked
+      lastBlockedZone.current = null
+      onZoneBlocked?.(null)
     }
-    return false
-  }
-
-  useFrame((state, delta) => {
-    if (!skeletonRef.current) return
 
-    const moveSpeed = 4 * delta
-    const turnSpeed = 2.5 * delta
-    let moving = false
+    // Slide along walls, step up ledges and follow the ground
+    controller.move(move, dt, collisionWorld)
+    position.current.x = THREE.MathUtils.clamp(position.current.x, -100, 100)
+    position.current.z = THREE.MathUtils.clamp(position.current.z, -100, 100)
 
-    // Turn left/right (A/D or Left/Right arrows)
-    if (keys.current.left) {
-      rotation.current += turnSpeed
-      moving = true
-    }
-    if (keys.current.right) {
-      rotation.current -= turnSpeed
-      moving = true
+    // Fell off the map (overboard, off the edge of the forest...)
+    if (position.current.y < map.killY) {
+      respawn()
+      return
     }
 
-    // Calculate potential new position
-    const newPos = position.current.clone()
+    zoneTracker?.update(getMapZonesAtPosition(map, position.current))
 
-    // Move forward/backward relative to facing direction (W/S or Up/Down arrows)
-    if (keys.current.forward) {
-      newPos.x += Math.sin(rotation.current) * moveSpeed
-      newPos.z += Math.cos(rotation.current) * moveSpeed
-      moving = true
-    }
-    if (keys.current.backward) {
-      newPos.x -= Math.sin(rotation.current) * moveSpeed * 0.6
-      newPos.z -= Math.cos(rotation.current) * moveSpeed * 0.6
-      moving = true
-    }
-
-    // Check zone access before moving
-    const targetZone = getZoneAtPosition({ x: newPos.x, z: newPos.z })
-    const isZoneBlocked = targetZone && !canAccessZone(targetZone, currentTierLevel)
+    // Horizontal speed actually achieved, for Idle/Walk/Run selection
+    motion.current.speed = dt > 0
+      ? Math.hypot(position.current.x - previousX, position.current.z - previousZ) / dt
+      : 0
+    motion.current.crouching = crouching
+  }
 
-    if (isZoneBlocked) {
-      // Blocked by locked zone
-      if (lastBlockedZone.current !== targetZone.id) {
-        lastBlockedZone.current = targetZone.id
-        onZoneBlocked?.(targetZone.id)
-      }
-    } else {
-      // Clear blocked zone when not blocked
-      if (lastBlockedZone.current) {
-        lastBlockedZone.current = null
-        onZoneBlocked?.(null)
-      }
+  useFrame((state, delta) => {
+    if (!skeletonRef.current) return
 
-      // Only move if no collision and zone is accessible
-      if (!checkCollision(newPos, townScene)) {
-        position.current.x = THREE.MathUtils.clamp(newPos.x, -100, 100)
-        position.current.z = THREE.MathUtils.clamp(newPos.z, -100, 100)
-      }
+    // After travelling, hold still until the new map's collision is ready, then spawn
+    if (spawnedOn.current !== map.id) {
+      if (!collisionWorld) return
+      respawn()
+      stepper.reset()
+      spawnedOn.current = map.id
     }
 
-    isMoving.current = moving
-
-    if (isMoving.current) {
-      // Walking bobbing animation
-      walkPhase.current += delta * 12
-      position.current.y = -3 + Math.abs(Math.sin(walkPhase.current)) * 0.08
+    if (fixedTimestep) {
+      // Deterministic steps; render between the last two simulated states
+      const alpha = stepper.advance(delta, (dt) => {
+        previous.current.position.copy(position.current)
+        previous.current.rotation = rotation.current
+        simulate(dt, state.camera)
+      })
+      const from = previous.current.rotation
+      const turned = Math.atan2(Math.sin(rotation.current - from), Math.cos(rotation.current - from))
+      renderPosition.current.lerpVectors(previous.current.position, position.current, alpha)
+      renderRotation.current = from + turned * alpha
     } else {
-      // Idle bobbing
-      position.current.y = -3 + Math.sin(state.clock.elapsedTime * 0.8) * 0.03
-      walkPhase.current = 0
+      simulate(delta, state.camera)
+      renderPosition.current.copy(position.current)
+      renderRotation.current = rotation.current
+    }
+
+    const emoteIndex = frozen ? -1 : EMOTE_ACTIONS.findIndex((action) => input.consume(action))
+    const emote = PLAYER_EMOTES[emoteIndex]
+    if (emote && (unlockedEmotes.includes(emote) || perkEmotes.includes(emote))) {
+      animator.playEmote(emote)
+      onEmote?.(emote)
     }
+    const animation = { ...motion.current, grounded: controller.grounded }
+    animator.update(delta, animation)
 
     // Apply position and rotation
-    skeletonRef.current.position.copy(position.current)
-    skeletonRef.current.rotation.y = rotation.current
+    skeletonRef.current.position.copy(renderPosition.current)
+    skeletonRef.current.rotation.y = renderRotation.current
 
-    // Notify parent for camera following
-    onPositionChange?.(position.current.clone())
-    onRotationChange?.(rotation.current)
+    // Publish the transform for the camera and other per-frame readers
+    playerStore.setTransform(renderPosition.current, renderRotation.current, animation)
 
-    // Head idle animation
+    // Tilt the head slightly down on top of the animated pose
     if (headBone.current) {
-      headBone.current.rotation.x = THREE.MathUtils.lerp(
+      headBone.current.rotation.x = damp(
         headBone.current.rotation.x,
         -0.24 + Math.sin(state.clock.elapsedTime) * 0.02,
-        0.1
+        HEAD_TILT_HALF_LIFE,
+        delta
       )
-      headBone.current.rotation.z = THREE.MathUtils.lerp(headBone.current.rotation.z, 0, 0.1)
+      headBone.current.rotation.z = damp(headBone.current.rotation.z, 0, HEAD_TILT_HALF_LIFE, delta)
     }
   })
 
   return <primitive ref={skeletonRef} object={scene} scale={1.2} position={[8, -3, 0]} rotation={[0, Math.PI, 0]} />
 }
 
-function WesternTown({ onSceneReady }) {
-  const { scene } = useGLTF('/models/western-town/western_city.glb')
+// The current map's environment model, placed as the map declares
+function MapEnvironment({ map, castShadows, onSceneReady }) {
+  const { scene } = useGLTF(assetUrl(map.asset))
 
   useEffect(() => {
     if (scene) {
+      const skipMeshes = map.collision?.skipMeshes ?? []
+      // Gather collision triangles in the same pass as the shadow setup
+      scene.updateWorldMatrix(true, true)
+      const collider = createCollisionMeshBuilder()
       scene.traverse((child) => {
         if (child.isMesh) {
           child.receiveShadow = true
-          child.castShadow = true
+          if (skipMeshes.includes(child.name) || (map.collision?.skipTransparent && child.material?.transparent)) {
+            child.userData.noCollision = true
+          }
+          collider.add(child)
         }
       })
-      // Pass scene reference for collision detection
-      onSceneReady?.(scene)
+      // Pass scene reference and its BVH-backed collision world up
+      onSceneReady?.({ scene, collisionWorld: createCollisionWorld(collider.build()) })
     }
-  }, [scene, onSceneReady])
+  }, [scene, map.collision, onSceneReady])
 
-  // Scale and position western town for skeleton
-  return <primitive object={scene} scale={1} position={[0, -3, 0]} />
+  // Kept apart from the collision build, so a quality change doesn't rebuild the BVH (and
+  // with it the NPCs' nav grid)
+  useEffect(() => {
+    scene?.traverse((child) => {
+      if (child.isMesh) child.castShadow = castShadows
+    })
+  }, [scene, castShadows])
+
+  return <primitive object={scene} scale={map.model.scale} position={map.model.position} />
 }
 
 // Third-person camera that follows behind the skeleton
-function ThirdPersonCamera({ targetPosition, targetRotation }) {
-  const { camera } = useThree()
-  const smoothedPosition = useRef(new THREE.Vector3(0, 0, 5))
-  const smoothedLookAt = useRef(new THREE.Vector3(0, -2, 0))
-
-  useFrame(() => {
-    if (targetPosition) {
-      // Camera offset: behind and above the skeleton (over-the-shoulder)
-      const cameraDistance = 3
-      const cameraHeight = 1.2
-      // Subtract offset to position camera BEHIND the skeleton
-      const offsetX = -Math.sin(targetRotation) * cameraDistance
-      const offsetZ = -Math.cos(targetRotation) * cameraDistance
-
-      // Target camera position (behind and slightly above skeleton)
-      const targetCamPos = new THREE.Vector3(
-        targetPosition.x + offsetX,
-        targetPosition.y + cameraHeight + 2.5,
-        targetPosition.z + offsetZ
-      )
+// In the 'camera' control scheme it keeps its own heading instead of swinging behind,
+// so camera-relative movement doesn't chase its own tail. Mouse (pointer lock or
+// right-drag) and the right stick orbit it, the wheel zooms between minDistance and
+// maxDistance, and it is pulled in whenever geometry sits between it and the skeleton.
+function ThirdPersonCamera({
+  input,
+  playerStore,
+  controlScheme = 'tank',
+  collisionWorld,
+  minDistance = 1.5,
+  maxDistance = 8,
+  positionHalfLife = CAMERA_POSITION_HALF_LIFE,
+  lookAtHalfLife = CAMERA_LOOK_AT_HALF_LIFE,
+}) {
+  const { camera, gl } = useThree()
+  // Start from wherever the camera already is (e.g. when leaving photo mode)
+  const smoothedPosition = useRef(camera.position.clone())
+  const smoothedLookAt = useRef(null)
+  const orbit = useRef({ yawOffset: 0, pitch: CAMERA_PITCH, distance: CAMERA_DISTANCE })
+  const lastTarget = useRef(new THREE.Vector3())
+
+  useEffect(() => input?.attachPointer(gl.domElement), [input, gl])
 
-      // Smoothly follow
-      smoothedPosition.current.lerp(targetCamPos, 0.08)
-      camera.position.copy(smoothedPosition.current)
+  useFrame((state, delta) => {
+    // Read the player transform straight from the store, no React state involved
+    const { position: targetPosition, rotation: targetRotation } = playerStore.getState()
+    const { lookX, lookY } = input ? input.axes() : { lookX: 0, lookY: 0 }
+    const pointer = input ? input.consumePointer() : { x: 0, y: 0, zoom: 0 }
+    const yawInput = -pointer.x * MOUSE_SENSITIVITY - lookX * LOOK_SPEED * delta
+    const pitchInput = pointer.y * MOUSE_SENSITIVITY + lookY * LOOK_SPEED * delta
+
+    const o = orbit.current
+    o.pitch = THREE.MathUtils.clamp(o.pitch + pitchInput, CAMERA_MIN_PITCH, CAMERA_MAX_PITCH)
+    o.distance = THREE.MathUtils.clamp(o.distance + pointer.zoom * CAMERA_ZOOM_STEP, minDistance, maxDistance)
+
+    // Yaw of the direction the camera looks along; the camera sits behind the pivot
+    let yaw = targetRotation
+
+    if (controlScheme === 'camera') {
+      // Hold the current viewing direction and just trail at the same distance
+      const awayX = smoothedPosition.current.x - targetPosition.x
+      const awayZ = smoothedPosition.current.z - targetPosition.z
+      if (Math.hypot(awayX, awayZ) > 0.01) yaw = Math.atan2(-awayX, -awayZ)
+      yaw += yawInput
+    } else {
+      // Orbit freely; swing back behind the skeleton once it walks off without look input
+      const moving = lastTarget.current.distanceToSquared(targetPosition) > 1e-6
+      o.yawOffset = yawInput || !moving
+        ? o.yawOffset + yawInput
+        : damp(o.yawOffset, 0, CAMERA_RECENTER_HALF_LIFE, delta)
+      yaw += o.yawOffset
+    }
+    // Cut rather than glide when the player teleports (travel, respawn)
+    const teleported = lastTarget.current.distanceToSquared(targetPosition) > CAMERA_SNAP_DISTANCE ** 2
+    lastTarget.current.copy(targetPosition)
+
+    // Orbit around the skeleton's upper back/head area
+    const pivot = new THREE.Vector3(targetPosition.x, targetPosition.y + CAMERA_PIVOT_HEIGHT, targetPosition.z)
+    const horizontal = Math.cos(o.pitch) * o.distance
+    const targetCamPos = new THREE.Vector3(
+      pivot.x - Math.sin(yaw) * horizontal,
+      pivot.y + Math.sin(o.pitch) * o.distance,
+      pivot.z - Math.cos(yaw) * horizontal
+    )
 
-      // Look at skeleton's upper back/head area
-      const lookAtPoint = new THREE.Vector3(
-        targetPosition.x,
-        targetPosition.y + 1.8,
-        targetPosition.z
-      )
-      smoothedLookAt.current.lerp(lookAtPoint, 0.1)
-      camera.lookAt(smoothedLookAt.current)
+    // Smoothly follow
+    if (teleported) smoothedPosition.current.copy(targetCamPos)
+    else dampVector3(smoothedPosition.current, targetCamPos, positionHalfLife, delta)
+    camera.position.copy(smoothedPosition.current)
+
+    // Collision pass: pull the camera in front of anything between it and the skeleton
+    if (collisionWorld) {
+      const toCamera = camera.position.clone().sub(pivot)
+      const length = toCamera.length()
+      if (length > 0) {
+        toCamera.divideScalar(length)
+        const hit = collisionWorld.raycast(pivot, toCamera, length + CAMERA_COLLISION_PADDING)
+        if (hit) {
+          const safeDistance = Math.max(CAMERA_MIN_COLLISION_DISTANCE, hit.distance - CAMERA_COLLISION_PADDING)
+          camera.position.copy(pivot).addScaledVector(toCamera, Math.min(length, safeDistance))
+        }
+      }
     }
+
+    if (!smoothedLookAt.current || teleported) smoothedLookAt.current = pivot.clone()
+    dampVector3(smoothedLookAt.current, pivot, lookAtHalfLife, delta)
+    camera.lookAt(smoothedLookAt.current)
   })
 
   return null
 }
 
-function Scene({ onSkeletonMove, onSkeletonRotate, skeletonPosition, skeletonRotation, currentTierLevel, collectedIds, onCollect, onZoneBlocked }) {
-  const [townScene, setTownScene] = useState(null)
+// Free-fly camera for screenshots: move with the movement keys/stick, jump/crouch to
+// rise/sink, sprint to go faster, mouse or right stick to look, wheel to change FOV.
+function PhotoModeCamera({ input }) {
+  const { camera, gl } = useThree()
+  const look = useRef(null)
+
+  useEffect(() => input.attachPointer(gl.domElement), [input, gl])
+
+  // Restore the gameplay field of view on exit
+  useEffect(() => {
+    const fov = camera.fov
+    return () => {
+      camera.fov = fov
+      camera.updateProjectionMatrix()
+    }
+  }, [camera])
+
+  useFrame((_, delta) => {
+    if (!look.current) {
+      const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ')
+      look.current = { yaw: euler.y, pitch: euler.x }
+    }
+
+    const { moveX, moveY, lookX, lookY } = input.axes()
+    const pointer = input.consumePointer()
+    look.current.yaw -= pointer.x * MOUSE_SENSITIVITY + lookX * LOOK_SPEED * delta
+    look.current.pitch = THREE.MathUtils.clamp(
+      look.current.pitch - pointer.y * MOUSE_SENSITIVITY - lookY * LOOK_SPEED * delta,
+      -1.5,
+      1.5
+    )
+    camera.rotation.set(look.current.pitch, look.current.yaw, 0, 'YXZ')
+
+    if (pointer.zoom) {
+      camera.fov = THREE.MathUtils.clamp(camera.fov + pointer.zoom * 2, 20, 90)
+      camera.updateProjectionMatrix()
+    }
+
+    const speed = PHOTO_MODE_SPEED * (input.isDown('sprint') ? 3 : 1) * delta
+    const forward = camera.getWorldDirection(new THREE.Vector3())
+    const right = new THREE.Vector3().crossVectors(forward, camera.up).normalize()
+    const rise = (input.isDown('jump') ? 1 : 0) - (input.isDown('crouch') ? 1 : 0)
+    camera.position
+      .addScaledVector(forward, moveY * speed)
+      .addScaledVector(right, moveX * speed)
+      .addScaledVector(camera.up, rise * speed)
+  })
+
+  return null
+}
+
+function Scene({ map, input, playerStore, perfStats, currentTierLevel, collectedIds, keys, onCollect, onZoneBlocked, onEmote, onNpcAgents, zoneTracker, stats, onAssetError, onTravel, controlScheme, startAt, unlockedEmotes, perkEmotes, cosmetics, photoMode, layoutEditor, mapView, fullMap, soundEvents, soundBuffers, sfxVolume, quality, worldClock, presence }) {
+  const [world, setWorld] = useState(null)
+  // Ignore the previous map's collision until the new environment reports in
+  const collisionWorld = world?.mapId === map.id ? world.collisionWorld : null
+  const { environment } = map
+  const skeletonProps = {
+    map,
+    input,
+    playerStore,
+    collisionWorld,
+    currentTierLevel,
+    keys,
+    onZoneBlocked,
+    onEmote,
+    zoneTracker,
+    soundEvents,
+    startAt,
+    unlockedEmotes,
+    perkEmotes,
+    cosmetics,
+    controlScheme,
+    frozen: photoMode || Boolean(layoutEditor) || fullMap,
+  }
+  const npcProps = { map, collisionWorld, playerStore, currentTierLevel, onAgents: onNpcAgents }
+  // CollectiblesGroup draws the orbs; CollectibleItems everything else
+  const orbs = useMemo(() => map.collectibles.filter((collectible) => collectibleType(collectible) === 'orb'), [map.collectibles])
+  const remoteProps = { presence, mapId: map.id, playerStore }
+
+  const handleSceneReady = useCallback((ready) => {
+    setWorld({ ...ready, mapId: map.id })
+  }, [map.id])
+
+  // Lit by DayNightCycle every frame; the JSX values below are the midday starting point
+  const ambient = useRef()
+  const lanterns = useRef()
+  // A new shadow map size needs the old render target thrown away
+  const sun = useRef()
+  useEffect(() => {
+    const { shadow } = sun.current
+    shadow.mapSize.set(quality.shadowMapSize, quality.shadowMapSize)
+    shadow.map?.dispose()
+    shadow.map = null
+  }, [quality.shadowMapSize])
+
+  // Dev-only harness: compare BVH queries against brute-force scene raycasts from the console
+  useEffect(() => {
+    if (!import.meta.env.DEV || !world) return
+    window.skeleCollisionBenchmark = (options) => benchmarkCollisionQueries(world.scene, world.collisionWorld, options)
+    return () => {
+      delete window.skeleCollisionBenchmark
+    }
+  }, [world])
 
   return (
     <>
-      <color attach="background" args={['#87CEEB']} />
-      <fog attach="fog" args={['#c9a66b', 30, 100]} />
+      <color attach="background" args={[environment.background]} />
+      <fog attach="fog" args={[environment.fog.color, environment.fog.near * quality.fogScale, environment.fog.far * quality.fogScale]} />
 
-      <ambientLight intensity={0.6} />
+      <ambientLight ref={ambient} intensity={environment.ambient} />
       <directionalLight
-        position={[10, 20, 10]}
-        intensity={2}
-        color="#fff5e0"
-        castShadow
+        ref={sun}
+        position={environment.sun.position}
+        intensity={environment.sun.intensity}
+        color={environment.sun.color}
+        castShadow={quality.shadows}
       />
-      <pointLight position={[-5, 5, 5]} intensity={8} color="#ffcc77" distance={25} />
-      <pointLight position={[5, 3, -5]} intensity={6} color="#ffd699" distance={20} />
-      <pointLight position={[0, 2, 5]} intensity={4} color="#ffffff" distance={15} />
-
-      <ThirdPersonCamera targetPosition={skeletonPosition} targetRotation={skeletonRotation} />
+      <group ref={lanterns}>
+        {environment.lights.slice(0, quality.maxLights).map((light, i) => (
+          <pointLight key={`${map.id}-${i}`} {...light} />
+        ))}
+      </group>
+      <DayNightCycle
+        clock={worldClock}
+        environment={environment}
+        fogScale={quality.fogScale}
+        sun={sun}
+        ambient={ambient}
+        lanterns={lanterns}
+      />
+      <WeatherParticles clock={worldClock} scale={quality.particleScale} />
+      {environment.water && (
+        <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, environment.water.y, 0]} receiveShadow>
+          <planeGeometry args={[400, 400]} />
+          <meshStandardMaterial color={environment.water.color} transparent opacity={0.9} />
+        </mesh>
+      )}
+
+      <InputPoller input={input} />
+      {perfStats && <PerfProbe stats={perfStats} />}
+      <SoundEffects events={soundEvents} buffers={soundBuffers} volume={sfxVolume} playerStore={playerStore} />
+      {!photoMode && !layoutEditor && (
+        <WorldMap
+          map={map}
+          collectedIds={collectedIds}
+          currentTierLevel={currentTierLevel}
+          keys={keys}
+          playerStore={playerStore}
+          view={mapView}
+          fullMap={fullMap}
+          perfStats={perfStats}
+        />
+      )}
+      {layoutEditor ? (
+        <>
+          <LayoutEditorCamera target={map.spawn.position} />
+          <LayoutEditorScene {...layoutEditor} />
+        </>
+      ) : photoMode ? (
+        <PhotoModeCamera input={input} />
+      ) : (
+        <ThirdPersonCamera
+          input={input}
+          playerStore={playerStore}
+          controlScheme={controlScheme}
+          collisionWorld={collisionWorld}
+        />
+      )}
 
-      {/* Zone barriers for locked areas */}
-      <LockedZoneBarriers currentTierLevel={currentTierLevel} />
+      {/* Zone barriers for the town's locked areas */}
+      {map.zones === LEGACY_TOWN_ZONES && <LockedZoneBarriers currentTierLevel={currentTierLevel} />}
 
-      {/* Collectible orbs */}
+      {/* Collectible orbs. playerPosition is the store's live vector, so proximity checks
+          in the group's frame loop see the current transform without re-rendering. */}
       <CollectiblesGroup
-        collectibles={COLLECTIBLES}
+        key={map.id}
+        collectibles={orbs}
         currentTier={{ level: currentTierLevel }}
         collectedIds={collectedIds}
         onCollect={onCollect}
-        playerPosition={skeletonPosition}
+        playerPosition={playerStore.getState().position}
+      />
+      <CollectibleItems
+        key={`${map.id}-items`}
+        collectibles={map.collectibles}
+        collectedIds={collectedIds}
+        onCollect={onCollect}
+        playerPosition={playerStore.getState().position}
       />
 
-      <Suspense fallback={null}>
-        <WesternTown onSceneReady={setTownScene} />
-        <Skeleton
-          onPositionChange={onSkeletonMove}
-          onRotationChange={onSkeletonRotate}
-          townScene={townScene}
-          currentTierLevel={currentTierLevel}
-          onZoneBlocked={onZoneBlocked}
-        />
-      </Suspense>
+      {collisionWorld && <MapPortals key={map.id} portals={map.portals} playerStore={playerStore} onTravel={onTravel} />}
+
+      <StatsRecorder stats={stats} map={map} playerStore={playerStore} frozen={skeletonProps.frozen} />
+
+      {/* Each model gets its own boundary so a broken file only swaps that model for a placeholder.
+          Keyed by map so a failure on one map doesn't stick to the next. */}
+      <AssetErrorBoundary
+        key={map.id}
+        assetId={map.asset}
+        label={ASSETS[map.asset].label}
+        onError={onAssetError}
+        fallback={<PlaceholderGround groundY={map.spawn.position[1]} onSceneReady={handleSceneReady} />}
+      >
+        <Suspense fallback={null}>
+          <MapEnvironment map={map} castShadows={quality.shadows} onSceneReady={handleSceneReady} />
+        </Suspense>
+      </AssetErrorBoundary>
+      <AssetErrorBoundary
+        assetId="skeleton"
+        label={ASSETS.skeleton.label}
+        onError={onAssetError}
+        fallback={<PlaceholderSkeleton {...skeletonProps} />}
+      >
+        <Suspense fallback={null}>
+          <Skeleton {...skeletonProps} />
+        </Suspense>
+      </AssetErrorBoundary>
+      {collisionWorld && (
+        <AssetErrorBoundary
+          key={`npcs-${map.id}`}
+          assetId="skeleton"
+          label={ASSETS.skeleton.label}
+          onError={onAssetError}
+          fallback={<PlaceholderNpcs {...npcProps} />}
+        >
+          <Suspense fallback={null}>
+            <NpcSkeletons {...npcProps} />
+          </Suspense>
+        </AssetErrorBoundary>
+      )}
+      {presence && (
+        <AssetErrorBoundary
+          assetId="skeleton"
+          label={ASSETS.skeleton.label}
+          onError={onAssetError}
+          fallback={<PlaceholderRemotePlayers {...remoteProps} />}
+        >
+          <Suspense fallback={null}>
+            <RemoteSkeletons {...remoteProps} />
+          </Suspense>
+        </AssetErrorBoundary>
+      )}
     </>
   )
 }
 
-function Header() {
+function Header({ marketCapFeed }) {
   return (
     <div className="absolute top-0 left-0 right-0 p-4 flex justify-between items-start z-10">
       <div className="flex items-center gap-4">
@@ -631,6 +1132,7 @@ function Header() {
           SKELE
         </h1>
         <MarketCapBadge />
+        <MarketCapFeedStatus feed={marketCapFeed} />
       </div>
 
       <div className="flex gap-2 items-center">
@@ -657,14 +1159,47 @@ function Header() {
   )
 }
 
-function ControlsHint() {
+// Primary key bound to an action, for hints
+function keyLabel(bindings, action) {
+  return formatKeyCode(bindings[action]?.[0])
+}
+
+function ControlsHint({ controlScheme, onToggleScheme, bindings, onEditBindings }) {
+  const moveKeys = ['forward', 'left', 'backward', 'right'].map((action) => keyLabel(bindings, action)).join('')
+
   return (
-    <div className="absolute bottom-4 left-4 bg-black/40 backdrop-blur-sm px-3 py-2 rounded-lg border border-white/10">
+    <div className="absolute bottom-4 left-4 bg-black/40 backdrop-blur-sm px-3 py-2 rounded-lg border border-white/10 space-y-1">
       <div className="flex gap-1 items-center text-white/70 text-xs">
-        <kbd className="px-1.5 py-0.5 bg-white/20 rounded text-[10px]">WASD</kbd>
+        <kbd className="px-1.5 py-0.5 bg-white/20 rounded text-[10px]">{moveKeys}</kbd>
         <span className="text-white/40">or</span>
-        <kbd className="px-1.5 py-0.5 bg-white/20 rounded text-[10px]">Arrows</kbd>
-        <span className="ml-1">to move</span>
+        <kbd className="px-1.5 py-0.5 bg-white/20 rounded text-[10px]">Stick</kbd>
+        <span className="ml-1">
+          {controlScheme === 'camera' ? 'to move relative to camera' : 'to move and turn'}
+        </span>
+      </div>
+      <div className="flex gap-1 items-center text-white/70 text-xs">
+        <kbd className="px-1.5 py-0.5 bg-white/20 rounded text-[10px]">{keyLabel(bindings, 'sprint')}</kbd>
+        <span>sprint</span>
+        <kbd className="ml-2 px-1.5 py-0.5 bg-white/20 rounded text-[10px]">{keyLabel(bindings, 'jump')}</kbd>
+        <span>jump</span>
+        <kbd className="ml-2 px-1.5 py-0.5 bg-white/20 rounded text-[10px]">{keyLabel(bindings, 'crouch')}</kbd>
+        <span>crouch</span>
+        <kbd className="ml-2 px-1.5 py-0.5 bg-white/20 rounded text-[10px]">
+          {keyLabel(bindings, 'emote1')}-{keyLabel(bindings, 'emote4')}
+        </kbd>
+        <span>emote</span>
+      </div>
+      <div className="flex gap-3 items-center text-xs">
+        <button onClick={onToggleScheme} className="flex gap-1 items-center text-white/70 hover:text-white transition-colors">
+          <kbd className="px-1.5 py-0.5 bg-white/20 rounded text-[10px]">{keyLabel(bindings, 'switchScheme')}</kbd>
+          <span>Controls: {controlScheme === 'camera' ? 'Camera-relative' : 'Tank'}</span>
+        </button>
+        <span className="text-white/50">
+          Mouse to look, wheel to zoom, {keyLabel(bindings, 'photoMode')} photo mode
+        </span>
+        <button onClick={onEditBindings} className="text-white/50 hover:text-white transition-colors">
+          Key bindings
+        </button>
       </div>
     </div>
   )
@@ -673,62 +1208,508 @@ function ControlsHint() {
 // Inner game component that uses game context
 function GameContent() {
   const {
-    currentTier,
-    collectedIds,
-    collectItem,
-    setUnlockPrompt
+    collectedIds: contextCollectedIds,
+    collectItem
   } = useGame()
 
   // Game state: 'start' | 'loading' | 'playing' | 'docs'
   const [gameState, setGameState] = useState('start')
-  const [loadProgress, setLoadProgress] = useState(0)
+  const [loadState, setLoadState] = useState(null)
+  const assetLoader = useRef(null)
   const [showDocs, setShowDocs] = useState(false)
-  const [skeletonPosition, setSkeletonPosition] = useState(new THREE.Vector3(0, -3, 0))
-  const [skeletonRotation, setSkeletonRotation] = useState(0)
+  // Player transform lives outside React state so moving doesn't re-render the tree
+  const playerStore = useMemo(() => createPlayerStore(), [])
+  const zoneTracker = useMemo(() => createZoneTracker(), [])
+  // Play stats and achievements (utils/stats.js), per browser rather than per save slot
+  const stats = useMemo(() => createStatsTracker(), [])
+  const [showAchievements, setShowAchievements] = useState(false)
+  const mapView = useMemo(() => createMapView(), [])
+  const worldClock = useMemo(() => createWorldClock(), [])
+  const [showFullMap, setShowFullMap] = useState(false)
+  // Music starts with the first START press (browsers block audio before a gesture)
+  const [audioSettings, setAudioSettings] = useState(loadAudioSettings)
+  const music = useRef(null)
+  const soundEvents = useMemo(() => createSoundEvents(), [])
+  const [soundBuffers, setSoundBuffers] = useState({})
+  const [graphics, setGraphics] = useState(loadGraphicsSettings)
+  // Level auto quality is running at; only used while graphics.quality is 'auto'
+  const [autoQuality, setAutoQuality] = useState(AUTO_START_LEVEL)
+  const quality = resolveQuality(graphics, autoQuality)
+  const [showSettings, setShowSettings] = useState(false)
+  // Pause menu screen ('menu' | 'settings' | 'controls' | 'perks'), or null while playing. Pausing stops
+  // the Canvas frame loop but keeps the scene mounted, so resuming picks up exactly where it was.
+  const [pauseView, setPauseView] = useState(null)
+  const paused = pauseView !== null
+  const playing = gameState === 'playing' && !paused
+  // Maps whose assets have finished loading; starting on one again skips the loading screen
+  const loadedMaps = useRef(new Set())
+  // Save slots (utils/saves.js). The active slot is read once at startup, then written by
+  // autosave until another slot is loaded from the start screen.
+  const [activeSlot, setActiveSlot] = useState(loadActiveSlot)
+  // The last failed write to a slot, { slot, message }, shown under that slot in the saves panel
+  const [saveError, setSaveError] = useState(null)
+  const [initialSave] = useState(() => readSlot(activeSlot))
+  const [showSaves, setShowSaves] = useState(false)
+  const [unlockedEmotes, setUnlockedEmotes] = useState(() => initialSave?.progress.unlockedEmotes ?? EMOTES)
+  // Ids collected in the active slot. GameContext can't forget an id, so it can't follow a
+  // switch to another slot; it is still told about every pickup.
+  const [collectedIds, setCollectedIds] = useState(() => initialSave?.progress.collectedIds ?? [...contextCollectedIds])
+  // Quests (utils/quests.js): progress is saved with the collected ids
+  const questLog = useMemo(() => createQuestLog(initialSave?.progress.quests), [])
+  const [questProgress, setQuestProgress] = useState(() => questLog.getProgress())
+  const [showQuestLog, setShowQuestLog] = useState(true)
+  // Zone the player was just turned away from for want of its key
+  const [keyLockedZone, setKeyLockedZone] = useState(null)
+  const [tierLockedZone, setTierLockedZone] = useState(null)
+  // Live NPC agents, for finding who saw an emote
+  const npcAgents = useRef([])
+  // Where the player appears when the game view next mounts: the last saved transform
+  const resumePoint = useRef(initialSave?.player ? { mapId: initialSave.mapId, ...initialSave.player } : null)
+  // Seconds played before the current stretch of unpaused play, and when that stretch began
+  const playTime = useRef(initialSave?.playTime ?? 0)
+  const playingSince = useRef(null)
+  const perfStats = useMemo(() => createPerfStats(), [])
+  const [showPerf, setShowPerf] = useState(false)
+  const [controlScheme, setControlScheme] = useState(() =>
+    CONTROL_SCHEMES.includes(initialSave?.settings.controlScheme) ? initialSave.settings.controlScheme : 'tank'
+  )
+  const input = useInputManager()
+  const [bindings, setBindings] = useState(() => input.bindings)
+  const [showBindings, setShowBindings] = useState(false)
+  const [photoMode, setPhotoMode] = useState(false)
+  // Assets replaced by placeholders (or missing at startup), shown in the HUD
+  const [assetErrors, setAssetErrors] = useState([])
+  const [mapId, setMapId] = useState(initialSave?.mapId ?? DEFAULT_MAP_ID)
+  // Map being travelled to while its assets load: { to, loadState }
+  const [travel, setTravel] = useState(null)
+  const travelLoader = useRef(null)
+  const [showMapSelect, setShowMapSelect] = useState(false)
+  // World layout (spawn, zones, collectibles) and the editor's { tool, selection } while it is open
+  const [savedLayout] = useState(loadLayout)
+  const [layout, setLayout] = useState(savedLayout.layout)
+  // Why the saved layout was ignored, shown in the editor until the layout is next saved
+  const [savedLayoutError, setSavedLayoutError] = useState(savedLayout.error)
+  const [layoutEditor, setLayoutEditor] = useState(null)
+  const map = useMemo(() => resolveMap(mapId, layout), [mapId, layout])
+  // Keys are collectibles, so holding one just means having picked it up
+  const heldKeys = useMemo(() => new Set(collectedIds), [collectedIds])
+  const gold = useMemo(() => {
+    const index = collectibleIndex(layout)
+    let total = questGold(questProgress)
+    heldKeys.forEach((id) => {
+      const collectible = index.get(id)
+      if (collectible) total += COLLECTIBLE_TYPES[collectible.type].gold
+    })
+    return total
+  }, [layout, heldKeys, questProgress])
+  // Multiplayer presence (utils/multiplayer.js), connected while the game view is up
+  const [multiplayer, setMultiplayer] = useState(loadMultiplayerSettings)
+  const [presence, setPresence] = useState(null)
+  // Market cap feed (utils/marketCapFeed.js); changing its settings swaps the provider
+  const [feedSettings, setFeedSettings] = useState(loadFeedSettings)
+  const marketCapFeed = useMemo(() => createMarketCapFeed({ provider: createProvider(feedSettings) }), [feedSettings])
+  // Zone locks follow the feed, so the mock and replay providers can drive tier changes
+  const tierLevel = useFeedTierLevel(marketCapFeed)
+  // Holder perks (utils/walletPerks.js): the verified wallet's level decides what is worn
+  const [perkSettings, setPerkSettings] = useState(loadPerkSettings)
+  const perks = useWalletPerks(perkSettings, feedSettings.tokenAddress)
+  const hat = equippedCosmetic('hat', perkSettings.hat, perks.level)
+  const outfit = equippedCosmetic('outfit', perkSettings.outfit, perks.level)
+  const cosmetics = useMemo(() => ({ hat, outfit }), [hat, outfit])
+
+  const handleAssetError = useCallback((error) => {
+    setAssetErrors((errors) => (errors.some((e) => e.id === error.id) ? errors : [...errors, error]))
+  }, [])
+
+  // Check the manifest up front so a missing file is reported before anyone presses START
+  useEffect(() => {
+    let cancelled = false
+    validateAssetManifest().then((problems) => {
+      if (cancelled) return
+      problems.forEach(handleAssetError)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [handleAssetError])
+
+  // Write everything worth keeping into the active slot
+  const autosave = useCallback(() => {
+    const { position, rotation } = playerStore.getState()
+    const player = { position: position.toArray(), rotation }
+    const stretch = playingSince.current === null ? 0 : (performance.now() - playingSince.current) / 1000
+    resumePoint.current = { mapId, ...player }
+    try {
+      writeSlot(activeSlot, createSave({
+        mapId,
+        player,
+        playTime: playTime.current + stretch,
+        progress: { collectedIds: [...collectedIds], unlockedEmotes, quests: questProgress },
+        settings: { controlScheme, bindings, audio: audioSettings, graphics },
+      }))
+      setSaveError(null)
+    } catch (error) {
+      setSaveError({ slot: activeSlot, message: `Last autosave failed: ${error.message}` })
+    }
+    stats.flush()
+  }, [stats, playerStore, mapId, activeSlot, collectedIds, unlockedEmotes, questProgress, controlScheme, bindings, audioSettings, graphics])
+
+  // Count play time only while actually playing (not paused, not on the start screen)
+  useEffect(() => {
+    if (!playing) return
+    playingSince.current = performance.now()
+    return () => {
+      playTime.current += (performance.now() - playingSince.current) / 1000
+      playingSince.current = null
+    }
+  }, [playing])
+
+  // Autosave whenever the player enters or leaves a zone
+  useEffect(() => {
+    if (gameState !== 'playing') return
+    return zoneTracker.subscribe(autosave)
+  }, [gameState, zoneTracker, autosave])
+
+  useEffect(() => questLog.subscribe(() => setQuestProgress(questLog.getProgress())), [questLog])
+
+  // Keep badges as soon as they unlock, and the session's stats when the tab closes
+  useEffect(() => stats.subscribe((event) => {
+    if (event.type === 'unlock') stats.flush()
+  }), [stats])
+
+  useEffect(() => {
+    const handlePageHide = () => stats.flush()
+    window.addEventListener('pagehide', handlePageHide)
+    return () => window.removeEventListener('pagehide', handlePageHide)
+  }, [stats])
+
+  // Walking into a zone counts towards visit objectives
+  useEffect(() => zoneTracker.subscribe((event) => {
+    if (event.type === 'enter') questLog.record({ type: 'visit', zone: event.zone.id })
+  }), [zoneTracker, questLog])
+
+  useEffect(() => {
+    marketCapFeed.start()
+    return () => marketCapFeed.stop()
+  }, [marketCapFeed])
+
+  // Connect with the current settings; changing them reconnects
+  useEffect(() => {
+    if (gameState !== 'playing') return
+    const transport = createTransport(multiplayer)
+    if (!transport) return
+    const session = createPresence({ transport, name: multiplayer.name })
+    setPresence(session)
+    // Closing the tab skips React cleanup; say goodbye so others don't wait for the timeout
+    const handlePageHide = () => session.dispose()
+    window.addEventListener('pagehide', handlePageHide)
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide)
+      session.dispose()
+      setPresence(null)
+    }
+  }, [gameState, multiplayer])
+
+  const handlePause = useCallback(() => {
+    if (document.pointerLockElement) document.exitPointerLock()
+    setPauseView('menu')
+    autosave()
+  }, [autosave])
+
+  const handleResume = useCallback(() => {
+    setPauseView(null)
+  }, [])
+
+  const handleReturnToTitle = useCallback(() => {
+    setPauseView(null)
+    setShowFullMap(false)
+    setPhotoMode(false)
+    setGameState('start')
+  }, [])
+
+  const handleToggleScheme = useCallback(() => {
+    setControlScheme((scheme) => CONTROL_SCHEMES[(CONTROL_SCHEMES.indexOf(scheme) + 1) % CONTROL_SCHEMES.length])
+  }, [])
+
+  // The switchScheme action (V / gamepad Y) toggles control scheme while playing
+  useEffect(() => {
+    if (!playing) return
+    return input.onPress('switchScheme', handleToggleScheme)
+  }, [playing, input, handleToggleScheme])
+
+  // The photoMode action (P) toggles the free-fly photo camera while playing
+  useEffect(() => {
+    if (!playing) return
+    return input.onPress('photoMode', () => {
+      setShowFullMap(false)
+      setPhotoMode((enabled) => !enabled)
+    })
+  }, [playing, input])
+
+  // The perfOverlay action (`) toggles the FPS / draw call / commit overlay
+  useEffect(() => {
+    if (!playing) return
+    return input.onPress('perfOverlay', () => setShowPerf((enabled) => !enabled))
+  }, [playing, input])
+
+  // The worldMap action (M / gamepad Back) opens and closes the full-screen map
+  const toggleFullMap = useCallback(() => {
+    mapView.following = true
+    setShowFullMap((open) => !open)
+  }, [mapView])
+
+  useEffect(() => {
+    if (!playing || photoMode || layoutEditor) return
+    return input.onPress('worldMap', toggleFullMap)
+  }, [playing, input, photoMode, layoutEditor, toggleFullMap])
+
+  useEffect(() => {
+    if (!playing) return
+    return input.onPress('questLog', () => setShowQuestLog((open) => !open))
+  }, [playing, input])
+
+  // The pause action (Escape / gamepad Start) opens the pause menu, steps back out of its
+  // sub-screens, and resumes from the menu itself. The layout editor keeps Escape for itself.
+  useEffect(() => {
+    if (gameState !== 'playing' || layoutEditor) return
+    return input.onPress('pause', () => {
+      if (!paused) handlePause()
+      else if (pauseView === 'menu') handleResume()
+      else setPauseView('menu')
+    })
+  }, [gameState, layoutEditor, input, paused, pauseView, handlePause, handleResume])
+
+  // The frame loop (which normally polls the gamepad) is stopped while paused
+  useEffect(() => {
+    if (!paused) return
+    const timer = setInterval(() => input.update(), PAUSED_GAMEPAD_POLL_MS)
+    return () => clearInterval(timer)
+  }, [paused, input])
+
+  // While the mouse is captured the browser eats Escape to release it, so losing the lock
+  // mid-game is treated as a pause request
+  useEffect(() => {
+    if (!playing || photoMode || layoutEditor || showFullMap) return
+    const handleLockChange = () => {
+      if (!document.pointerLockElement) handlePause()
+    }
+    document.addEventListener('pointerlockchange', handleLockChange)
+    return () => document.removeEventListener('pointerlockchange', handleLockChange)
+  }, [playing, photoMode, layoutEditor, showFullMap, handlePause])
+
+  const handleLayoutChange = useCallback((next) => {
+    setLayout(next)
+    saveLayout(next)
+    setSavedLayoutError(null)
+  }, [])
+
+  const handleBindingsChange = useCallback((next) => {
+    input.setBindings(next)
+    saveBindings(next)
+    setBindings(next)
+  }, [input])
+
+  const startAudio = useCallback(() => {
+    THREE.AudioContext.getContext().resume()
+    if (!music.current) {
+      music.current = createMusicPlayer(MUSIC_TRACKS, {
+        shuffle: audioSettings.shuffle,
+        volume: audioSettings.muted ? 0 : audioSettings.musicVolume,
+      })
+      loadSoundEffects().then(setSoundBuffers)
+    }
+    music.current.play()
+  }, [audioSettings])
+
+  const musicVolume = audioSettings.muted ? 0 : audioSettings.musicVolume
+  useEffect(() => {
+    music.current?.setVolume(musicVolume)
+  }, [musicVolume])
+
+  useEffect(() => {
+    music.current?.setShuffle(audioSettings.shuffle)
+  }, [audioSettings.shuffle])
+
+  const handleGraphicsChange = useCallback((next) => {
+    setGraphics(next)
+    saveGraphicsSettings(next)
+  }, [])
+
+  const handleAudioSettingsChange = useCallback((next) => {
+    setAudioSettings(next)
+    saveAudioSettings(next)
+  }, [])
+
+  const handleMultiplayerChange = useCallback((next) => {
+    setMultiplayer(next)
+    saveMultiplayerSettings(next)
+  }, [])
+
+  const handleFeedSettingsChange = useCallback((next) => {
+    setFeedSettings(next)
+    saveFeedSettings(next)
+  }, [])
+
+  const handlePerkSettingsChange = useCallback((next) => {
+    setPerkSettings(next)
+    savePerkSettings(next)
+  }, [])
+
+  // Make `slot` the active one and pick up its map, transform, play time, progress and settings
+  const handleLoadSave = useCallback((slot, save) => {
+    saveActiveSlot(slot)
+    setActiveSlot(slot)
+    setMapId(save.mapId)
+    resumePoint.current = save.player && { mapId: save.mapId, ...save.player }
+    playTime.current = save.playTime
+    setUnlockedEmotes(save.progress.unlockedEmotes)
+    questLog.load(save.progress.quests)
+    setCollectedIds(save.progress.collectedIds)
+
+    const { settings } = save
+    if (CONTROL_SCHEMES.includes(settings.controlScheme)) setControlScheme(settings.controlScheme)
+    if (settings.bindings) handleBindingsChange({ ...DEFAULT_BINDINGS, ...settings.bindings })
+    if (settings.audio) handleAudioSettingsChange({ ...DEFAULT_AUDIO_SETTINGS, ...settings.audio })
+    if (settings.graphics) handleGraphicsChange({ ...DEFAULT_GRAPHICS_SETTINGS, ...settings.graphics })
+    setShowSaves(false)
+  }, [questLog, handleBindingsChange, handleAudioSettingsChange, handleGraphicsChange])
+
+  const handleNewSave = useCallback((slot) => {
+    const save = createSave()
+    try {
+      writeSlot(slot, save)
+    } catch (error) {
+      setSaveError({ slot, message: `Couldn't start a new game: ${error.message}` })
+      return
+    }
+    setSaveError(null)
+    handleLoadSave(slot, save)
+  }, [handleLoadSave])
 
   const handleStart = useCallback(() => {
+    startAudio()
+    if (loadedMaps.current.has(mapId)) {
+      setGameState('playing')
+      return
+    }
     setGameState('loading')
-    setLoadProgress(0)
-    // Simulate loading progress
-    let progress = 0
-    const interval = setInterval(() => {
-      progress += Math.random() * 15 + 5
-      if (progress >= 100) {
-        progress = 100
-        clearInterval(interval)
-        setTimeout(() => setGameState('playing'), 300)
-      }
-      setLoadProgress(progress)
-    }, 200)
+    setLoadState(null)
+    assetLoader.current?.cancel()
+    assetLoader.current = createAssetLoader(mapAssetIds(mapId), setLoadState)
+    assetLoader.current.start()
+  }, [mapId, startAudio])
+
+  const handleRetryLoad = useCallback(() => {
+    assetLoader.current?.retry()
   }, [])
 
-  const handlePause = useCallback(() => {
-    setGameState('start')
+  // Play without the assets that failed; the scene swaps in placeholders for them
+  const handleContinueLoad = useCallback(() => {
+    assetLoader.current?.cancel()
+    setGameState('playing')
   }, [])
 
-  const handleDocs = useCallback(() => {
-    setShowDocs(true)
+  // Only enter the game once every scene asset has actually arrived
+  useEffect(() => {
+    if (gameState !== 'loading' || !loadState?.ready) return
+    preloadModels(mapAssetIds(mapId))
+    loadedMaps.current.add(mapId)
+    const timeout = setTimeout(() => setGameState('playing'), 300)
+    return () => clearTimeout(timeout)
+  }, [gameState, loadState, mapId])
+
+  useEffect(() => () => {
+    assetLoader.current?.cancel()
+    travelLoader.current?.cancel()
+    music.current?.dispose()
   }, [])
 
-  const handleBackFromDocs = useCallback(() => {
-    setShowDocs(false)
+  // Tier-up fanfare when the tier level rises
+  const lastTierLevel = useRef(tierLevel)
+  useEffect(() => {
+    if (tierLevel > lastTierLevel.current) soundEvents.emit('tierUp')
+    lastTierLevel.current = tierLevel
+  }, [tierLevel, soundEvents])
+
+  // Portals and the map select screen both end up here. The player stays mounted while the
+  // destination loads; Scene then swaps the environment and the character respawns there.
+  const handleTravel = useCallback((to) => {
+    setShowMapSelect(false)
+    setShowFullMap(false)
+    setLayoutEditor(null)
+    if (to === mapId) return
+    travelLoader.current?.cancel()
+    setTravel({ to, loadState: null })
+    travelLoader.current = createAssetLoader(mapAssetIds(to), (state) => {
+      setTravel((current) => current && { ...current, loadState: state })
+    })
+    travelLoader.current.start()
+  }, [mapId])
+
+  const finishTravel = useCallback((to) => {
+    travelLoader.current?.cancel()
+    setMapId(to)
+    setTravel(null)
   }, [])
 
-  const handleSkeletonMove = useCallback((position) => {
-    setSkeletonPosition(position)
+  const cancelTravel = useCallback(() => {
+    travelLoader.current?.cancel()
+    setTravel(null)
   }, [])
 
-  const handleSkeletonRotate = useCallback((rotation) => {
-    setSkeletonRotation(rotation)
+  useEffect(() => {
+    if (!travel?.loadState?.ready) return
+    preloadModels(mapAssetIds(travel.to))
+    loadedMaps.current.add(travel.to)
+    finishTravel(travel.to)
+  }, [travel, finishTravel])
+
+  const handleDocs = useCallback(() => {
+    setShowDocs(true)
   }, [])
 
-  const handleZoneBlocked = useCallback((zoneId) => {
-    setUnlockPrompt(zoneId)
-  }, [setUnlockPrompt])
+  const handleBackFromDocs = useCallback(() => {
+    setShowDocs(false)
+  }, [])
+
+  // `zone` is the one blocking the player, or null once they stop pushing. A zone the tier
+  // allows but the player has no key for gets the key banner, not the tier banner. The town's
+  // legacy zones never need keys.
+  const handleZoneBlocked = useCallback((zone) => {
+    const needsKey = Boolean(zone?.key) && isZoneOpen(zone, tierLevel)
+    setKeyLockedZone(needsKey ? zone : null)
+    setTierLockedZone(needsKey ? null : zone)
+    if (!zone) return
+    soundEvents.emit('blocked')
+    stats.record({ type: 'blocked', mapId: map.id, zoneId: zone.id })
+  }, [map, tierLevel, soundEvents, stats])
 
   const handleCollect = useCallback((id) => {
+    setCollectedIds((ids) => (ids.includes(id) ? ids : [...ids, id]))
     collectItem(id)
-  }, [collectItem])
+    const collectible = map.collectibles.find((c) => c.id === id)
+    soundEvents.emit('collect', collectible && collectiblePoint(collectible))
+    if (!collectible) return
+    const [x, y, z] = collectiblePoint(collectible)
+    const item = collectibleType(collectible)
+    questLog.record({ type: 'collect', item, id, zone: getMapZoneAtPosition(map, { x, y, z })?.id ?? null })
+    stats.record({ type: 'collect', item })
+  }, [collectItem, map, soundEvents, questLog, stats])
+
+  // Emotes go out to other players and count for NPCs close enough to see them
+  const handleEmote = useCallback((emote) => {
+    presence?.emote(emote)
+    const player = playerStore.getState().position
+    const npcs = npcAgents.current
+      .filter(({ position }) => Math.hypot(position.x - player.x, position.z - player.z) < GREET_DISTANCE)
+      .map(({ role }) => role)
+    questLog.record({ type: 'emote', emote, npcs })
+    stats.record({ type: 'emote', emote })
+  }, [presence, playerStore, questLog, stats])
+
+  const handleNpcAgents = useCallback((agents) => {
+    npcAgents.current = agents
+  }, [])
 
   // Docs page
   if (showDocs) {
@@ -743,50 +1724,245 @@ function GameContent() {
   if (gameState === 'start' || gameState === 'loading') {
     return (
       <div className="w-full h-full relative overflow-hidden">
-        <FlameBackground />
-        <Canvas camera={{ position: [0, 0, 4], fov: 50 }} gl={{ alpha: true }} style={{ background: 'transparent' }}>
-          <StartScreenScene />
+        <FlameBackground scale={quality.fireScale} />
+        <Canvas
+          camera={{ position: [0, 0, 4], fov: 50 }}
+          dpr={Math.min(quality.dpr, window.devicePixelRatio)}
+          gl={{ alpha: true, antialias: quality.antialias }}
+          style={{ background: 'transparent' }}
+        >
+          <StartScreenScene onAssetError={handleAssetError} />
         </Canvas>
         <StartScreenUI
           onStart={handleStart}
           onDocs={handleDocs}
+          onSettings={() => setShowSettings(true)}
+          onSaves={() => setShowSaves(true)}
+          onAchievements={() => setShowAchievements(true)}
           isLoading={gameState === 'loading'}
-          loadProgress={loadProgress}
+          loadState={loadState}
+          onRetry={handleRetryLoad}
+          onContinue={handleContinueLoad}
         />
+        <AssetErrorNotice
+          errors={assetErrors}
+          onDismiss={() => setAssetErrors([])}
+          placement="bottom-28 left-1/2 -translate-x-1/2"
+        />
+        {showSettings && (
+          <GraphicsSettingsPanel
+            settings={graphics}
+            autoLevel={autoQuality}
+            onChange={handleGraphicsChange}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
+        {showSaves && (
+          <SaveSlotsPanel
+            activeSlot={activeSlot}
+            saveError={saveError}
+            onLoad={handleLoadSave}
+            onNew={handleNewSave}
+            onClose={() => setShowSaves(false)}
+          />
+        )}
+        {showAchievements && <AchievementsPanel stats={stats} onClose={() => setShowAchievements(false)} />}
       </div>
     )
   }
 
   // Main game
   return (
-    <div className="w-full h-full relative overflow-hidden">
-      <Canvas camera={{ position: [0, 2, 8], fov: 60 }} shadows>
-        <Scene
-          onSkeletonMove={handleSkeletonMove}
-          onSkeletonRotate={handleSkeletonRotate}
-          skeletonPosition={skeletonPosition}
-          skeletonRotation={skeletonRotation}
-          currentTierLevel={currentTier.level}
-          collectedIds={collectedIds}
-          onCollect={handleCollect}
-          onZoneBlocked={handleZoneBlocked}
-        />
-      </Canvas>
-
-      <PauseButton onPause={handlePause} />
-      <Header />
-      <ControlsHint />
+    <Profiler id="hud" onRender={perfStats.countCommit}>
+      <div className="w-full h-full relative overflow-hidden">
+        {/* antialias is fixed when the WebGL context is created; the rest follows the preset live */}
+        <Canvas
+          camera={{ position: [0, 2, 8], fov: 60 }}
+          shadows={quality.shadows}
+          dpr={Math.min(quality.dpr, window.devicePixelRatio)}
+          gl={{ antialias: quality.antialias }}
+          frameloop={paused ? 'never' : 'always'}
+        >
+          <ShadowToggle enabled={quality.shadows} />
+          {graphics.quality === 'auto' && <AdaptiveQuality level={autoQuality} onChange={setAutoQuality} />}
+          <Profiler id="scene" onRender={perfStats.countCommit}>
+            <Scene
+              map={map}
+              input={input}
+              playerStore={playerStore}
+              perfStats={showPerf ? perfStats : null}
+              currentTierLevel={tierLevel}
+              collectedIds={collectedIds}
+              keys={heldKeys}
+              onCollect={handleCollect}
+              onZoneBlocked={handleZoneBlocked}
+              onEmote={handleEmote}
+              onNpcAgents={handleNpcAgents}
+              zoneTracker={zoneTracker}
+              stats={stats}
+              mapView={mapView}
+              fullMap={showFullMap}
+              soundEvents={soundEvents}
+              soundBuffers={soundBuffers}
+              sfxVolume={audioSettings.muted ? 0 : audioSettings.sfxVolume}
+              quality={quality}
+              worldClock={worldClock}
+              presence={presence}
+              onAssetError={handleAssetError}
+              onTravel={handleTravel}
+              controlScheme={controlScheme}
+              startAt={resumePoint.current?.mapId === mapId ? resumePoint.current : null}
+              unlockedEmotes={unlockedEmotes}
+              perkEmotes={perks.emotes}
+              cosmetics={cosmetics}
+              photoMode={photoMode}
+              layoutEditor={layoutEditor && {
+                placement: layout.maps[mapId],
+                tool: layoutEditor.tool,
+                selection: layoutEditor.selection,
+                onSelect: (selection) => setLayoutEditor((editor) => ({ ...editor, selection })),
+                onChange: (placement) => handleLayoutChange(updateMapLayout(layout, mapId, () => placement)),
+              }}
+            />
+          </Profiler>
+        </Canvas>
 
-      {/* Game HUD */}
-      <div className="absolute bottom-4 right-4 z-10">
-        <MarketCapDisplay />
+        {layoutEditor ? (
+          <LayoutEditorPanel
+            mapId={mapId}
+            mapName={map.name}
+            layout={layout}
+            savedLayoutError={savedLayoutError}
+            tool={layoutEditor.tool}
+            selection={layoutEditor.selection}
+            onToolChange={(tool) => setLayoutEditor((editor) => ({ ...editor, tool }))}
+            onSelect={(selection) => setLayoutEditor((editor) => ({ ...editor, selection }))}
+            onLayoutChange={handleLayoutChange}
+            onClose={() => setLayoutEditor(null)}
+          />
+        ) : photoMode ? (
+          // Photo mode hides the HUD for clean screenshots
+          <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-black/40 backdrop-blur-sm px-4 py-2 rounded-full border border-white/10 text-white/80 text-sm z-20">
+            Photo mode — press {keyLabel(bindings, 'photoMode')} to exit
+          </div>
+        ) : (
+          <>
+            <PauseButton onPause={handlePause} />
+            <TravelButton mapName={map.name} onClick={() => setShowMapSelect(true)} />
+            {showFullMap ? (
+              <FullMapOverlay view={mapView} mapName={map.name} onClose={() => setShowFullMap(false)} />
+            ) : (
+              <>
+                <MinimapFrame onOpen={toggleFullMap} />
+                <AudioControls
+                  settings={audioSettings}
+                  onChange={handleAudioSettingsChange}
+                  onNextTrack={() => music.current?.next()}
+                />
+              </>
+            )}
+            <Header marketCapFeed={marketCapFeed} />
+            <QuestLog
+              questLog={questLog}
+              gold={gold}
+              open={showQuestLog}
+              onToggle={() => setShowQuestLog((open) => !open)}
+              toggleKey={keyLabel(bindings, 'questLog')}
+            />
+            <ControlsHint
+              controlScheme={controlScheme}
+              onToggleScheme={handleToggleScheme}
+              bindings={bindings}
+              onEditBindings={() => setShowBindings(true)}
+            />
+
+            {/* Game HUD */}
+            <div className="absolute bottom-4 right-4 z-10">
+              <MarketCapHistory feed={marketCapFeed} />
+              <MarketCapDisplay />
+            </div>
+          </>
+        )}
+        <TouchControls input={input} />
+        {showPerf && <PerfOverlay stats={perfStats} />}
+
+        {/* Overlay notifications */}
+        {!photoMode && !layoutEditor && <ZoneBanner zoneTracker={zoneTracker} currentTierLevel={tierLevel} keys={heldKeys} />}
+        {keyLockedZone && <KeyLockedBanner zone={keyLockedZone} />}
+        {tierLockedZone && <TierLockedBanner zone={tierLockedZone} />}
+        <TierUpNotification tierLevel={tierLevel} />
+        <QuestNotification questLog={questLog} />
+        <AchievementToast stats={stats} />
+        <AssetErrorNotice errors={assetErrors} onDismiss={() => setAssetErrors([])} />
+        <DevTools panel={<DevPanel />}>
+          <DevToolsButton onClick={() => {
+            setShowFullMap(false)
+            setLayoutEditor((editor) => editor ?? { tool: 'select', selection: null })
+          }}
+          >
+            Edit world layout
+          </DevToolsButton>
+          <WorldClockControls clock={worldClock} />
+          <MultiplayerControls settings={multiplayer} onChange={handleMultiplayerChange} presence={presence} />
+          <MarketCapFeedControls settings={feedSettings} onChange={handleFeedSettingsChange} feed={marketCapFeed} />
+          <PerksControls settings={perkSettings} onChange={handlePerkSettingsChange} perks={perks} />
+        </DevTools>
+        {pauseView === 'menu' && (
+          <PauseMenu
+            onResume={handleResume}
+            onSettings={() => setPauseView('settings')}
+            onControls={() => setPauseView('controls')}
+            onPerks={() => setPauseView('perks')}
+            onTitle={handleReturnToTitle}
+          />
+        )}
+        {pauseView === 'settings' && (
+          <GraphicsSettingsPanel
+            settings={graphics}
+            autoLevel={autoQuality}
+            onChange={handleGraphicsChange}
+            onClose={() => setPauseView('menu')}
+          />
+        )}
+        {pauseView === 'perks' && (
+          <PerksPanel
+            perks={perks}
+            settings={perkSettings}
+            onChange={handlePerkSettingsChange}
+            onClose={() => setPauseView('menu')}
+          />
+        )}
+        {pauseView === 'controls' && (
+          <KeyBindingsPanel
+            bindings={bindings}
+            onChange={handleBindingsChange}
+            onClose={() => setPauseView('menu')}
+          />
+        )}
+        {showBindings && (
+          <KeyBindingsPanel
+            bindings={bindings}
+            onChange={handleBindingsChange}
+            onClose={() => setShowBindings(false)}
+          />
+        )}
+        {showMapSelect && (
+          <MapSelectPanel
+            currentMapId={mapId}
+            onSelect={handleTravel}
+            onClose={() => setShowMapSelect(false)}
+          />
+        )}
+        {travel && (
+          <TravelOverlay
+            travel={travel}
+            onRetry={() => travelLoader.current?.retry()}
+            onContinue={() => finishTravel(travel.to)}
+            onCancel={cancelTravel}
+          />
+        )}
       </div>
-
-      {/* Overlay notifications */}
-      <TierUpNotification />
-      <UnlockPrompt />
-      <DevPanel />
-    </div>
+    </Profiler>
   )
 }
 
@@ -803,5 +1979,6 @@ function App() {
 
 export default App
 
-useGLTF.preload('/models/Characters_Skeleton.gltf')
-useGLTF.preload('/models/western-town/western_city.glb')
+// The start screen shows the skeleton straight away; the rest of the scene is loaded
+// through the asset loader when START is pressed
+useGLTF.preload(assetUrl('skeleton'))
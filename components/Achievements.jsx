@@ -0,0 +1,179 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { ACHIEVEMENTS } from '../utils/achievements'
+import { countTotal } from '../utils/stats'
+import { MAPS, getMapZoneAtPosition } from '../utils/maps'
+
+// Movement longer than this in one frame is a respawn or teleport, not walking
+const MAX_FRAME_DISTANCE = 5
+// Frames longer than this (a backgrounded tab) only count this long
+const MAX_FRAME_TIME = 0.25
+const TOAST_DURATION = 4000
+const RECENT_SESSIONS = 5
+
+// Feeds `stats` (utils/stats.js) from the player store each frame: distance moved and time
+// spent on the map and in the zone the player stands in. Nothing counts while `frozen`.
+export function StatsRecorder({ stats, map, playerStore, frozen }) {
+  const last = useRef(null)
+
+  useEffect(() => {
+    last.current = null
+  }, [map])
+
+  useFrame((_, delta) => {
+    if (frozen) return
+    const { position } = playerStore.getState()
+    const moved = last.current ? last.current.distanceTo(position) : 0
+    last.current = (last.current ?? new THREE.Vector3()).copy(position)
+    stats.tick(Math.min(delta, MAX_FRAME_TIME), {
+      mapId: map.id,
+      zoneId: getMapZoneAtPosition(map, position)?.id ?? null,
+      distance: moved < MAX_FRAME_DISTANCE ? moved : 0,
+    })
+  })
+
+  return null
+}
+
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60)
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m ${Math.floor(seconds % 60)}s`
+}
+
+const formatDistance = (metres) => (metres >= 1000 ? `${(metres / 1000).toFixed(2)} km` : `${Math.round(metres)} m`)
+
+// 'westernTown/saloon' -> 'Western Town · saloon'
+const zoneLabel = (key) => {
+  const [mapId, zoneId] = key.split('/')
+  return `${MAPS[mapId]?.name ?? mapId} · ${zoneId}`
+}
+
+function StatList({ counts }) {
+  return (
+    <dl className="grid grid-cols-2 gap-x-4 gap-y-0.5 text-sm">
+      {[
+        ['Distance', formatDistance(counts.distance)],
+        ['Play time', formatDuration(counts.playTime)],
+        ['Orbs', counts.collected.orb ?? 0],
+        ['Other items', countTotal(counts.collected) - (counts.collected.orb ?? 0)],
+        ['Emotes', countTotal(counts.emotes)],
+        ['Turned away', countTotal(counts.blocked)],
+      ].map(([label, value]) => (
+        <div key={label} className="flex justify-between">
+          <dt className="text-gray-400">{label}</dt>
+          <dd className="text-white">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  )
+}
+
+// Achievements screen for the start menu: badges, lifetime and per-session stats, JSON export
+export function AchievementsPanel({ stats, onClose }) {
+  const { totals, sessions, achievements } = stats.getStats()
+  const saveError = stats.getSaveError()
+  const unlocked = ACHIEVEMENTS.filter(({ id }) => achievements[id]).length
+  const zones = Object.entries(totals.zoneTime).sort(([, a], [, b]) => b - a).slice(0, 5)
+
+  const exportReport = () => {
+    const url = URL.createObjectURL(new Blob([stats.report()], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'skele-stats.json'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-30 pointer-events-auto">
+      <div className="bg-[#1a1a2e] border border-white/10 rounded-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-white">
+            Achievements <span className="text-gray-400 text-base font-normal">{unlocked}/{ACHIEVEMENTS.length}</span>
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+            Close
+          </button>
+        </div>
+
+        {saveError && <p className="text-amber-300 text-xs mb-4">Stats couldn't be saved: {saveError}</p>}
+
+        <div className="grid grid-cols-2 gap-2 mb-4">
+          {ACHIEVEMENTS.map(({ id, title, description }) => (
+            <div
+              key={id}
+              className={`px-3 py-2 rounded-xl border ${
+                achievements[id] ? 'bg-indigo-600/30 border-indigo-400' : 'bg-gray-900/60 border-gray-700 opacity-50'
+              }`}
+            >
+              <div className="text-white text-sm font-semibold">{achievements[id] ? '🏅' : '🔒'} {title}</div>
+              <div className="text-gray-400 text-xs">{description}</div>
+            </div>
+          ))}
+        </div>
+
+        <h3 className="text-white font-semibold mb-2">All time</h3>
+        <StatList counts={totals} />
+        {zones.length > 0 && (
+          <ul className="text-xs text-gray-400 mt-2 space-y-0.5">
+            {zones.map(([key, seconds]) => (
+              <li key={key} className="flex justify-between">
+                <span>{zoneLabel(key)}</span>
+                <span>{formatDuration(seconds)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {sessions.length > 0 && (
+          <>
+            <h3 className="text-white font-semibold mt-4 mb-2">Recent sessions</h3>
+            <div className="space-y-1 text-xs text-gray-400">
+              {sessions.slice(-RECENT_SESSIONS).reverse().map((session) => (
+                <div key={session.startedAt} className="flex justify-between">
+                  <span>{new Date(session.startedAt).toLocaleString()}</span>
+                  <span>
+                    {formatDuration(session.playTime)} · {formatDistance(session.distance)} · {session.collected.orb ?? 0} orbs
+                  </span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        <button
+          onClick={exportReport}
+          className="mt-4 px-3 py-1.5 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white text-sm rounded-lg transition-colors"
+        >
+          Export stats JSON
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Small card for each badge as it unlocks
+export function AchievementToast({ stats }) {
+  const [achievement, setAchievement] = useState(null)
+
+  useEffect(() => stats.subscribe((event) => {
+    if (event.type === 'unlock') setAchievement(event.achievement)
+  }), [stats])
+
+  useEffect(() => {
+    if (!achievement) return
+    const timeout = setTimeout(() => setAchievement(null), TOAST_DURATION)
+    return () => clearTimeout(timeout)
+  }, [achievement])
+
+  if (!achievement) return null
+
+  return (
+    <div className="absolute bottom-24 left-1/2 -translate-x-1/2 bg-black/70 backdrop-blur-sm px-5 py-3 rounded-xl border border-indigo-400/40 text-white z-20 pointer-events-none">
+      <div className="text-indigo-300 text-xs font-semibold uppercase tracking-wider">Achievement unlocked</div>
+      <div className="font-bold">🏅 {achievement.title}</div>
+      <div className="text-white/60 text-xs">{achievement.description}</div>
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import { Component } from 'react'
+
+// Catches a model that fails to load or parse and renders `fallback` in its place, so one
+// missing file doesn't take the whole canvas down. Works inside the R3F Canvas as well as
+// in the DOM tree. Error boundaries have to be class components.
+export class AssetErrorBoundary extends Component {
+  state = { error: null }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  componentDidCatch(error) {
+    const { assetId, label, onError } = this.props
+    onError?.({ id: assetId, label, message: error?.message || String(error) })
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback : this.props.children
+  }
+}
+
+// HUD notice listing assets that were replaced by placeholders. `placement` positions it
+// so screens with different layouts can keep it clear of their titles.
+export function AssetErrorNotice({ errors, onDismiss, placement = 'top-20 left-1/2 -translate-x-1/2' }) {
+  if (!errors.length) return null
+
+  return (
+    <div className={`absolute ${placement} max-w-md bg-red-950/80 backdrop-blur-sm px-4 py-3 rounded-xl border border-red-500/40 text-sm text-red-100 z-30`}>
+      <div className="flex justify-between items-start gap-4">
+        <div className="space-y-1">
+          {errors.map((error) => (
+            <p key={error.id}>
+              <span className="font-semibold">{error.label}</span> is missing or broken and is replaced by a placeholder.
+              <span className="block text-red-300/70 text-xs break-all">{error.message}</span>
+            </p>
+          ))}
+        </div>
+        <button onClick={onDismiss} className="text-red-300 hover:text-white transition-colors">
+          ✕
+        </button>
+      </div>
+    </div>
+  )
+}
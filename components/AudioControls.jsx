@@ -0,0 +1,68 @@
+import { useState } from 'react'
+
+// Mute button with a pop-out for music / effects volume and playlist options.
+// Settings are owned (and persisted) by GameContent.
+export function AudioControls({ settings, onChange, onNextTrack }) {
+  const [open, setOpen] = useState(false)
+  const update = (changes) => onChange({ ...settings, ...changes })
+
+  return (
+    <div className="absolute top-[272px] right-4 flex flex-col items-end gap-2 z-10">
+      <div className="flex gap-2">
+        <button
+          onClick={() => setOpen((isOpen) => !isOpen)}
+          title="Audio settings"
+          className="bg-black/40 hover:bg-black/60 backdrop-blur-sm w-9 h-9 rounded-full border border-white/10 text-white/80 text-sm transition-all"
+        >
+          ⚙
+        </button>
+        <button
+          onClick={() => update({ muted: !settings.muted })}
+          title={settings.muted ? 'Unmute' : 'Mute'}
+          className="bg-black/40 hover:bg-black/60 backdrop-blur-sm w-9 h-9 rounded-full border border-white/10 text-white text-sm transition-all"
+        >
+          {settings.muted ? '🔇' : '🔊'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="w-56 bg-black/70 backdrop-blur-sm p-3 rounded-xl border border-white/10 text-white text-sm space-y-3">
+          {[['musicVolume', 'Music'], ['sfxVolume', 'Effects']].map(([key, label]) => (
+            <label key={key} className="block space-y-1">
+              <span className="flex justify-between text-xs text-gray-300">
+                {label}
+                <span>{Math.round(settings[key] * 100)}%</span>
+              </span>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.05}
+                value={settings[key]}
+                disabled={settings.muted}
+                onChange={(e) => update({ [key]: Number(e.target.value) })}
+                className="w-full"
+              />
+            </label>
+          ))}
+          <div className="flex justify-between items-center">
+            <label className="flex items-center gap-2 text-xs text-gray-300">
+              <input
+                type="checkbox"
+                checked={settings.shuffle}
+                onChange={(e) => update({ shuffle: e.target.checked })}
+              />
+              Shuffle
+            </label>
+            <button
+              onClick={onNextTrack}
+              className="px-3 py-1 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 rounded-lg text-xs transition-colors"
+            >
+              Next track
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
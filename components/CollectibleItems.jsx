@@ -0,0 +1,164 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { collectibleType } from '../utils/collectibleTypes'
+import { collectiblePoint } from '../utils/maps'
+
+// Within this distance of the player's chest a collectible is picked up
+const COLLECT_RADIUS = 1.5
+const CHEST_HEIGHT = 1
+const BOB_HEIGHT = 0.15
+const BURST_DURATION = 0.6
+
+// Look and motion of each kind: spin (radians/sec), bob speed, burst colour
+const ITEM_STYLES = {
+  coin: { spin: 4, bob: 2, burst: '#facc15' },
+  bone: { spin: 1, bob: 1.5, burst: '#e7e7e7' },
+  key: { spin: 1.5, bob: 2.5, burst: '#d6a74e' },
+  relic: { spin: 0.6, bob: 1, burst: '#a78bfa', pulse: true },
+}
+
+const isCollected = (collectedIds, id) => (collectedIds instanceof Set ? collectedIds.has(id) : collectedIds.includes(id))
+
+// Primitive model for a collectible of `type`, colours from the Atlas_Pirate palette
+function createItemModel(type) {
+  const root = new THREE.Group()
+  const add = (geometry, material, position = [0, 0, 0], rotation = [0, 0, 0]) => {
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.position.set(...position)
+    mesh.rotation.set(...rotation)
+    mesh.castShadow = true
+    root.add(mesh)
+  }
+  const gold = new THREE.MeshStandardMaterial({ color: '#d6a74e', metalness: 0.8, roughness: 0.3, emissive: '#6b4a12', emissiveIntensity: 0.4 })
+
+  if (type === 'coin') {
+    add(new THREE.CylinderGeometry(0.25, 0.25, 0.05, 20), gold, [0, 0, 0], [Math.PI / 2, 0, 0])
+  } else if (type === 'bone') {
+    const bone = new THREE.MeshStandardMaterial({ color: '#e7e7e7', roughness: 0.7 })
+    add(new THREE.CylinderGeometry(0.05, 0.05, 0.5, 8), bone, [0, 0, 0], [0, 0, Math.PI / 2])
+    for (const x of [-0.25, 0.25]) {
+      for (const y of [-0.05, 0.05]) add(new THREE.SphereGeometry(0.07, 8, 6), bone, [x, y, 0])
+    }
+  } else if (type === 'key') {
+    add(new THREE.TorusGeometry(0.12, 0.035, 8, 16), gold, [0, 0.22, 0])
+    add(new THREE.CylinderGeometry(0.03, 0.03, 0.4, 8), gold, [0, -0.07, 0])
+    add(new THREE.BoxGeometry(0.1, 0.05, 0.04), gold, [0.06, -0.2, 0])
+    add(new THREE.BoxGeometry(0.07, 0.05, 0.04), gold, [0.05, -0.1, 0])
+  } else if (type === 'relic') {
+    const relic = new THREE.MeshStandardMaterial({ color: '#8b5cf6', emissive: '#7c3aed', emissiveIntensity: 1, roughness: 0.2, flatShading: true })
+    add(new THREE.OctahedronGeometry(0.3), relic)
+    // Soft halo, drawn additively so it glows against dark scenes
+    const halo = new THREE.Mesh(
+      new THREE.SphereGeometry(0.5, 16, 12),
+      new THREE.MeshBasicMaterial({ color: '#a78bfa', transparent: true, opacity: 0.25, blending: THREE.AdditiveBlending, depthWrite: false })
+    )
+    root.add(halo)
+  }
+  return root
+}
+
+function disposeModel(model) {
+  model.traverse((child) => {
+    if (!child.isMesh) return
+    child.geometry.dispose()
+    child.material.dispose()
+  })
+}
+
+function CollectibleItem({ collectible, type, playerPosition, onCollect }) {
+  const ref = useRef()
+  const model = useMemo(() => createItemModel(type), [type])
+  useEffect(() => () => disposeModel(model), [model])
+  const style = ITEM_STYLES[type]
+  const [x, y, z] = collectiblePoint(collectible)
+  const collected = useRef(false)
+  // Random phase so neighbouring items don't bob in step
+  const phase = useMemo(() => Math.random() * Math.PI * 2, [])
+
+  useFrame(({ clock }, delta) => {
+    const time = clock.elapsedTime + phase
+    ref.current.position.y = y + Math.sin(time * style.bob) * BOB_HEIGHT
+    ref.current.rotation.y += style.spin * delta
+    if (style.pulse) {
+      const glow = 0.75 + Math.sin(time * 3) * 0.25
+      model.children[0].material.emissiveIntensity = glow
+      model.children[1].scale.setScalar(0.9 + glow * 0.2)
+    }
+
+    const dx = playerPosition.x - x
+    const dy = playerPosition.y + CHEST_HEIGHT - y
+    const dz = playerPosition.z - z
+    if (!collected.current && dx * dx + dy * dy + dz * dz < COLLECT_RADIUS * COLLECT_RADIUS) {
+      collected.current = true
+      onCollect(collectible.id, style.burst)
+    }
+  })
+
+  return (
+    <group ref={ref} position={[x, y, z]}>
+      <primitive object={model} />
+    </group>
+  )
+}
+
+// Expanding, fading ring left where an item was picked up
+function PickupBurst({ position, color, onDone }) {
+  const ref = useRef()
+  const age = useRef(0)
+
+  useFrame((_, delta) => {
+    age.current += delta
+    const t = age.current / BURST_DURATION
+    if (t >= 1) {
+      onDone()
+      return
+    }
+    ref.current.scale.setScalar(0.5 + t * 2)
+    ref.current.material.opacity = 1 - t
+  })
+
+  return (
+    <mesh ref={ref} position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <ringGeometry args={[0.3, 0.4, 24]} />
+      <meshBasicMaterial color={color} transparent depthWrite={false} side={THREE.DoubleSide} />
+    </mesh>
+  )
+}
+
+// Coins, bones, keys and relics (utils/collectibleTypes.js): everything CollectiblesGroup's
+// orbs aren't. Like the orbs, `playerPosition` is the player store's live vector.
+export function CollectibleItems({ collectibles, collectedIds, onCollect, playerPosition }) {
+  const [bursts, setBursts] = useState([])
+  const items = collectibles
+    .map((collectible) => ({ collectible, type: collectibleType(collectible) }))
+    .filter(({ collectible, type }) => ITEM_STYLES[type] && !isCollected(collectedIds, collectible.id))
+
+  const handleCollect = (id, color) => {
+    const collectible = collectibles.find((c) => c.id === id)
+    setBursts((current) => [...current, { id, color, position: collectiblePoint(collectible) }])
+    onCollect(id)
+  }
+
+  return (
+    <>
+      {items.map(({ collectible, type }) => (
+        <CollectibleItem
+          key={collectible.id}
+          collectible={collectible}
+          type={type}
+          playerPosition={playerPosition}
+          onCollect={handleCollect}
+        />
+      ))}
+      {bursts.map((burst) => (
+        <PickupBurst
+          key={burst.id}
+          position={burst.position}
+          color={burst.color}
+          onDone={() => setBursts((current) => current.filter((b) => b !== burst))}
+        />
+      ))}
+    </>
+  )
+}
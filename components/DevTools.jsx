@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react'
+
+// Dev tools that need the game's own state (layout editor, ...), toggled with a bare F2.
+// Shift+D is sprint plus strafe right, so it can't be the toggle. DevPanel still listens for
+// Shift+D itself, so it is only mounted (`panel`) while the dev tools are open.
+export function DevTools({ children, panel = null }) {
+  const [open, setOpen] = useState(false)
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target?.closest?.('input, textarea, select')) return
+      if (e.code !== 'F2' || e.repeat || e.shiftKey || e.ctrlKey || e.altKey || e.metaKey) return
+      e.preventDefault()
+      setOpen((isOpen) => !isOpen)
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  if (!open) return null
+
+  return (
+    <>
+      {panel}
+      <div className="absolute left-4 top-1/3 w-56 bg-black/70 backdrop-blur-sm p-3 rounded-xl border border-white/10 text-white text-sm space-y-2 z-30">
+        <div className="flex justify-between items-center">
+          <span className="font-semibold">Dev tools</span>
+          <button onClick={() => setOpen(false)} className="text-gray-400 hover:text-white transition-colors">
+            ✕
+          </button>
+        </div>
+        {children}
+      </div>
+    </>
+  )
+}
+
+export function DevToolsButton({ onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className="w-full px-3 py-1.5 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 rounded-lg text-left transition-colors"
+    >
+      {children}
+    </button>
+  )
+}
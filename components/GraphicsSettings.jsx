@@ -0,0 +1,83 @@
+import { useEffect, useMemo } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { QUALITY_PRESETS, QUALITY_LEVELS, createQualityGovernor } from '../utils/graphics'
+
+// Lives inside the Canvas while quality is 'auto' and reports level changes
+export function AdaptiveQuality({ level, onChange }) {
+  const governor = useMemo(() => createQualityGovernor(level), [])
+
+  useFrame((_, delta) => {
+    const next = governor.sample(delta)
+    if (next) onChange(next)
+  })
+
+  return null
+}
+
+// Materials compile shadow support in or out, so toggling shadows needs a recompile
+export function ShadowToggle({ enabled }) {
+  const { gl, scene } = useThree()
+
+  useEffect(() => {
+    gl.shadowMap.enabled = enabled
+    gl.shadowMap.needsUpdate = true
+    scene.traverse((object) => {
+      if (!object.material) return
+      ;[].concat(object.material).forEach((material) => {
+        material.needsUpdate = true
+      })
+    })
+  }, [gl, scene, enabled])
+
+  return null
+}
+
+const describe = (preset) => [
+  preset.shadows ? `${preset.shadowMapSize}px shadows` : 'no shadows',
+  `${preset.dpr}× resolution`,
+  preset.antialias ? 'antialiasing' : 'no antialiasing',
+  preset.maxLights === Infinity ? 'all lights' : `${preset.maxLights} extra light${preset.maxLights === 1 ? '' : 's'}`,
+].join(' · ')
+
+// Quality preset picker. `autoLevel` is the level auto mode is currently running at.
+export function GraphicsSettingsPanel({ settings, autoLevel, onChange, onClose }) {
+  const options = [
+    { id: 'auto', label: 'Auto', description: `Adapts to your frame rate (currently ${QUALITY_PRESETS[autoLevel].label})` },
+    ...QUALITY_LEVELS.map((id) => ({ id, label: QUALITY_PRESETS[id].label, description: describe(QUALITY_PRESETS[id]) })),
+  ]
+
+  return (
+    <div className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-30 pointer-events-auto">
+      <div className="bg-[#1a1a2e] border border-white/10 rounded-2xl p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-white">Graphics</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+            Close
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          {options.map(({ id, label, description }) => {
+            const selected = settings.quality === id
+            return (
+              <button
+                key={id}
+                onClick={() => onChange({ ...settings, quality: id })}
+                className={`w-full text-left px-4 py-3 rounded-xl border transition-colors ${
+                  selected ? 'bg-indigo-600/30 border-indigo-400' : 'bg-gray-800/60 border-gray-600 hover:bg-gray-700/60'
+                }`}
+              >
+                <div className="text-white font-semibold">{label}</div>
+                <div className="text-gray-400 text-sm">{description}</div>
+              </button>
+            )
+          })}
+        </div>
+
+        <p className="text-gray-500 text-xs mt-4">
+          Antialiasing changes apply the next time the game view starts.
+        </p>
+      </div>
+    </div>
+  )
+}
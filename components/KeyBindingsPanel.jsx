@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react'
+import { INPUT_ACTIONS, DEFAULT_BINDINGS, rebindAction, formatKeyCode } from '../utils/input'
+
+// Lists every input action and lets the player rebind its primary key.
+// Escape cancels a pending rebind.
+export function KeyBindingsPanel({ bindings, onChange, onClose }) {
+  const [listeningFor, setListeningFor] = useState(null)
+
+  useEffect(() => {
+    if (!listeningFor) return
+    const handleKeyDown = (e) => {
+      e.preventDefault()
+      // Keep the game from also acting on the key being captured
+      e.stopImmediatePropagation()
+      if (e.code !== 'Escape') onChange(rebindAction(bindings, listeningFor, e.code))
+      setListeningFor(null)
+    }
+    // Capture phase so this runs before the input manager's window listener
+    window.addEventListener('keydown', handleKeyDown, true)
+    return () => window.removeEventListener('keydown', handleKeyDown, true)
+  }, [listeningFor, bindings, onChange])
+
+  return (
+    <div className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-30">
+      <div className="bg-[#1a1a2e] border border-white/10 rounded-2xl p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-white">Key Bindings</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+            Close
+          </button>
+        </div>
+
+        <div className="space-y-1 max-h-[60vh] overflow-y-auto">
+          {INPUT_ACTIONS.map(({ id, label }) => (
+            <div key={id} className="flex justify-between items-center py-1.5 text-sm">
+              <span className="text-gray-300">{label}</span>
+              <button
+                onClick={() => setListeningFor(id)}
+                className={`min-w-24 px-3 py-1 rounded-lg border transition-colors ${
+                  listeningFor === id
+                    ? 'bg-indigo-600 border-indigo-400 text-white'
+                    : 'bg-gray-800/60 border-gray-600 text-white hover:bg-gray-700/60'
+                }`}
+              >
+                {listeningFor === id
+                  ? 'Press a key…'
+                  : (bindings[id] || []).map(formatKeyCode).join(' / ') || '—'}
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-between items-center mt-4 text-xs text-gray-500">
+          <span>Gamepad and touch controls use fixed layouts.</span>
+          <button
+            onClick={() => onChange({ ...DEFAULT_BINDINGS })}
+            className="px-3 py-1.5 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white rounded-lg transition-colors"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
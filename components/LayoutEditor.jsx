@@ -0,0 +1,538 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useThree } from '@react-three/fiber'
+import { Html, Line, OrbitControls } from '@react-three/drei'
+import * as THREE from 'three'
+import { COLLECTIBLES } from '../utils/collectibles'
+import { DEFAULT_LAYOUT, validateLayout, withDefaultMaps, serializeLayout, clearSavedLayout, updateMapLayout } from '../utils/layout'
+import { zonePolygon, polygonArea } from '../utils/zoneGeometry'
+import { collectiblePoint, collectibleIndex } from '../utils/maps'
+import { COLLECTIBLE_TYPES, DEFAULT_COLLECTIBLE_TYPE, collectibleType } from '../utils/collectibleTypes'
+
+const TIER_COLORS = ['#4ade80', '#facc15', '#f87171', '#c084fc']
+const MIN_ZONE_SIZE = 0.5
+const HANDLE_SIZE = 0.5
+
+const tierColor = (tier) => TIER_COLORS[Math.min(tier, TIER_COLORS.length) - 1]
+
+// First `${prefix}-n` id not already in `items`
+function nextId(prefix, items) {
+  const taken = new Set(items.map((item) => item.id))
+  let n = items.length + 1
+  while (taken.has(`${prefix}-${n}`)) n++
+  return `${prefix}-${n}`
+}
+
+// Overhead orbit camera while editing; starts above the spawn point
+export function LayoutEditorCamera({ target }) {
+  const { camera } = useThree()
+
+  useEffect(() => {
+    const [x, y, z] = target
+    camera.position.set(x, y + 25, z + 15)
+    // Only on entering the editor; spawn edits shouldn't yank the view
+  }, [camera])
+
+  return <OrbitControls makeDefault target={target} maxPolarAngle={Math.PI / 2.1} />
+}
+
+// Zone polygon as a flat, pickable fill with an outline
+function ZoneShape({ polygon, y, color, opacity, onPointerDown }) {
+  const geometry = useMemo(() => {
+    // Shape space is (x, -z), so the -90° X rotation lays it on the ground at (x, z)
+    const shape = new THREE.Shape(polygon.map(([x, z]) => new THREE.Vector2(x, -z)))
+    return new THREE.ShapeGeometry(shape)
+  }, [polygon])
+
+  useEffect(() => () => geometry.dispose(), [geometry])
+
+  return (
+    <>
+      <mesh geometry={geometry} rotation={[-Math.PI / 2, 0, 0]} position={[0, y, 0]} onPointerDown={onPointerDown}>
+        <meshBasicMaterial color={color} transparent opacity={opacity} side={THREE.DoubleSide} depthWrite={false} />
+      </mesh>
+      <Line points={[...polygon, polygon[0]].map(([x, z]) => [x, y + 0.01, z])} color={color} lineWidth={2} />
+    </>
+  )
+}
+
+const withPolygon = ({ bounds, ...zone }, polygon) => ({ ...zone, polygon })
+
+const centroid = (polygon) => [
+  polygon.reduce((sum, [x]) => sum + x, 0) / polygon.length,
+  polygon.reduce((sum, [, z]) => sum + z, 0) / polygon.length,
+]
+
+// In-canvas editing: zone polygons with vertex handles, draggable collectibles and spawn.
+// The 'zone' tool drags out a rectangle; the 'polygon' tool adds a point per click and
+// closes on the first point, a double-click or Enter. Every edit produces a new `placement`
+// (the map's layout entry) through onChange.
+export function LayoutEditorScene({ placement, tool, selection, onSelect, onChange }) {
+  const controls = useThree((state) => state.controls)
+  const drag = useRef(null)
+  // Points of the polygon being drawn
+  const [draft, setDraft] = useState([])
+  const groundY = placement.spawn.position[1]
+  const zones = placement.zones ?? []
+  const collectibles = placement.collectibles ?? []
+
+  const beginDrag = (e, target) => {
+    e.stopPropagation()
+    drag.current = target
+    if (controls) controls.enabled = false
+  }
+
+  const endDrag = () => {
+    const current = drag.current
+    if (!current) return
+    drag.current = null
+    if (controls) controls.enabled = true
+    // A click with the zone tool and no drag leaves a zero-size zone behind
+    if (current.kind === 'rectangle' && polygonArea(zonePolygon(zones[current.index])) < MIN_ZONE_SIZE ** 2) {
+      onChange({ ...placement, zones: zones.filter((_, i) => i !== current.index) })
+      onSelect(null)
+    }
+  }
+
+  const finishDraft = () => {
+    if (draft.length >= 3) {
+      onChange({
+        ...placement,
+        zones: [...zones, { id: nextId('zone', zones), name: `Zone ${zones.length + 1}`, tier: 2, polygon: draft }],
+      })
+      onSelect({ kind: 'zone', index: zones.length })
+    }
+    setDraft([])
+  }
+
+  // Releasing outside the canvas still ends the drag; Enter / Escape finish or drop a polygon
+  const handlers = useRef()
+  handlers.current = { endDrag, finishDraft }
+  useEffect(() => {
+    const handlePointerUp = () => handlers.current.endDrag()
+    const handleKeyDown = (e) => {
+      if (e.target?.closest?.('input, textarea, select')) return
+      if (e.key === 'Enter') handlers.current.finishDraft()
+      if (e.key === 'Escape') setDraft([])
+    }
+    window.addEventListener('pointerup', handlePointerUp)
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('pointerup', handlePointerUp)
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [])
+
+  useEffect(() => {
+    setDraft([])
+  }, [tool])
+
+  const setZonePolygon = (index, polygon) => {
+    onChange({ ...placement, zones: zones.map((zone, i) => (i === index ? withPolygon(zone, polygon) : zone)) })
+  }
+
+  const handleGroundDown = (e) => {
+    if (!placement.zones) return
+    const { x, z } = e.point
+
+    if (tool === 'zone') {
+      onChange({
+        ...placement,
+        zones: [...zones, { id: nextId('zone', zones), name: `Zone ${zones.length + 1}`, tier: 2, polygon: [[x, z], [x, z], [x, z], [x, z]] }],
+      })
+      onSelect({ kind: 'zone', index: zones.length })
+      beginDrag(e, { kind: 'rectangle', index: zones.length, anchor: { x, z } })
+    } else if (tool === 'polygon') {
+      // Hold the camera still for the click
+      beginDrag(e, { kind: 'click' })
+      const [first] = draft
+      const last = draft[draft.length - 1]
+      if (draft.length >= 3 && Math.hypot(x - first[0], z - first[1]) < HANDLE_SIZE * 1.5) finishDraft()
+      // The second click of a double-click lands on the point just added
+      else if (!last || Math.hypot(x - last[0], z - last[1]) > HANDLE_SIZE / 2) setDraft([...draft, [x, z]])
+    }
+  }
+
+  const handleGroundMove = (e) => {
+    const current = drag.current
+    if (!current) return
+    const { x, z } = e.point
+
+    if (current.kind === 'rectangle') {
+      const { anchor } = current
+      setZonePolygon(current.index, [[anchor.x, anchor.z], [x, anchor.z], [x, z], [anchor.x, z]])
+    } else if (current.kind === 'vertex') {
+      const polygon = zonePolygon(zones[current.index])
+      setZonePolygon(current.index, polygon.map((point, i) => (i === current.vertex ? [x, z] : point)))
+    } else if (current.kind === 'zone') {
+      const dx = x - current.grab.x
+      const dz = z - current.grab.z
+      setZonePolygon(current.index, current.polygon.map(([px, pz]) => [px + dx, pz + dz]))
+    } else if (current.kind === 'collectible') {
+      onChange({
+        ...placement,
+        collectibles: collectibles.map((c, i) => (i === current.index ? { ...c, position: [x, c.position[1], z] } : c)),
+      })
+    } else if (current.kind === 'spawn') {
+      onChange({ ...placement, spawn: { ...placement.spawn, position: [x, placement.spawn.position[1], z] } })
+    }
+  }
+
+  const isSelected = (kind, index) => selection?.kind === kind && selection.index === index
+
+  return (
+    <group>
+      {/* Invisible ground at spawn height that catches drawing and dragging */}
+      <mesh
+        rotation={[-Math.PI / 2, 0, 0]}
+        position={[0, groundY, 0]}
+        onPointerDown={handleGroundDown}
+        onPointerMove={handleGroundMove}
+        onPointerUp={endDrag}
+        onDoubleClick={() => tool === 'polygon' && finishDraft()}
+      >
+        <planeGeometry args={[400, 400]} />
+        <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+      </mesh>
+
+      {zones.map((zone, index) => {
+        const polygon = zonePolygon(zone)
+        const selected = isSelected('zone', index)
+        const [cx, cz] = centroid(polygon)
+        return (
+          <group key={zone.id}>
+            <ZoneShape
+              polygon={polygon}
+              y={groundY + 0.05}
+              color={tierColor(zone.tier)}
+              opacity={selected ? 0.45 : 0.25}
+              onPointerDown={(e) => {
+                if (tool !== 'select') return
+                onSelect({ kind: 'zone', index })
+                beginDrag(e, { kind: 'zone', index, grab: { x: e.point.x, z: e.point.z }, polygon })
+              }}
+            />
+            <Html position={[cx, groundY + 1, cz]} center>
+              <div className="bg-black/60 px-2 py-0.5 rounded text-white text-xs whitespace-nowrap pointer-events-none">
+                {zone.name} · tier {zone.tier}
+              </div>
+            </Html>
+            {selected && tool === 'select' && polygon.map(([x, z], vertex) => (
+              <mesh
+                key={vertex}
+                position={[x, groundY + HANDLE_SIZE / 2, z]}
+                onPointerDown={(e) => beginDrag(e, { kind: 'vertex', index, vertex })}
+              >
+                <boxGeometry args={[HANDLE_SIZE, HANDLE_SIZE, HANDLE_SIZE]} />
+                <meshBasicMaterial color="#ffffff" />
+              </mesh>
+            ))}
+          </group>
+        )
+      })}
+
+      {draft.length > 0 && (
+        <group>
+          {draft.length > 1 && <Line points={draft.map(([x, z]) => [x, groundY + 0.06, z])} color="#ffffff" lineWidth={2} dashed />}
+          {draft.map(([x, z], i) => (
+            <mesh key={i} position={[x, groundY + HANDLE_SIZE / 2, z]}>
+              <boxGeometry args={[HANDLE_SIZE, HANDLE_SIZE, HANDLE_SIZE]} />
+              <meshBasicMaterial color={i === 0 ? '#facc15' : '#ffffff'} />
+            </mesh>
+          ))}
+        </group>
+      )}
+
+      {collectibles.map((collectible, index) => (
+        <mesh
+          key={collectible.id}
+          position={collectible.position}
+          onPointerDown={(e) => {
+            if (tool !== 'select') return
+            onSelect({ kind: 'collectible', index })
+            beginDrag(e, { kind: 'collectible', index })
+          }}
+        >
+          <sphereGeometry args={[0.35, 16, 12]} />
+          <meshBasicMaterial color={isSelected('collectible', index) ? '#ffffff' : '#22d3ee'} wireframe />
+        </mesh>
+      ))}
+
+      {/* Spawn: a cone pointing the way the player faces */}
+      <group position={placement.spawn.position} rotation={[0, placement.spawn.rotation, 0]}>
+        <mesh
+          position={[0, 0.6, 0]}
+          rotation={[Math.PI / 2, 0, 0]}
+          onPointerDown={(e) => {
+            if (tool !== 'select') return
+            onSelect({ kind: 'spawn' })
+            beginDrag(e, { kind: 'spawn' })
+          }}
+        >
+          <coneGeometry args={[0.4, 1.2, 16]} />
+          <meshBasicMaterial color={selection?.kind === 'spawn' ? '#ffffff' : '#4ade80'} />
+        </mesh>
+      </group>
+    </group>
+  )
+}
+
+// Number input where blank means "not set" (undefined, so it drops out of the JSON)
+function OptionalNumber({ label, value, onChange }) {
+  return (
+    <label className="space-y-1">
+      <span>{label}</span>
+      <input
+        type="number"
+        step="0.5"
+        value={value ?? ''}
+        placeholder="–"
+        onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+        className="w-full bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white"
+      />
+    </label>
+  )
+}
+
+const panelButton = 'px-3 py-1.5 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white rounded-lg transition-colors'
+
+// Editor sidebar: tool choice, zone and collectible lists, spawn facing, JSON import/export
+export function LayoutEditorPanel({ mapId, mapName, layout, savedLayoutError, tool, selection, onToolChange, onSelect, onLayoutChange, onClose }) {
+  const [status, setStatus] = useState(savedLayoutError && `Saved layout ignored: ${savedLayoutError}`)
+  const fileInput = useRef(null)
+  const placement = layout.maps[mapId]
+  const { zones, collectibles, spawn } = placement
+
+  const selectedZone = selection?.kind === 'zone' ? zones?.[selection.index] : null
+  const selectedCollectible = selection?.kind === 'collectible' ? collectibles?.[selection.index] : null
+  // Keys on any map can open a zone here
+  const keyIds = useMemo(
+    () => [...collectibleIndex(layout).values()].filter(({ type }) => type === 'key').map(({ id }) => id),
+    [layout]
+  )
+
+  const setPlacement = (next) => onLayoutChange(updateMapLayout(layout, mapId, () => next))
+  const updateZone = (index, changes) => {
+    setPlacement({ ...placement, zones: zones.map((zone, i) => (i === index ? { ...zone, ...changes } : zone)) })
+  }
+
+  const updateCollectible = (index, changes) => {
+    setPlacement({ ...placement, collectibles: collectibles.map((collectible, i) => (i === index ? { ...collectible, ...changes } : collectible)) })
+  }
+
+  const addCollectible = () => {
+    const list = collectibles ?? []
+    // A couple of metres in front of the spawn point
+    const [x, y, z] = spawn.position
+    const position = [x + Math.sin(spawn.rotation) * 2, y + 1, z + Math.cos(spawn.rotation) * 2]
+    setPlacement({ ...placement, collectibles: [...list, { id: nextId(mapId, list), position }] })
+    onSelect({ kind: 'collectible', index: list.length })
+  }
+
+  const deleteSelected = () => {
+    if (selection?.kind === 'zone') {
+      setPlacement({ ...placement, zones: zones.filter((_, i) => i !== selection.index) })
+    } else if (selection?.kind === 'collectible') {
+      setPlacement({ ...placement, collectibles: collectibles.filter((_, i) => i !== selection.index) })
+    }
+    onSelect(null)
+  }
+
+  const exportLayout = () => {
+    const url = URL.createObjectURL(new Blob([serializeLayout(layout)], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'layout.json'
+    link.click()
+    URL.revokeObjectURL(url)
+    setStatus('Exported layout.json. Replace data/layout.json with it to ship it.')
+  }
+
+  // Maps the file leaves out keep their shipped layout
+  const importLayout = async (file) => {
+    try {
+      onLayoutChange(withDefaultMaps(validateLayout(JSON.parse(await file.text()))))
+      onSelect(null)
+      setStatus(`Imported ${file.name}`)
+    } catch (error) {
+      setStatus(`Import failed: ${error.message}`)
+    }
+  }
+
+  const resetLayout = () => {
+    clearSavedLayout()
+    onLayoutChange(DEFAULT_LAYOUT)
+    onSelect(null)
+    setStatus('Reset to data/layout.json')
+  }
+
+  return (
+    <div className="absolute top-4 right-4 bottom-4 w-80 bg-[#1a1a2e]/95 border border-white/10 rounded-2xl p-4 text-white text-sm flex flex-col gap-4 overflow-y-auto z-30">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg font-bold">Layout · {mapName}</h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+          Done
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        {[['select', 'Select'], ['zone', 'Rectangle'], ['polygon', 'Polygon']].map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => onToolChange(id)}
+            className={`flex-1 px-3 py-1.5 rounded-lg border transition-colors ${
+              tool === id ? 'bg-indigo-600 border-indigo-400' : 'bg-gray-800/60 border-gray-600 hover:bg-gray-700/60'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className="text-gray-400 text-xs">
+        {tool === 'zone'
+          ? 'Drag on the ground to draw a rectangular zone.'
+          : tool === 'polygon'
+            ? 'Click to add points. Click the first point, double-click or press Enter to close; Escape cancels.'
+            : 'Drag zones, vertex handles, collectibles and the spawn cone. Right-drag or scroll to move the view.'}
+      </p>
+
+      <section className="space-y-2">
+        <h3 className="font-semibold">Zones</h3>
+        {zones === null ? (
+          <div className="space-y-2">
+            <p className="text-gray-400 text-xs">This map still uses the zones in utils/zones.js.</p>
+            <button onClick={() => setPlacement({ ...placement, zones: [] })} className={panelButton}>
+              Define zones in the layout
+            </button>
+          </div>
+        ) : zones.map((zone, index) => (
+          <div
+            key={zone.id}
+            onClick={() => onSelect({ kind: 'zone', index })}
+            className={`flex gap-2 items-center p-1.5 rounded-lg ${selection?.kind === 'zone' && selection.index === index ? 'bg-white/10' : ''}`}
+          >
+            <input
+              value={zone.name}
+              onChange={(e) => updateZone(index, { name: e.target.value })}
+              className="flex-1 min-w-0 bg-gray-900 border border-gray-700 rounded px-2 py-1"
+            />
+            <select
+              value={zone.tier}
+              onChange={(e) => updateZone(index, { tier: Number(e.target.value) })}
+              className="bg-gray-900 border border-gray-700 rounded px-1 py-1"
+            >
+              {[1, 2, 3].map((tier) => (
+                <option key={tier} value={tier}>Tier {tier}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+        {selectedZone && (
+          <div className="grid grid-cols-3 gap-2 text-xs text-gray-400">
+            <OptionalNumber label="Priority" value={selectedZone.priority} onChange={(priority) => updateZone(selection.index, { priority })} />
+            <OptionalNumber label="Min Y" value={selectedZone.minY} onChange={(minY) => updateZone(selection.index, { minY })} />
+            <OptionalNumber label="Max Y" value={selectedZone.maxY} onChange={(maxY) => updateZone(selection.index, { maxY })} />
+            <label className="col-span-3 flex items-center gap-2">
+              Key
+              <select
+                value={selectedZone.key ?? ''}
+                onChange={(e) => updateZone(selection.index, { key: e.target.value || undefined })}
+                className="flex-1 bg-gray-900 border border-gray-700 rounded px-1 py-1 text-white"
+              >
+                <option value="">None</option>
+                {keyIds.map((id) => (
+                  <option key={id} value={id}>{id}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <h3 className="font-semibold">Collectibles {collectibles && `(${collectibles.length})`}</h3>
+        {collectibles === null ? (
+          <div className="space-y-2">
+            <p className="text-gray-400 text-xs">This map still uses utils/collectibles.js.</p>
+            <button
+              onClick={() => setPlacement({
+                ...placement,
+                collectibles: COLLECTIBLES.map((collectible) => ({
+                  id: collectible.id,
+                  position: [...collectiblePoint(collectible)],
+                })),
+              })}
+              className={panelButton}
+            >
+              Copy into the layout
+            </button>
+          </div>
+        ) : (
+          <button onClick={addCollectible} className={panelButton}>Add collectible</button>
+        )}
+        {selectedCollectible && (
+          <label className="flex items-center gap-2 text-xs text-gray-400">
+            <span className="flex-1 font-mono truncate">{selectedCollectible.id}</span>
+            <select
+              value={collectibleType(selectedCollectible)}
+              onChange={(e) => updateCollectible(selection.index, {
+                type: e.target.value === DEFAULT_COLLECTIBLE_TYPE ? undefined : e.target.value,
+              })}
+              className="bg-gray-900 border border-gray-700 rounded px-1 py-1 text-white"
+            >
+              {Object.entries(COLLECTIBLE_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <h3 className="font-semibold">Spawn</h3>
+        <p className="text-gray-400 text-xs font-mono">
+          {spawn.position.map((v) => v.toFixed(1)).join(', ')}
+        </p>
+        <label className="flex items-center gap-2">
+          Facing
+          <input
+            type="range"
+            min={-180}
+            max={180}
+            value={Math.round(THREE.MathUtils.radToDeg(spawn.rotation))}
+            onChange={(e) => setPlacement({
+              ...placement,
+              spawn: { ...spawn, rotation: THREE.MathUtils.degToRad(Number(e.target.value)) },
+            })}
+            className="flex-1"
+          />
+        </label>
+      </section>
+
+      {(selection?.kind === 'zone' || selection?.kind === 'collectible') && (
+        <button onClick={deleteSelected} className="px-3 py-1.5 bg-red-900/60 hover:bg-red-800/60 border border-red-700 rounded-lg transition-colors">
+          Delete selected {selection.kind}
+        </button>
+      )}
+
+      <section className="mt-auto space-y-2">
+        <div className="flex flex-wrap gap-2">
+          <button onClick={exportLayout} className={panelButton}>Export JSON</button>
+          <button onClick={() => fileInput.current.click()} className={panelButton}>Import JSON</button>
+          <button onClick={resetLayout} className={panelButton}>Reset</button>
+        </div>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0]) importLayout(e.target.files[0])
+            e.target.value = ''
+          }}
+        />
+        {status && <p className="text-gray-400 text-xs">{status}</p>}
+        <p className="text-gray-500 text-xs">Edits are saved in this browser until reset.</p>
+      </section>
+    </div>
+  )
+}
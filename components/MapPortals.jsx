@@ -0,0 +1,58 @@
+import { useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { Html } from '@react-three/drei'
+import * as THREE from 'three'
+import { MAPS } from '../utils/maps'
+
+const PORTAL_RADIUS = 1.2
+const PORTAL_HEIGHT = 1.3
+
+// Spinning ring with a label naming the destination
+function Portal({ portal }) {
+  const ringRef = useRef()
+
+  useFrame((_, delta) => {
+    ringRef.current.rotation.z += delta * 0.8
+  })
+
+  return (
+    <group position={portal.position}>
+      <mesh ref={ringRef} position={[0, PORTAL_HEIGHT, 0]}>
+        <torusGeometry args={[1.1, 0.08, 12, 48]} />
+        <meshStandardMaterial color="#a78bfa" emissive="#7c3aed" emissiveIntensity={2} />
+      </mesh>
+      <mesh position={[0, PORTAL_HEIGHT, 0]}>
+        <circleGeometry args={[1.05, 48]} />
+        <meshBasicMaterial color="#c4b5fd" transparent opacity={0.35} side={THREE.DoubleSide} depthWrite={false} />
+      </mesh>
+      <pointLight position={[0, PORTAL_HEIGHT, 0]} color="#a78bfa" intensity={4} distance={6} />
+      <Html position={[0, PORTAL_HEIGHT + 1.5, 0]} center distanceFactor={10}>
+        <div className="bg-black/50 px-3 py-1 rounded-full text-white text-sm whitespace-nowrap pointer-events-none">
+          To {MAPS[portal.to].name}
+        </div>
+      </Html>
+    </group>
+  )
+}
+
+// The current map's portals. Walking into one calls onTravel with its destination map id.
+export function MapPortals({ portals, playerStore, onTravel }) {
+  // Only fire once the player has been outside every portal, so arriving next to one
+  // (or standing in it while the next map loads) doesn't trigger it again
+  const armed = useRef(false)
+
+  useFrame(() => {
+    const { position } = playerStore.getState()
+    const inside = portals.find(({ position: [x, y, z] }) =>
+      Math.hypot(position.x - x, position.z - z) < PORTAL_RADIUS && Math.abs(position.y - y) < 2
+    )
+    if (!inside) {
+      armed.current = true
+    } else if (armed.current) {
+      armed.current = false
+      onTravel(inside.to)
+    }
+  })
+
+  return portals.map((portal) => <Portal key={portal.to} portal={portal} />)
+}
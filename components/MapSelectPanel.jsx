@@ -0,0 +1,41 @@
+import { MAPS } from '../utils/maps'
+
+// Lists every map; picking one travels there (same as walking through a portal)
+export function MapSelectPanel({ currentMapId, onSelect, onClose }) {
+  return (
+    <div className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-30">
+      <div className="bg-[#1a1a2e] border border-white/10 rounded-2xl p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-white">Travel</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+            Close
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          {Object.values(MAPS).map((map) => {
+            const current = map.id === currentMapId
+            return (
+              <button
+                key={map.id}
+                onClick={() => onSelect(map.id)}
+                disabled={current}
+                className={`w-full text-left px-4 py-3 rounded-xl border transition-colors ${
+                  current
+                    ? 'bg-indigo-600/30 border-indigo-400 cursor-default'
+                    : 'bg-gray-800/60 border-gray-600 hover:bg-gray-700/60'
+                }`}
+              >
+                <div className="text-white font-semibold">
+                  {map.name}
+                  {current && <span className="ml-2 text-xs text-indigo-300">You are here</span>}
+                </div>
+                <div className="text-gray-400 text-sm">{map.description}</div>
+              </button>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,187 @@
+import { useEffect, useRef, useState } from 'react'
+import { FEED_PROVIDERS, MOCK_SCRIPTS, TIER_MARKET_CAPS, formatMarketCap, recordedHistory, tierLevelForMarketCap } from '../utils/marketCapFeed'
+
+// Staleness depends on the clock as well as on polls, so re-read the feed now and then
+const REFRESH_MS = 10 * 1000
+const SPARKLINE_POINTS = 60
+const TIER_UP_DURATION = 4000
+
+const STATUS_STYLES = {
+  loading: { dot: 'bg-gray-400', label: 'Loading' },
+  live: { dot: 'bg-green-400', label: 'Live' },
+  stale: { dot: 'bg-amber-400', label: 'Stale' },
+  offline: { dot: 'bg-red-500', label: 'Offline' },
+}
+
+// A copy of the feed's state, kept current
+function useFeedState(feed) {
+  const [state, setState] = useState(() => ({ ...feed.getState() }))
+  useEffect(() => {
+    const refresh = () => setState({ ...feed.getState() })
+    refresh()
+    const unsubscribe = feed.subscribe(refresh)
+    const timer = setInterval(refresh, REFRESH_MS)
+    return () => {
+      unsubscribe()
+      clearInterval(timer)
+    }
+  }, [feed])
+  return state
+}
+
+// Tier level the feed's value reaches. Only re-renders when the level changes.
+export function useFeedTierLevel(feed) {
+  const [level, setLevel] = useState(() => tierLevelForMarketCap(feed.getState().value))
+  useEffect(() => {
+    const refresh = () => setLevel(tierLevelForMarketCap(feed.getState().value))
+    refresh()
+    return feed.subscribe(refresh)
+  }, [feed])
+  return level
+}
+
+// Celebration card when `tierLevel` (from useFeedTierLevel) goes up
+export function TierUpNotification({ tierLevel }) {
+  const [tier, setTier] = useState(null)
+  const previous = useRef(tierLevel)
+
+  useEffect(() => {
+    if (tierLevel > previous.current) setTier(tierLevel)
+    previous.current = tierLevel
+  }, [tierLevel])
+
+  useEffect(() => {
+    if (!tier) return
+    const timeout = setTimeout(() => setTier(null), TIER_UP_DURATION)
+    return () => clearTimeout(timeout)
+  }, [tier])
+
+  if (!tier) return null
+
+  return (
+    <div className="absolute top-1/3 left-1/2 -translate-x-1/2 -translate-y-1/2 z-40 pointer-events-none animate-bounce">
+      <div className="bg-gradient-to-r from-indigo-600 to-purple-600 px-8 py-4 rounded-2xl shadow-2xl border border-white/20 text-center">
+        <div className="text-white/80 text-sm font-semibold uppercase tracking-wider">Tier Unlocked</div>
+        <div className="text-white text-2xl font-bold">Tier {tier}</div>
+        <div className="text-yellow-300 text-sm mt-1">{formatMarketCap(TIER_MARKET_CAPS[tier - 1])} market cap reached</div>
+      </div>
+    </div>
+  )
+}
+
+const formatAge = (ms) => {
+  const minutes = Math.floor(ms / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes}m ago`
+  return `${Math.floor(minutes / 60)}h ago`
+}
+
+export function MarketCapSparkline({ history, width = 120, height = 28 }) {
+  const values = history.slice(-SPARKLINE_POINTS).map(({ value }) => value)
+  if (values.length < 2) return <div style={{ width, height }} />
+  const min = Math.min(...values)
+  const range = Math.max(...values) - min || 1
+  const points = values
+    .map((value, i) => `${((i / (values.length - 1)) * width).toFixed(1)},${(height - 2 - ((value - min) / range) * (height - 4)).toFixed(1)}`)
+    .join(' ')
+  const rising = values[values.length - 1] >= values[0]
+  return (
+    <svg width={width} height={height} className="block">
+      <polyline points={points} fill="none" stroke={rising ? '#4ade80' : '#f87171'} strokeWidth={1.5} strokeLinejoin="round" />
+    </svg>
+  )
+}
+
+// Freshness of the market cap, for the header next to MarketCapBadge
+export function MarketCapFeedStatus({ feed }) {
+  const state = useFeedState(feed)
+  const style = STATUS_STYLES[state.status]
+  const age = state.fetchedAt === null ? null : formatAge(Date.now() - state.fetchedAt)
+  return (
+    <div
+      title={state.error ? `${state.provider}: ${state.error}` : state.provider}
+      className="flex items-center gap-2 bg-black/40 backdrop-blur px-3 py-1 rounded-full border border-white/10 text-white/70 text-xs"
+    >
+      <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+      {style.label}
+      {state.status !== 'live' && age && <span className="text-white/50">· {age}</span>}
+    </div>
+  )
+}
+
+// Recent market cap history for the HUD, above MarketCapDisplay
+export function MarketCapHistory({ feed }) {
+  const state = useFeedState(feed)
+  if (state.history.length < 2) return null
+  const first = state.history[Math.max(0, state.history.length - SPARKLINE_POINTS)].value
+  const change = ((state.value - first) / first) * 100
+  return (
+    <div className="bg-black/40 backdrop-blur-sm px-3 py-2 rounded-xl border border-white/10 mb-2">
+      <div className="flex justify-between items-baseline text-xs mb-1">
+        <span className="text-white/70">{formatMarketCap(state.value)}</span>
+        <span className={change >= 0 ? 'text-green-400' : 'text-red-400'}>
+          {change >= 0 ? '+' : ''}{change.toFixed(1)}%
+        </span>
+      </div>
+      <MarketCapSparkline history={state.history} />
+    </div>
+  )
+}
+
+const SPEEDS = [1, 5, 20]
+
+// DevTools section: where the market cap comes from
+export function MarketCapFeedControls({ settings, onChange, feed }) {
+  const state = useFeedState(feed)
+  const canReplay = recordedHistory(settings).length >= 2
+  const select = 'bg-gray-800 border border-gray-600 rounded px-1 py-0.5'
+  return (
+    <div className="space-y-2 text-xs">
+      <label className="flex justify-between items-center gap-2">
+        Market cap
+        <select value={settings.provider} onChange={(e) => onChange({ ...settings, provider: e.target.value })} className={select}>
+          {Object.entries(FEED_PROVIDERS).map(([id, label]) => (
+            <option key={id} value={id} disabled={id === 'replay' && !canReplay}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {settings.provider === 'mock' && (
+        <select value={settings.script} onChange={(e) => onChange({ ...settings, script: e.target.value })} className={`${select} w-full`}>
+          {Object.entries(MOCK_SCRIPTS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      )}
+      {settings.provider === 'dexscreener' ? (
+        <label className="block">
+          Contract address
+          <input
+            key={settings.tokenAddress}
+            defaultValue={settings.tokenAddress}
+            onBlur={(e) => e.target.value !== settings.tokenAddress && onChange({ ...settings, tokenAddress: e.target.value.trim() })}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            className="w-full mt-0.5 bg-gray-800 border border-gray-600 rounded px-1 py-0.5"
+          />
+        </label>
+      ) : (
+        <label className="flex justify-between items-center gap-2">
+          Speed
+          <select value={settings.speed} onChange={(e) => onChange({ ...settings, speed: Number(e.target.value) })} className={select}>
+            {SPEEDS.map((speed) => (
+              <option key={speed} value={speed}>{speed}×</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <div className="flex justify-between items-center text-gray-300">
+        <span>
+          {state.value === null ? '—' : formatMarketCap(state.value)} · {STATUS_STYLES[state.status].label}
+        </span>
+        <button onClick={feed.refresh} className="text-gray-400 hover:text-white transition-colors">
+          Poll now
+        </button>
+      </div>
+      {state.error && <div className="text-red-300">{state.error}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,259 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { Line } from '@react-three/drei'
+import * as THREE from 'three'
+import { zonePolygon } from '../utils/zoneGeometry'
+import { collectiblePoint, isZoneOpen } from '../utils/maps'
+
+// Map markers (player arrow, zone outlines, orb dots) sit on their own layer, which only the
+// top-down map camera renders, so they never show up in the third-person view
+const MAP_LAYER = 1
+
+// Minimap square in CSS pixels, below the header in the top-right corner
+const MINIMAP_SIZE = 180
+const MINIMAP_TOP = 80
+const MINIMAP_RIGHT = 16
+const MINIMAP_RANGE = 25 // World units from the minimap's centre to its edge
+const FULL_MAP_MIN_RANGE = 10
+const FULL_MAP_MAX_RANGE = 150
+const FULL_MAP_ZOOM_STEP = 1.15
+// Height of the map camera above the player: over rooftops, under the forest's sky dome
+const MAP_CAMERA_HEIGHT = 30
+const MARKER_PIXELS = 14
+const ORB_PIXELS = 6
+
+const ZONE_OPEN_COLOR = '#4ade80'
+const ZONE_LOCKED_COLOR = '#f87171'
+const ORB_COLOR = '#facc15'
+
+// Pan and zoom of the full-screen map, shared between its DOM controls and the canvas.
+// Mutated in place like the player store; while following it re-centres on the player.
+export function createMapView() {
+  return {
+    center: new THREE.Vector2(),
+    range: 60,
+    following: true,
+  }
+}
+
+const isCollected = (collectedIds, id) => (collectedIds instanceof Set ? collectedIds.has(id) : collectedIds.includes(id))
+
+// Drawn over everything in the map pass, whatever the terrain height
+const overlayMaterial = { depthTest: false, depthWrite: false, transparent: true }
+
+function createArrowGeometry() {
+  // Points along +Z (the skeleton's forward) once laid flat by the -90° X rotation
+  const shape = new THREE.Shape([
+    new THREE.Vector2(0, -0.6),
+    new THREE.Vector2(0.45, 0.45),
+    new THREE.Vector2(0, 0.2),
+    new THREE.Vector2(-0.45, 0.45),
+  ])
+  return new THREE.ShapeGeometry(shape).rotateX(-Math.PI / 2)
+}
+
+// Renders the scene a second time from an orthographic camera straight above the player:
+// into the top-right minimap square, or over the whole canvas when `fullMap` is set.
+// Taking over the frame loop (priority 1) means this also renders the main view.
+// `keys` (collected ids) colours key-locked zones open once their key is held.
+export function WorldMap({ map, collectedIds, currentTierLevel, keys, playerStore, view, fullMap, perfStats }) {
+  const gl = useThree((state) => state.gl)
+  const marker = useRef()
+  const orbs = useRef()
+  const arrowGeometry = useMemo(() => createArrowGeometry(), [])
+  const minimapCenter = useMemo(() => new THREE.Vector2(), [])
+  const mapCamera = useMemo(() => {
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 200)
+    camera.up.set(0, 0, -1) // North (-Z) at the top
+    camera.layers.enable(MAP_LAYER)
+    return camera
+  }, [])
+
+  // info covers both passes; the perf overlay gets the map pass's share through perfStats
+  useEffect(() => {
+    gl.info.autoReset = false
+    return () => {
+      gl.info.autoReset = true
+      arrowGeometry.dispose()
+    }
+  }, [gl, arrowGeometry])
+
+  useEffect(() => {
+    if (!perfStats) return
+    return () => {
+      perfStats.map.drawCalls = 0
+      perfStats.map.triangles = 0
+    }
+  }, [perfStats])
+
+  // Zone outlines only for layout zones; the town's legacy boxes aren't listed anywhere
+  const zones = Array.isArray(map.zones) ? map.zones : []
+  const remainingOrbs = map.collectibles.filter((collectible) => !isCollected(collectedIds, collectible.id))
+
+  useFrame(({ scene, camera, size }) => {
+    const { position, rotation } = playerStore.getState()
+    if (fullMap && view.following) view.center.set(position.x, position.z)
+    const center = fullMap ? view.center : minimapCenter.set(position.x, position.z)
+    const range = fullMap ? view.range : MINIMAP_RANGE
+    const width = fullMap ? size.width : MINIMAP_SIZE
+    const height = fullMap ? size.height : MINIMAP_SIZE
+
+    const aspect = width / height
+    mapCamera.left = -range * aspect
+    mapCamera.right = range * aspect
+    mapCamera.top = range
+    mapCamera.bottom = -range
+    mapCamera.updateProjectionMatrix()
+    mapCamera.position.set(center.x, position.y + MAP_CAMERA_HEIGHT, center.y)
+    mapCamera.lookAt(center.x, position.y, center.y)
+
+    // Keep markers the same size on screen at any zoom
+    const unitsPerPixel = (2 * range) / height
+    marker.current.position.copy(position)
+    marker.current.rotation.y = rotation
+    marker.current.scale.setScalar(MARKER_PIXELS * unitsPerPixel)
+    orbs.current.children.forEach((orb) => orb.scale.setScalar(ORB_PIXELS * unitsPerPixel))
+
+    gl.info.reset()
+    if (!fullMap) {
+      gl.setViewport(0, 0, size.width, size.height)
+      gl.render(scene, camera)
+    }
+
+    // No fog (it would swallow everything 30 units down) and no fresh shadow maps for the map pass
+    const fog = scene.fog
+    const shadowAutoUpdate = gl.shadowMap.autoUpdate
+    scene.fog = null
+    gl.shadowMap.autoUpdate = false
+    const { calls, triangles } = gl.info.render
+    if (fullMap) {
+      gl.setViewport(0, 0, size.width, size.height)
+      gl.render(scene, mapCamera)
+    } else {
+      const x = size.width - MINIMAP_RIGHT - MINIMAP_SIZE
+      const y = size.height - MINIMAP_TOP - MINIMAP_SIZE
+      gl.setScissorTest(true)
+      gl.setScissor(x, y, MINIMAP_SIZE, MINIMAP_SIZE)
+      gl.setViewport(x, y, MINIMAP_SIZE, MINIMAP_SIZE)
+      gl.render(scene, mapCamera)
+      gl.setScissorTest(false)
+      gl.setViewport(0, 0, size.width, size.height)
+    }
+    scene.fog = fog
+    gl.shadowMap.autoUpdate = shadowAutoUpdate
+    if (perfStats) {
+      perfStats.map.drawCalls = gl.info.render.calls - calls
+      perfStats.map.triangles = gl.info.render.triangles - triangles
+    }
+  }, 1)
+
+  return (
+    <group>
+      {zones.map((zone) => {
+        const polygon = zonePolygon(zone)
+        return (
+          <Line
+            key={zone.id}
+            layers={MAP_LAYER}
+            points={[...polygon, polygon[0]].map(([x, z]) => [x, map.spawn.position[1], z])}
+            color={isZoneOpen(zone, currentTierLevel, keys) ? ZONE_OPEN_COLOR : ZONE_LOCKED_COLOR}
+            lineWidth={2}
+            renderOrder={10}
+            {...overlayMaterial}
+          />
+        )
+      })}
+
+      <group ref={orbs}>
+        {remainingOrbs.map((collectible) => (
+          <mesh key={collectible.id} layers={MAP_LAYER} position={collectiblePoint(collectible)} rotation={[-Math.PI / 2, 0, 0]} renderOrder={11}>
+            <circleGeometry args={[0.5, 12]} />
+            <meshBasicMaterial color={ORB_COLOR} {...overlayMaterial} />
+          </mesh>
+        ))}
+      </group>
+
+      <mesh ref={marker} layers={MAP_LAYER} geometry={arrowGeometry} renderOrder={12}>
+        <meshBasicMaterial color="#ffffff" {...overlayMaterial} />
+      </mesh>
+    </group>
+  )
+}
+
+// DOM frame over the minimap square; clicking it opens the full map
+export function MinimapFrame({ onOpen }) {
+  return (
+    <button
+      onClick={onOpen}
+      title="Open map"
+      className="absolute border-2 border-white/30 hover:border-white/60 rounded-sm shadow-lg transition-colors z-10"
+      style={{ top: MINIMAP_TOP, right: MINIMAP_RIGHT, width: MINIMAP_SIZE, height: MINIMAP_SIZE }}
+    >
+      <span className="absolute top-1 left-1/2 -translate-x-1/2 text-white/80 text-[10px] font-bold">N</span>
+    </button>
+  )
+}
+
+// Pan (drag) and zoom (wheel) for the full-screen map. The canvas underneath draws it.
+export function FullMapOverlay({ view, mapName, onClose }) {
+  const dragging = useRef(null)
+
+  const handlePointerMove = (e) => {
+    if (!dragging.current) return
+    const unitsPerPixel = (2 * view.range) / e.currentTarget.clientHeight
+    view.following = false
+    view.center.x -= (e.clientX - dragging.current.x) * unitsPerPixel
+    view.center.y -= (e.clientY - dragging.current.y) * unitsPerPixel
+    dragging.current = { x: e.clientX, y: e.clientY }
+  }
+
+  const handleWheel = (e) => {
+    const factor = e.deltaY > 0 ? FULL_MAP_ZOOM_STEP : 1 / FULL_MAP_ZOOM_STEP
+    view.range = THREE.MathUtils.clamp(view.range * factor, FULL_MAP_MIN_RANGE, FULL_MAP_MAX_RANGE)
+  }
+
+  return (
+    <div
+      className="absolute inset-0 z-30 cursor-grab active:cursor-grabbing"
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId)
+        dragging.current = { x: e.clientX, y: e.clientY }
+      }}
+      onPointerMove={handlePointerMove}
+      onPointerUp={() => {
+        dragging.current = null
+      }}
+      onWheel={handleWheel}
+    >
+      <div
+        className="absolute top-4 left-1/2 -translate-x-1/2 flex items-center gap-3 bg-black/50 backdrop-blur-sm px-4 py-2 rounded-full border border-white/10 text-white text-sm cursor-default"
+        onPointerDown={(e) => e.stopPropagation()}
+      >
+        <span className="font-semibold">{mapName}</span>
+        <span className="flex items-center gap-1 text-xs text-white/70">
+          <span className="w-3 h-0.5" style={{ background: ZONE_OPEN_COLOR }} /> Open
+        </span>
+        <span className="flex items-center gap-1 text-xs text-white/70">
+          <span className="w-3 h-0.5" style={{ background: ZONE_LOCKED_COLOR }} /> Locked
+        </span>
+        <span className="flex items-center gap-1 text-xs text-white/70">
+          <span className="w-2 h-2 rounded-full" style={{ background: ORB_COLOR }} /> Orb
+        </span>
+        <button
+          onClick={() => {
+            view.following = true
+          }}
+          className="px-3 py-1 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 rounded-full text-xs transition-colors"
+        >
+          Centre on me
+        </button>
+        <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+          Close
+        </button>
+      </div>
+      <p className="absolute bottom-4 left-1/2 -translate-x-1/2 text-white/60 text-xs pointer-events-none">
+        Drag to pan · scroll to zoom
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,136 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { useGLTF, Html } from '@react-three/drei'
+import * as THREE from 'three'
+import { clone } from 'three/examples/jsm/utils/SkeletonUtils.js'
+import { createSkeletonAnimator } from '../utils/skeletonAnimator'
+import { TRANSPORTS } from '../utils/multiplayer'
+import { assetUrl } from '../utils/assetManifest'
+import { createPlaceholderCharacter } from './Placeholders'
+
+const NO_ANIMATIONS = []
+
+// Remote players on this map, re-read whenever someone joins, leaves or changes map
+function usePeersOnMap(presence, mapId) {
+  const [peers, setPeers] = useState(() => presence.getPeers())
+  useEffect(() => {
+    setPeers(presence.getPeers())
+    return presence.subscribe(() => setPeers(presence.getPeers()))
+  }, [presence])
+  return peers.filter((peer) => peer.mapId === mapId)
+}
+
+// Hands the local player's state to presence every frame; presence throttles what it sends
+function PresencePublisher({ presence, mapId, playerStore }) {
+  useFrame(() => {
+    const { position, rotation, motion } = playerStore.getState()
+    presence.setLocal({ mapId, position, rotation, motion })
+  })
+  return null
+}
+
+function RemotePlayer({ peer, presence, source, animations }) {
+  const ref = useRef()
+  const model = useMemo(() => (source ? clone(source) : createPlaceholderCharacter()), [source])
+  const animator = useMemo(() => createSkeletonAnimator(model, animations), [model, animations])
+  useEffect(() => () => animator.dispose(), [animator])
+  const sample = useMemo(() => ({ position: new THREE.Vector3(), rotation: 0, motion: null }), [])
+
+  useFrame((_, delta) => {
+    const visible = presence.sample(peer.id, sample)
+    ref.current.visible = visible
+    if (!visible) return
+    const emote = presence.takeEmote(peer.id)
+    if (emote) animator.playEmote(emote)
+    animator.update(delta, sample.motion)
+    ref.current.position.copy(sample.position)
+    ref.current.rotation.y = sample.rotation
+  })
+
+  return (
+    <group ref={ref} visible={false}>
+      <primitive object={model} scale={1.2} />
+      <Html position={[0, 2.4, 0]} center distanceFactor={10}>
+        <div className="bg-black/50 px-2 py-0.5 rounded-full text-white text-xs whitespace-nowrap pointer-events-none">
+          {peer.name}
+        </div>
+      </Html>
+    </group>
+  )
+}
+
+// Everyone else on `mapId`, plus publishing the local player. `source` is the model to
+// clone per player (null for placeholders).
+function RemotePlayers({ presence, mapId, playerStore, source, animations }) {
+  const peers = usePeersOnMap(presence, mapId)
+  return (
+    <>
+      <PresencePublisher presence={presence} mapId={mapId} playerStore={playerStore} />
+      {peers.map((peer) => (
+        <RemotePlayer key={peer.id} peer={peer} presence={presence} source={source} animations={animations} />
+      ))}
+    </>
+  )
+}
+
+// Remote players wearing the skeleton glTF and its clips
+export function RemoteSkeletons(props) {
+  const { scene, animations } = useGLTF(assetUrl('skeleton'))
+  return <RemotePlayers source={scene} animations={animations} {...props} />
+}
+
+// Stand-in remote players used when the skeleton model can't be loaded
+export function PlaceholderRemotePlayers(props) {
+  return <RemotePlayers source={null} animations={NO_ANIMATIONS} {...props} />
+}
+
+const STATUS_LABELS = { connecting: 'Connecting…', connected: 'Connected', offline: 'Offline', invalid: 'Invalid relay URL' }
+
+// DevTools section: transport, relay address, room and player name, and the connection state
+export function MultiplayerControls({ settings, onChange, presence }) {
+  const [, setRevision] = useState(0)
+  useEffect(() => presence?.subscribe(() => setRevision((revision) => revision + 1)), [presence])
+  // Text fields apply on blur or Enter, so typing doesn't reconnect on every key
+  const field = (key, label) => (
+    <label className="block">
+      {label}
+      <input
+        key={settings[key]}
+        defaultValue={settings[key]}
+        onBlur={(e) => e.target.value !== settings[key] && onChange({ ...settings, [key]: e.target.value })}
+        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+        className="w-full mt-0.5 bg-gray-800 border border-gray-600 rounded px-1 py-0.5"
+      />
+    </label>
+  )
+
+  return (
+    <div className="space-y-2 text-xs">
+      <label className="flex justify-between items-center gap-2">
+        Multiplayer
+        <select
+          value={settings.transport}
+          onChange={(e) => onChange({ ...settings, transport: e.target.value })}
+          className="bg-gray-800 border border-gray-600 rounded px-1 py-0.5"
+        >
+          {Object.entries(TRANSPORTS).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {settings.transport !== 'off' && (
+        <>
+          {settings.transport === 'websocket' && field('relayUrl', 'Relay URL')}
+          {field('room', 'Room')}
+          {field('name', 'Name')}
+          {presence && (
+            <div className="flex justify-between text-gray-300">
+              <span>{STATUS_LABELS[presence.getStatus()]}</span>
+              <span>{presence.getPeers().length} other{presence.getPeers().length === 1 ? '' : 's'}</span>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
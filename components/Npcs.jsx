@@ -0,0 +1,82 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { useGLTF } from '@react-three/drei'
+import * as THREE from 'three'
+import { clone } from 'three/examples/jsm/utils/SkeletonUtils.js'
+import { createSkeletonAnimator } from '../utils/skeletonAnimator'
+import { buildNavGrid } from '../utils/navGrid'
+import { NPCS, createNpcAgent } from '../utils/npcs'
+import { getMapZoneAtPosition } from '../utils/maps'
+import { assetUrl } from '../utils/assetManifest'
+import { createPlaceholderCharacter } from './Placeholders'
+
+const NO_ANIMATIONS = []
+
+// One NPC: its own copy of the model and animator, driven by its agent
+function Npc({ agent, source, animations, collisionWorld, playerStore, currentTierLevel }) {
+  const ref = useRef()
+  // Skinned meshes need SkeletonUtils' clone so each copy gets its own bones
+  const model = useMemo(() => (source ? clone(source) : createPlaceholderCharacter()), [source])
+  const animator = useMemo(() => createSkeletonAnimator(model, animations), [model, animations])
+  useEffect(() => () => animator.dispose(), [animator])
+
+  useFrame((_, delta) => {
+    const { speed, grounded, emote } = agent.update(delta, {
+      world: collisionWorld,
+      tierLevel: currentTierLevel,
+      player: playerStore.getState().position,
+    })
+    if (emote) animator.playEmote(emote)
+    animator.update(delta, { speed, grounded })
+    ref.current.position.copy(agent.position)
+    ref.current.rotation.y = agent.rotation
+  })
+
+  return <primitive ref={ref} object={model} scale={1.2} />
+}
+
+// The current map's NPCs (utils/npcs.js). The nav grid is built from the collision world
+// once it is ready, so mount this only when `collisionWorld` is set, keyed by map.
+// `onAgents` is told the current agents (and [] on unmount), e.g. to find NPCs near the player.
+function Npcs({ source, animations, map, collisionWorld, playerStore, currentTierLevel, onAgents }) {
+  const agents = useMemo(() => {
+    const defs = NPCS[map.id]
+    if (!defs || !map.nav) return []
+    const grid = buildNavGrid(collisionWorld, {
+      seed: new THREE.Vector3(...map.spawn.position),
+      bounds: map.nav.bounds,
+      cellSize: map.nav.cellSize,
+      floorY: map.floorY,
+      zoneAt: (point) => getMapZoneAtPosition(map, point),
+    })
+    return defs.map((def) => createNpcAgent(def, { grid, map })).filter(Boolean)
+  }, [map, collisionWorld])
+
+  useEffect(() => {
+    onAgents?.(agents)
+    return () => onAgents?.([])
+  }, [agents, onAgents])
+
+  return agents.map((agent) => (
+    <Npc
+      key={agent.id}
+      agent={agent}
+      source={source}
+      animations={animations}
+      collisionWorld={collisionWorld}
+      playerStore={playerStore}
+      currentTierLevel={currentTierLevel}
+    />
+  ))
+}
+
+// NPCs wearing the skeleton glTF and its clips
+export function NpcSkeletons(props) {
+  const { scene, animations } = useGLTF(assetUrl('skeleton'))
+  return <Npcs source={scene} animations={animations} {...props} />
+}
+
+// Stand-in NPCs used when the skeleton model can't be loaded. They still walk their routes, unanimated.
+export function PlaceholderNpcs(props) {
+  return <Npcs source={null} animations={NO_ANIMATIONS} {...props} />
+}
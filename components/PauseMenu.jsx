@@ -0,0 +1,33 @@
+// Shown over the frozen scene. Escape / Start resume; GameContent owns the sub-screens.
+export function PauseMenu({ onResume, onSettings, onControls, onPerks, onTitle }) {
+  const items = [
+    { label: 'Resume', onClick: onResume },
+    { label: 'Settings', onClick: onSettings },
+    { label: 'Controls', onClick: onControls },
+    { label: 'Holder Perks', onClick: onPerks },
+    { label: 'Return to Title', onClick: onTitle },
+  ]
+
+  return (
+    <div className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-30">
+      <div className="bg-[#1a1a2e] border border-white/10 rounded-2xl p-6 w-full max-w-xs">
+        <h2 className="text-2xl font-bold text-white text-center mb-4">Paused</h2>
+
+        <div className="space-y-2">
+          {items.map(({ label, onClick }, index) => (
+            <button
+              key={label}
+              onClick={onClick}
+              autoFocus={index === 0}
+              className="w-full px-4 py-3 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white font-semibold rounded-xl transition-colors"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <p className="text-gray-500 text-xs text-center mt-4">Press Esc or Start to resume</p>
+      </div>
+    </div>
+  )
+}
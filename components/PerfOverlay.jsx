@@ -0,0 +1,77 @@
+import { useEffect, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+
+const REFRESH_MS = 500
+
+// Counters shared between the in-canvas probe, React Profilers and the DOM overlay
+export function createPerfStats() {
+  const commits = { hud: 0, scene: 0 }
+  return {
+    frames: 0,
+    frameTime: 0,
+    drawCalls: 0,
+    triangles: 0,
+    // The map camera's pass (components/Minimap.jsx), counted separately from the scene
+    map: { drawCalls: 0, triangles: 0 },
+    commits,
+
+    // <Profiler onRender> callback; the Profiler id picks the counter
+    countCommit: (id) => {
+      commits[id] = (commits[id] || 0) + 1
+    },
+  }
+}
+
+// Lives inside the Canvas and samples renderer stats every frame
+export function PerfProbe({ stats }) {
+  const { gl } = useThree()
+
+  useFrame((_, delta) => {
+    stats.frames++
+    stats.frameTime = delta * 1000
+    // info is reset per render, so this is the previous frame's totals. With the map on,
+    // they cover both passes; the map pass is taken back out.
+    stats.drawCalls = gl.info.render.calls - stats.map.drawCalls
+    stats.triangles = gl.info.render.triangles - stats.map.triangles
+  })
+
+  return null
+}
+
+// FPS, draw calls and React commit rates. Polls the shared stats instead of re-rendering
+// per frame, so it doesn't skew the numbers it reports.
+export function PerfOverlay({ stats }) {
+  const [sample, setSample] = useState(null)
+
+  useEffect(() => {
+    let last = { time: performance.now(), frames: stats.frames, commits: { ...stats.commits } }
+    const interval = setInterval(() => {
+      const now = performance.now()
+      const seconds = (now - last.time) / 1000
+      const perSecond = (current, previous) => Math.round((current - (previous || 0)) / seconds)
+      setSample({
+        fps: perSecond(stats.frames, last.frames),
+        frameTime: stats.frameTime,
+        drawCalls: stats.drawCalls,
+        triangles: stats.triangles,
+        map: { ...stats.map },
+        hudCommits: perSecond(stats.commits.hud, last.commits.hud),
+        sceneCommits: perSecond(stats.commits.scene, last.commits.scene),
+      })
+      last = { time: now, frames: stats.frames, commits: { ...stats.commits } }
+    }, REFRESH_MS)
+    return () => clearInterval(interval)
+  }, [stats])
+
+  if (!sample) return null
+
+  return (
+    <div className="absolute top-20 left-4 bg-black/60 backdrop-blur-sm px-3 py-2 rounded-lg border border-white/10 font-mono text-[11px] text-white/80 z-20 pointer-events-none">
+      <div>FPS {sample.fps} ({sample.frameTime.toFixed(1)} ms)</div>
+      <div>Draw calls {sample.drawCalls}, map {sample.map.drawCalls}</div>
+      <div>Triangles {sample.triangles.toLocaleString()}, map {sample.map.triangles.toLocaleString()}</div>
+      <div>React commits/s: HUD {sample.hudCommits}, scene {sample.sceneCommits}</div>
+      {!import.meta.env.DEV && <div className="text-white/40">Commit counts need a dev or profiling build</div>}
+    </div>
+  )
+}
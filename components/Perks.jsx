@@ -0,0 +1,206 @@
+import { useCallback, useEffect, useState } from 'react'
+import { useWallet } from '@solana/wallet-adapter-react'
+import {
+  COSMETICS,
+  HOLDER_LEVELS,
+  HOLDER_EMOTE_LEVELS,
+  RPC_ENDPOINTS,
+  createBalanceAdapter,
+  holderLevel,
+  holderEmotes,
+  levelAllows,
+  equippedCosmetic,
+  requestProof,
+  verifyProof,
+  loadProof,
+  saveProof,
+  clearProof,
+} from '../utils/walletPerks'
+
+const NO_PERKS = { status: 'disconnected', balance: null, error: null }
+
+// Perks of the connected wallet. status is 'disconnected', 'unverified' (connected, not yet
+// proven), 'checking' (verifying a proof or reading the balance) or 'verified'. A stored proof
+// is verified again on connect and the balance is always read fresh from `settings.rpc`.
+export function useWalletPerks(settings, mint) {
+  const { publicKey, signMessage } = useWallet()
+  const address = publicKey?.toBase58() ?? null
+  const [proof, setProof] = useState(null)
+  const [state, setState] = useState(NO_PERKS)
+
+  useEffect(() => {
+    setProof(null)
+    if (!address) {
+      setState(NO_PERKS)
+      return
+    }
+    const stored = loadProof(address)
+    if (!stored) {
+      setState({ ...NO_PERKS, status: 'unverified' })
+      return
+    }
+    let cancelled = false
+    setState({ ...NO_PERKS, status: 'checking' })
+    verifyProof(stored).then(
+      () => !cancelled && setProof(stored),
+      (error) => {
+        if (cancelled) return
+        clearProof()
+        setState({ ...NO_PERKS, status: 'unverified', error: error.message })
+      }
+    )
+    return () => {
+      cancelled = true
+    }
+  }, [address])
+
+  useEffect(() => {
+    if (!proof) return
+    let cancelled = false
+    setState({ ...NO_PERKS, status: 'checking' })
+    createBalanceAdapter(settings).getBalance(proof.address, mint).then(
+      (balance) => !cancelled && setState({ status: 'verified', balance, error: null }),
+      (error) => !cancelled && setState({ status: 'verified', balance: null, error: error.message })
+    )
+    return () => {
+      cancelled = true
+    }
+  }, [proof, settings.rpc, settings.mockBalance, mint])
+
+  // Ask the wallet to sign a challenge
+  const verify = useCallback(async () => {
+    setState((current) => ({ ...current, error: null }))
+    try {
+      const next = await requestProof(address, signMessage)
+      await verifyProof(next)
+      saveProof(next)
+      setProof(next)
+    } catch (error) {
+      setState((current) => ({ ...current, error: error.message }))
+    }
+  }, [address, signMessage])
+
+  const level = state.balance === null ? null : holderLevel(state.balance)
+  return { ...state, address, level, emotes: holderEmotes(level), verify }
+}
+
+const formatBalance = (balance) => balance.toLocaleString(undefined, { maximumFractionDigits: 2 })
+
+function levelLabel(levelId) {
+  return HOLDER_LEVELS.find(({ id }) => id === levelId).label
+}
+
+// Wallet verification and cosmetic picks. Items the wallet's level doesn't allow are shown
+// locked; a pick that stops being allowed is kept but not worn until it is again.
+export function PerksPanel({ perks, settings, onChange, onClose }) {
+  const status = {
+    disconnected: 'Connect a wallet to check for $SKELE perks.',
+    unverified: 'Sign a message to prove this wallet is yours. It is free and sends no transaction.',
+    checking: 'Checking…',
+    verified: perks.balance === null
+      ? "Verified, but the balance couldn't be read."
+      : `Verified · ${formatBalance(perks.balance)} $SKELE${perks.level ? ` · ${perks.level.label}` : ''}`,
+  }[perks.status]
+
+  return (
+    <div className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-30 pointer-events-auto">
+      <div className="bg-[#1a1a2e] border border-white/10 rounded-2xl p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-white">Holder Perks</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+            Close
+          </button>
+        </div>
+
+        <div className="bg-gray-800/60 border border-gray-600 rounded-xl px-4 py-3 mb-4">
+          <div className="text-gray-300 text-sm">{status}</div>
+          {perks.status === 'unverified' && (
+            <button
+              onClick={perks.verify}
+              className="mt-2 px-4 py-1.5 bg-indigo-600 hover:bg-indigo-500 text-white text-sm font-semibold rounded-lg transition-colors"
+            >
+              Verify wallet
+            </button>
+          )}
+          {perks.error && <div className="text-red-300 text-xs mt-2">{perks.error}</div>}
+        </div>
+
+        {Object.entries(COSMETICS).map(([slot, options]) => {
+          const worn = equippedCosmetic(slot, settings[slot], perks.level)
+          return (
+            <div key={slot} className="mb-4">
+              <h3 className="text-white font-semibold capitalize mb-2">{slot}</h3>
+              <div className="grid grid-cols-2 gap-2">
+                {Object.entries(options).map(([id, { label, level }]) => {
+                  const unlocked = levelAllows(level, perks.level)
+                  return (
+                    <button
+                      key={id}
+                      disabled={!unlocked}
+                      onClick={() => onChange({ ...settings, [slot]: id })}
+                      className={`text-left px-3 py-2 rounded-xl border transition-colors ${
+                        worn === id
+                          ? 'bg-indigo-600/30 border-indigo-400'
+                          : unlocked
+                            ? 'bg-gray-800/60 border-gray-600 hover:bg-gray-700/60'
+                            : 'bg-gray-900/60 border-gray-700 opacity-50 cursor-not-allowed'
+                      }`}
+                    >
+                      <div className="text-white text-sm font-semibold">{label}</div>
+                      {level && <div className="text-gray-400 text-xs">{unlocked ? levelLabel(level) : `🔒 ${levelLabel(level)}`}</div>}
+                    </button>
+                  )
+                })}
+              </div>
+            </div>
+          )
+        })}
+
+        <p className="text-gray-500 text-xs">
+          {HOLDER_LEVELS.map(({ label, minBalance }) => `${label}: ${formatBalance(minBalance)}+ $SKELE`).join(' · ')}
+          <br />
+          {Object.entries(HOLDER_EMOTE_LEVELS).map(([name, level]) =>
+            `${name} emote: ${levelLabel(level)}${perks.emotes.includes(name) ? '' : ' 🔒'}`
+          ).join(' · ')}
+        </p>
+      </div>
+    </div>
+  )
+}
+
+// DevTools section: where balances are read from
+export function PerksControls({ settings, onChange, perks }) {
+  const select = 'bg-gray-800 border border-gray-600 rounded px-1 py-0.5'
+  return (
+    <div className="space-y-2 text-xs">
+      <label className="flex justify-between items-center gap-2">
+        Balances
+        <select value={settings.rpc} onChange={(e) => onChange({ ...settings, rpc: e.target.value })} className={select}>
+          {Object.entries(RPC_ENDPOINTS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {settings.rpc === 'mock' && (
+        <label className="flex justify-between items-center gap-2">
+          Mock $SKELE
+          <input
+            key={settings.mockBalance}
+            type="number"
+            min={0}
+            defaultValue={settings.mockBalance}
+            onBlur={(e) => Number(e.target.value) !== settings.mockBalance && onChange({ ...settings, mockBalance: Math.max(0, Number(e.target.value) || 0) })}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            className={`${select} w-28`}
+          />
+        </label>
+      )}
+      <div className="text-gray-300">
+        {perks.status}
+        {perks.balance !== null && ` · ${formatBalance(perks.balance)} $SKELE`}
+        {perks.level && ` · ${perks.level.label}`}
+      </div>
+      {perks.error && <div className="text-red-300">{perks.error}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,56 @@
+import { useEffect, useMemo, useRef } from 'react'
+import * as THREE from 'three'
+import { createCollisionWorld, createCollisionMeshBuilder } from '../utils/collisionWorld'
+
+const GROUND_SIZE = 200
+
+// Flat sandy ground standing in for a map model that failed to load. It reports a collision
+// world just like the real model, so the character controller keeps working.
+export function PlaceholderGround({ groundY = -3, onSceneReady }) {
+  const groupRef = useRef()
+
+  useEffect(() => {
+    const group = groupRef.current
+    group.updateWorldMatrix(true, true)
+    const collider = createCollisionMeshBuilder()
+    group.traverse((child) => {
+      if (child.isMesh) collider.add(child)
+    })
+    onSceneReady?.({ scene: group, collisionWorld: createCollisionWorld(collider.build()) })
+  }, [onSceneReady])
+
+  return (
+    <group ref={groupRef} position={[0, groundY, 0]}>
+      <mesh rotation={[-Math.PI / 2, 0, 0]} receiveShadow>
+        <planeGeometry args={[GROUND_SIZE, GROUND_SIZE]} />
+        <meshStandardMaterial color="#c9a66b" />
+      </mesh>
+      <gridHelper args={[GROUND_SIZE, GROUND_SIZE / 4, '#8b6f47', '#a88a5c']} position={[0, 0.01, 0]} />
+    </group>
+  )
+}
+
+// Capsule-and-sphere stand-in for the skeleton model, sized to match it at scale 1.2.
+// The head is named 'Head' so the head-tilt code finds it like the real bone.
+export function createPlaceholderCharacter() {
+  const material = new THREE.MeshStandardMaterial({ color: '#e8e2d0' })
+  const root = new THREE.Group()
+
+  const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.22, 0.6, 4, 12), material)
+  body.position.y = 0.55
+  body.castShadow = true
+
+  const head = new THREE.Mesh(new THREE.SphereGeometry(0.2, 16, 12), material)
+  head.name = 'Head'
+  head.position.y = 1.18
+  head.castShadow = true
+
+  root.add(body, head)
+  return root
+}
+
+// Static placeholder character, e.g. for the start screen
+export function PlaceholderCharacter(props) {
+  const model = useMemo(() => createPlaceholderCharacter(), [])
+  return <primitive object={model} {...props} />
+}
@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react'
+
+const NOTIFICATION_DURATION = 4000
+
+// Quest list for the HUD, down the left side. Collapses to a one-line summary.
+export function QuestLog({ questLog, gold, open, onToggle, toggleKey }) {
+  const [quests, setQuests] = useState(() => questLog.getQuests())
+  useEffect(() => {
+    setQuests(questLog.getQuests())
+    return questLog.subscribe(() => setQuests(questLog.getQuests()))
+  }, [questLog])
+
+  const active = quests.filter((quest) => !quest.complete)
+
+  return (
+    <div className="absolute top-20 left-4 w-64 bg-black/40 backdrop-blur-sm rounded-xl border border-white/10 text-white z-10">
+      <button onClick={onToggle} className="w-full flex justify-between items-center px-3 py-2 text-sm">
+        <span className="font-semibold">
+          Quests <span className="text-white/50 font-normal">{quests.length - active.length}/{quests.length}</span>
+        </span>
+        <span className="flex items-center gap-2 text-xs text-white/70">
+          <span className="text-yellow-300">{gold} gold</span>
+          <kbd className="px-1.5 py-0.5 bg-white/20 rounded text-[10px]">{toggleKey}</kbd>
+        </span>
+      </button>
+      {open && (
+        <div className="px-3 pb-3 space-y-3 max-h-[50vh] overflow-y-auto">
+          {active.length === 0 && <p className="text-white/60 text-xs">Every quest is done.</p>}
+          {active.map((quest) => (
+            <div key={quest.id}>
+              <div className="text-sm font-semibold">{quest.title}</div>
+              <ul className="text-xs text-white/70 space-y-0.5 mt-0.5">
+                {quest.objectives.map((objective, i) => {
+                  const total = objective.count ?? 1
+                  const done = quest.counts[i] >= total
+                  return (
+                    <li key={i} className={done ? 'text-green-400 line-through' : ''}>
+                      {objective.label}{total > 1 && ` (${quest.counts[i]}/${total})`}
+                    </li>
+                  )
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Celebration card for a finished quest, styled like TierUpNotification
+export function QuestNotification({ questLog }) {
+  const [quest, setQuest] = useState(null)
+
+  useEffect(() => questLog.subscribe((event) => {
+    if (event.type === 'complete') setQuest(event.quest)
+  }), [questLog])
+
+  useEffect(() => {
+    if (!quest) return
+    const timeout = setTimeout(() => setQuest(null), NOTIFICATION_DURATION)
+    return () => clearTimeout(timeout)
+  }, [quest])
+
+  if (!quest) return null
+
+  return (
+    <div className="absolute top-1/3 left-1/2 -translate-x-1/2 -translate-y-1/2 z-40 pointer-events-none animate-bounce">
+      <div className="bg-gradient-to-r from-indigo-600 to-purple-600 px-8 py-4 rounded-2xl shadow-2xl border border-white/20 text-center">
+        <div className="text-white/80 text-sm font-semibold uppercase tracking-wider">Quest Complete</div>
+        <div className="text-white text-2xl font-bold">{quest.title}</div>
+        <div className="text-yellow-300 text-sm mt-1">+{quest.reward.gold} gold</div>
+      </div>
+    </div>
+  )
+}
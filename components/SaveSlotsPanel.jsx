@@ -0,0 +1,154 @@
+import { useRef, useState } from 'react'
+import { MAPS } from '../utils/maps'
+import {
+  listSlots,
+  listQuarantinedSaves,
+  discardQuarantinedSave,
+  writeSlot,
+  deleteSlot,
+  serializeSave,
+  parseSave,
+} from '../utils/saves'
+
+const slotButton = 'px-3 py-1 bg-gray-800/60 hover:bg-gray-700/60 border border-gray-600 text-white rounded-lg text-xs transition-colors'
+
+const readStorage = () => ({ slots: listSlots(), quarantined: listQuarantinedSaves() })
+
+const formatPlayTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60)
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`
+}
+
+// Save slot manager for the start screen. Deleting, exporting and importing only touch
+// storage; loading a slot or starting a new game in one is handled by GameContent.
+// `saveError` ({ slot, message }) is the last write to a slot that failed, from an autosave
+// or a new game.
+export function SaveSlotsPanel({ activeSlot, saveError, onLoad, onNew, onClose }) {
+  // Reading a slot can write to storage (migrating or quarantining it), so it happens once on
+  // open and again after every change, never during render
+  const [{ slots, quarantined }, setStorage] = useState(readStorage)
+  const refresh = () => setStorage(readStorage())
+  const [status, setStatus] = useState(null)
+  const fileInput = useRef(null)
+  const importTarget = useRef(null)
+
+  const exportSlot = (slot, save) => {
+    const url = URL.createObjectURL(new Blob([serializeSave(save)], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `skele-save-${slot}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const importSlot = async (file) => {
+    const slot = importTarget.current
+    try {
+      writeSlot(slot, parseSave(await file.text()))
+      setStatus(`Imported ${file.name} into slot ${slot}`)
+    } catch (error) {
+      setStatus(`Import failed: ${error.message}`)
+    }
+    refresh()
+  }
+
+  return (
+    <div className="absolute inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-30 pointer-events-auto">
+      <div className="bg-[#1a1a2e] border border-white/10 rounded-2xl p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-white">Saves</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+            Close
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          {slots.map(({ slot, save }) => {
+            const active = slot === activeSlot
+            return (
+              <div
+                key={slot}
+                className={`px-4 py-3 rounded-xl border ${active ? 'bg-indigo-600/30 border-indigo-400' : 'bg-gray-800/60 border-gray-600'}`}
+              >
+                <div className="flex justify-between items-baseline">
+                  <span className="text-white font-semibold">
+                    Slot {slot}
+                    {active && <span className="ml-2 text-xs text-indigo-300">Active</span>}
+                  </span>
+                  {save && <span className="text-gray-500 text-xs">{new Date(save.savedAt).toLocaleString()}</span>}
+                </div>
+                <div className="text-gray-400 text-sm">
+                  {save
+                    ? `${MAPS[save.mapId].name} · ${formatPlayTime(save.playTime)} played · ${save.progress.collectedIds.length} orbs`
+                    : 'Empty'}
+                </div>
+                {saveError?.slot === slot && <div className="text-amber-300 text-xs mt-1">{saveError.message}</div>}
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {save ? (
+                    <>
+                      <button onClick={() => onLoad(slot, save)} className={slotButton}>Load</button>
+                      <button onClick={() => exportSlot(slot, save)} className={slotButton}>Export</button>
+                      <button
+                        onClick={() => {
+                          deleteSlot(slot)
+                          refresh()
+                        }}
+                        className={slotButton}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  ) : (
+                    <button onClick={() => onNew(slot)} className={slotButton}>New game</button>
+                  )}
+                  <button
+                    onClick={() => {
+                      importTarget.current = slot
+                      fileInput.current.click()
+                    }}
+                    className={slotButton}
+                  >
+                    Import
+                  </button>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+
+        {quarantined.length > 0 && (
+          <div className="mt-4 space-y-1">
+            <h3 className="text-sm font-semibold text-amber-300">Damaged saves set aside</h3>
+            {quarantined.map(({ key, slot, error }) => (
+              <div key={key} className="flex justify-between items-center gap-2 text-xs text-gray-400">
+                <span>Slot {slot ?? '?'}: {error}</span>
+                <button
+                  onClick={() => {
+                    discardQuarantinedSave(key)
+                    refresh()
+                  }}
+                  className={slotButton}
+                >
+                  Discard
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0]) importSlot(e.target.files[0])
+            e.target.value = ''
+          }}
+        />
+        {status && <p className="text-gray-400 text-xs mt-3">{status}</p>}
+        <p className="text-gray-500 text-xs mt-3">The active slot autosaves when you enter a zone and when you pause.</p>
+      </div>
+    </div>
+  )
+}
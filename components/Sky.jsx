@@ -0,0 +1,253 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { WEATHER, weatherMix } from '../utils/worldClock'
+import { computeSky, createSkyState } from '../utils/sky'
+
+// Sky dome and weather particles only belong in the main view, not the minimap's pass
+const SKY_LAYER = 2
+const SKY_RADIUS = 500
+
+const RAIN_DROPS = 1500
+const RAIN_SPEED = 22
+const RAIN_STREAK = 0.5
+const DUST_MOTES = 1200
+const DUST_SPEED = 9
+// Particles wrap around inside this box centred on the camera: [x/z half-width, height]
+const PARTICLE_BOX = [20, 14]
+
+// Advances `clock` and applies it to the Scene's sun, ambient light, lanterns (a group of
+// the map's point lights), fog and background, and draws the gradient sky dome.
+// `fogScale` is the quality preset's; the weather multiplies it further.
+export function DayNightCycle({ clock, environment, fogScale, sun, ambient, lanterns }) {
+  const { scene, camera } = useThree()
+  const sky = useMemo(() => createSkyState(), [])
+  const dome = useRef()
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    uniforms: {
+      zenith: { value: new THREE.Color() },
+      horizon: { value: new THREE.Color() },
+    },
+    vertexShader: `
+      varying vec3 vDirection;
+      void main() {
+        vDirection = normalize(position);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 zenith;
+      uniform vec3 horizon;
+      varying vec3 vDirection;
+      void main() {
+        gl_FragColor = vec4(mix(horizon, zenith, smoothstep(-0.05, 0.5, vDirection.y)), 1.0);
+        #include <colorspace_fragment>
+      }
+    `,
+    side: THREE.BackSide,
+    depthWrite: false,
+    fog: false,
+    toneMapped: false,
+  }), [])
+
+  useEffect(() => () => material.dispose(), [material])
+
+  // Whichever camera is current (game, photo mode, editor) needs to see the sky layer
+  useEffect(() => {
+    camera.layers.enable(SKY_LAYER)
+  }, [camera])
+
+  useFrame((state, delta) => {
+    clock.advance(delta, environment.weather)
+    const time = clock.getState()
+    computeSky(sky, time.hour, environment, weatherMix(time))
+
+    sun.current.position.copy(sky.sunPosition)
+    sun.current.color.copy(sky.sunColor)
+    sun.current.intensity = sky.sunIntensity
+    ambient.current.intensity = sky.ambient
+    lanterns.current?.children.forEach((light, i) => {
+      light.intensity = environment.lights[i].intensity * sky.lanterns
+    })
+
+    if (scene.fog) {
+      scene.fog.color.copy(sky.horizon)
+      scene.fog.near = environment.fog.near * fogScale * sky.fogScale
+      scene.fog.far = environment.fog.far * fogScale * sky.fogScale
+    }
+    // Still the backdrop for the minimap, which doesn't draw the dome
+    if (scene.background?.isColor) scene.background.copy(sky.horizon)
+    material.uniforms.zenith.value.copy(sky.zenith)
+    material.uniforms.horizon.value.copy(sky.horizon)
+    dome.current.position.copy(state.camera.position)
+  })
+
+  return (
+    <mesh ref={dome} layers={SKY_LAYER} material={material} renderOrder={-1} frustumCulled={false}>
+      <sphereGeometry args={[SKY_RADIUS, 32, 16]} />
+    </mesh>
+  )
+}
+
+// Keep `value` within half-width `half` of `center`
+const wrap = (value, center, half) => center + THREE.MathUtils.euclideanModulo(value - center + half, half * 2) - half
+
+// Rain streaks and blowing dust around the camera, faded in and out with the weather.
+// `scale` is the quality preset's particle multiplier.
+export function WeatherParticles({ clock, scale = 1 }) {
+  const rain = useRef()
+  const dust = useRef()
+  const rainCount = Math.round(RAIN_DROPS * scale)
+  const dustCount = Math.round(DUST_MOTES * scale)
+  const [half, height] = PARTICLE_BOX
+
+  // Rain keeps one position per drop and writes a two-vertex streak for it each frame
+  const drops = useMemo(() => Float32Array.from({ length: rainCount * 3 }, (_, i) =>
+    (Math.random() - 0.5) * 2 * (i % 3 === 1 ? height : half)
+  ), [rainCount, half, height])
+  const rainGeometry = useMemo(() => {
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(rainCount * 6), 3))
+    return geometry
+  }, [rainCount])
+  const dustGeometry = useMemo(() => {
+    const geometry = new THREE.BufferGeometry()
+    const positions = Float32Array.from({ length: dustCount * 3 }, (_, i) =>
+      (Math.random() - 0.5) * 2 * (i % 3 === 1 ? height : half)
+    )
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+    return geometry
+  }, [dustCount, half, height])
+
+  useEffect(() => () => rainGeometry.dispose(), [rainGeometry])
+  useEffect(() => () => dustGeometry.dispose(), [dustGeometry])
+
+  useFrame((state, delta) => {
+    const mix = weatherMix(clock.getState())
+    const { x: cx, y: cy, z: cz } = state.camera.position
+
+    rain.current.visible = mix.rain > 0.01
+    if (rain.current.visible) {
+      rain.current.material.opacity = 0.45 * mix.rain
+      const streaks = rainGeometry.attributes.position.array
+      for (let i = 0; i < rainCount; i++) {
+        const p = i * 3
+        drops[p] = wrap(drops[p] + delta * 2, cx, half)
+        drops[p + 1] = wrap(drops[p + 1] - delta * RAIN_SPEED, cy, height)
+        drops[p + 2] = wrap(drops[p + 2], cz, half)
+        const s = i * 6
+        streaks[s] = drops[p]
+        streaks[s + 1] = drops[p + 1]
+        streaks[s + 2] = drops[p + 2]
+        streaks[s + 3] = drops[p] - RAIN_STREAK * 0.1
+        streaks[s + 4] = drops[p + 1] + RAIN_STREAK
+        streaks[s + 5] = drops[p + 2]
+      }
+      rainGeometry.attributes.position.needsUpdate = true
+    }
+
+    dust.current.visible = mix.dust > 0.01
+    if (dust.current.visible) {
+      dust.current.material.opacity = 0.6 * mix.dust
+      const motes = dustGeometry.attributes.position.array
+      const time = state.clock.elapsedTime
+      for (let i = 0; i < dustCount; i++) {
+        const p = i * 3
+        // Blown along +X, swirling a little so the cloud doesn't slide as one sheet
+        motes[p] = wrap(motes[p] + delta * DUST_SPEED * (0.7 + (i % 7) * 0.08), cx, half)
+        motes[p + 1] = wrap(motes[p + 1] + Math.sin(time * 2 + i) * delta * 0.8, cy, height)
+        motes[p + 2] = wrap(motes[p + 2] + Math.cos(time * 1.3 + i) * delta * 1.5, cz, half)
+      }
+      dustGeometry.attributes.position.needsUpdate = true
+    }
+  })
+
+  return (
+    <>
+      <lineSegments ref={rain} geometry={rainGeometry} layers={SKY_LAYER} frustumCulled={false} visible={false}>
+        <lineBasicMaterial color="#aab8c8" transparent depthWrite={false} />
+      </lineSegments>
+      <points ref={dust} geometry={dustGeometry} layers={SKY_LAYER} frustumCulled={false} visible={false}>
+        <pointsMaterial color="#c9a06a" size={0.12} transparent depthWrite={false} />
+      </points>
+    </>
+  )
+}
+
+const TIME_SPEEDS = [0, 1, 10, 60, 240]
+
+const formatHour = (hour) => {
+  const minutes = Math.floor(hour * 60) % (24 * 60)
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+// DevTools section: time speed, a fixed-time override and forced weather
+export function WorldClockControls({ clock }) {
+  const [state, setState] = useState(() => ({ ...clock.getState() }))
+
+  // The hour moves every frame; refresh the readout a few times a second instead
+  useEffect(() => {
+    const refresh = () => setState({ ...clock.getState() })
+    const unsubscribe = clock.subscribe(refresh)
+    const timer = setInterval(refresh, 500)
+    return () => {
+      unsubscribe()
+      clearInterval(timer)
+    }
+  }, [clock])
+
+  const fixed = state.fixedHour !== null
+
+  return (
+    <div className="space-y-2 text-xs">
+      <div className="flex justify-between text-gray-300">
+        <span>Time {formatHour(state.hour)}</span>
+        <span>{WEATHER[state.weather].label}</span>
+      </div>
+      <label className="flex justify-between items-center gap-2">
+        Speed
+        <select
+          value={state.speed}
+          onChange={(e) => clock.setSpeed(Number(e.target.value))}
+          className="bg-gray-800 border border-gray-600 rounded px-1 py-0.5"
+        >
+          {TIME_SPEEDS.map((speed) => (
+            <option key={speed} value={speed}>{speed === 0 ? 'Stopped' : `${speed}×`}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={fixed}
+          onChange={(e) => clock.setFixedHour(e.target.checked ? Math.floor(state.hour * 4) / 4 : null)}
+        />
+        Fixed time
+      </label>
+      {fixed && (
+        <input
+          type="range"
+          min={0}
+          max={23.75}
+          step={0.25}
+          value={state.fixedHour}
+          onChange={(e) => clock.setFixedHour(Number(e.target.value))}
+          className="w-full"
+        />
+      )}
+      <label className="flex justify-between items-center gap-2">
+        Weather
+        <select
+          value={state.weatherOverride ?? 'auto'}
+          onChange={(e) => clock.setWeatherOverride(e.target.value === 'auto' ? null : e.target.value)}
+          className="bg-gray-800 border border-gray-600 rounded px-1 py-0.5"
+        >
+          <option value="auto">Auto</option>
+          {Object.entries(WEATHER).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  )
+}
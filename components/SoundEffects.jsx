@@ -0,0 +1,59 @@
+import { useEffect, useMemo } from 'react'
+import { useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+
+// Simultaneous effects; the oldest voice is cut off when all are busy
+const VOICES = 6
+const REF_DISTANCE = 3
+const EFFECT_VOLUMES = { footstep: 0.35, collect: 0.9, blocked: 0.8, tierUp: 1 }
+
+// Plays sound events as PositionalAudio in the scene, heard through a listener on the camera.
+// Events without a position play at the player. Effects without a buffer are skipped.
+export function SoundEffects({ events, buffers, volume, playerStore }) {
+  const { camera, scene } = useThree()
+  const listener = useMemo(() => new THREE.AudioListener(), [])
+  const voices = useMemo(() => Array.from({ length: VOICES }, () => {
+    const voice = new THREE.PositionalAudio(listener)
+    voice.setRefDistance(REF_DISTANCE)
+    return voice
+  }), [listener])
+
+  useEffect(() => {
+    camera.add(listener)
+    return () => camera.remove(listener)
+  }, [camera, listener])
+
+  useEffect(() => {
+    scene.add(...voices)
+    return () => {
+      voices.forEach((voice) => {
+        if (voice.isPlaying) voice.stop()
+        voice.disconnect()
+      })
+      scene.remove(...voices)
+    }
+  }, [scene, voices])
+
+  useEffect(() => {
+    listener.setMasterVolume(volume)
+  }, [listener, volume])
+
+  useEffect(() => {
+    let nextVoice = 0
+    return events.subscribe((name, position) => {
+      const buffer = buffers[name]
+      if (!buffer) return
+      const voice = voices.find((v) => !v.isPlaying) ?? voices[nextVoice++ % VOICES]
+      if (voice.isPlaying) voice.stop()
+      if (Array.isArray(position)) voice.position.fromArray(position)
+      else voice.position.copy(position ?? playerStore.getState().position)
+      voice.setBuffer(buffer)
+      voice.setVolume(EFFECT_VOLUMES[name] ?? 1)
+      // Vary repeated footsteps a little so they don't sound mechanical
+      voice.setPlaybackRate(name === 'footstep' ? 0.9 + Math.random() * 0.2 : 1)
+      voice.play()
+    })
+  }, [events, buffers, voices, playerStore])
+
+  return null
+}
@@ -0,0 +1,119 @@
+import { useEffect, useRef, useState } from 'react'
+
+const JOYSTICK_RADIUS = 56
+
+// Only shown on touch-first devices
+function useIsTouchDevice() {
+  const [isTouch, setIsTouch] = useState(
+    () => typeof window !== 'undefined' && window.matchMedia('(pointer: coarse)').matches
+  )
+
+  useEffect(() => {
+    const query = window.matchMedia('(pointer: coarse)')
+    const handleChange = (e) => setIsTouch(e.matches)
+    query.addEventListener('change', handleChange)
+    return () => query.removeEventListener('change', handleChange)
+  }, [])
+
+  return isTouch
+}
+
+// Virtual thumbstick writing into the input manager's touch axes
+function VirtualJoystick({ input }) {
+  const baseRef = useRef(null)
+  const pointerId = useRef(null)
+  const [knob, setKnob] = useState({ x: 0, y: 0 })
+
+  const update = (e) => {
+    const rect = baseRef.current.getBoundingClientRect()
+    let dx = e.clientX - (rect.left + rect.width / 2)
+    let dy = e.clientY - (rect.top + rect.height / 2)
+    const distance = Math.hypot(dx, dy)
+    if (distance > JOYSTICK_RADIUS) {
+      dx = (dx / distance) * JOYSTICK_RADIUS
+      dy = (dy / distance) * JOYSTICK_RADIUS
+    }
+    setKnob({ x: dx, y: dy })
+    // Screen up is forward
+    input.setTouchAxes(dx / JOYSTICK_RADIUS, -dy / JOYSTICK_RADIUS)
+  }
+
+  const release = () => {
+    pointerId.current = null
+    setKnob({ x: 0, y: 0 })
+    input.setTouchAxes(0, 0)
+  }
+
+  return (
+    <div
+      ref={baseRef}
+      className="w-36 h-36 rounded-full bg-white/10 border border-white/20 backdrop-blur-sm relative touch-none"
+      onPointerDown={(e) => {
+        pointerId.current = e.pointerId
+        e.currentTarget.setPointerCapture(e.pointerId)
+        update(e)
+      }}
+      onPointerMove={(e) => {
+        if (e.pointerId === pointerId.current) update(e)
+      }}
+      onPointerUp={release}
+      onPointerCancel={release}
+    >
+      <div
+        className="absolute w-14 h-14 rounded-full bg-white/40 border border-white/40 left-1/2 top-1/2 pointer-events-none"
+        style={{ transform: `translate(calc(-50% + ${knob.x}px), calc(-50% + ${knob.y}px))` }}
+      />
+    </div>
+  )
+}
+
+// Hold-to-press button mapped to an input action
+function TouchButton({ input, action, label }) {
+  const [down, setDown] = useState(false)
+
+  const setPressed = (pressed) => {
+    setDown(pressed)
+    input.setTouchButton(action, pressed)
+  }
+
+  return (
+    <button
+      className={`w-16 h-16 rounded-full border text-white text-xs font-semibold touch-none select-none transition-colors ${
+        down ? 'bg-indigo-500/70 border-indigo-300' : 'bg-black/40 border-white/20'
+      }`}
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId)
+        setPressed(true)
+      }}
+      onPointerUp={() => setPressed(false)}
+      onPointerCancel={() => setPressed(false)}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {label}
+    </button>
+  )
+}
+
+// On-screen joystick and action buttons for phones and tablets
+export function TouchControls({ input }) {
+  const isTouch = useIsTouchDevice()
+
+  // Don't leave the character walking if the controls disappear mid-drag
+  useEffect(() => () => input.setTouchAxes(0, 0), [input])
+
+  if (!isTouch) return null
+
+  return (
+    <div className="absolute inset-x-0 bottom-24 px-6 flex justify-between items-end pointer-events-none z-20">
+      <div className="pointer-events-auto">
+        <VirtualJoystick input={input} />
+      </div>
+      <div className="pointer-events-auto grid grid-cols-2 gap-3">
+        <TouchButton input={input} action="emote1" label="Wave" />
+        <TouchButton input={input} action="crouch" label="Duck" />
+        <TouchButton input={input} action="sprint" label="Run" />
+        <TouchButton input={input} action="jump" label="Jump" />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,54 @@
+import { useEffect, useState } from 'react'
+import { isZoneOpen } from '../utils/maps'
+import { TIER_MARKET_CAPS, formatMarketCap } from '../utils/marketCapFeed'
+
+const BANNER_DURATION = 2500
+
+// Names the zone the player just walked into, driven by the zone tracker's enter events
+export function ZoneBanner({ zoneTracker, currentTierLevel, keys }) {
+  const [zone, setZone] = useState(null)
+
+  useEffect(() => zoneTracker.subscribe((event) => {
+    // Only the zone that counts, not every overlapping one
+    if (event.type === 'enter' && event.zone === zoneTracker.getZone()) setZone(event.zone)
+  }), [zoneTracker])
+
+  useEffect(() => {
+    if (!zone) return
+    const timeout = setTimeout(() => setZone(null), BANNER_DURATION)
+    return () => clearTimeout(timeout)
+  }, [zone])
+
+  if (!zone) return null
+
+  return (
+    <div className="absolute top-1/4 left-1/2 -translate-x-1/2 bg-black/50 backdrop-blur-sm px-5 py-2 rounded-full border border-white/10 text-white text-sm z-20 pointer-events-none">
+      {isZoneOpen(zone, currentTierLevel, keys) ? 'Entering' : 'Locked'}: <span className="font-semibold">{zone.name}</span>
+    </div>
+  )
+}
+
+// Shown while the player is pushing against a zone that only needs its key
+export function KeyLockedBanner({ zone }) {
+  if (!zone) return null
+
+  return (
+    <div className="absolute top-1/4 left-1/2 -translate-x-1/2 bg-black/50 backdrop-blur-sm px-5 py-2 rounded-full border border-amber-400/40 text-white text-sm z-20 pointer-events-none">
+      <span className="font-semibold">{zone.name}</span> is locked. Find its key.
+    </div>
+  )
+}
+
+// Shown while the player is pushing against a zone their tier doesn't open yet. The tier is
+// found by asking isZoneOpen, since the town's zones.js boxes and layout zones both work there.
+export function TierLockedBanner({ zone }) {
+  if (!zone) return null
+  const tier = TIER_MARKET_CAPS.findIndex((_, i) => isZoneOpen(zone, i + 1)) + 1
+
+  return (
+    <div className="absolute top-1/4 left-1/2 -translate-x-1/2 bg-black/50 backdrop-blur-sm px-5 py-2 rounded-full border border-red-400/40 text-white text-sm z-20 pointer-events-none">
+      <span className="font-semibold">{zone.name}</span>{' '}
+      {tier ? `opens at tier ${tier} (${formatMarketCap(TIER_MARKET_CAPS[tier - 1])} market cap).` : 'is locked.'}
+    </div>
+  )
+}
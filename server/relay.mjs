@@ -0,0 +1,150 @@
+// Multiplayer relay for utils/multiplayer.js: a WebSocket server with no dependencies that
+// forwards every text message to the other sockets in the same room (ws://host:port/?room=town).
+// It keeps no game state. When a socket closes it tells the room, using the id from that
+// socket's messages, so the player disappears straight away instead of timing out.
+//
+//   node server/relay.mjs            # listens on 8787
+//   PORT=9000 node server/relay.mjs
+
+import { createServer } from 'node:http'
+import { createHash } from 'node:crypto'
+
+const PORT = Number(process.env.PORT) || 8787
+// Generous for presence messages; anything bigger closes the socket
+const MAX_MESSAGE_BYTES = 64 * 1024
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa }
+
+// room name -> Set of clients ({ socket, id })
+const rooms = new Map()
+
+function frame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length
+  const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10)
+  header[0] = 0x80 | opcode
+  if (length < 126) {
+    header[1] = length
+  } else if (length < 65536) {
+    header[1] = 126
+    header.writeUInt16BE(length, 2)
+  } else {
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(length), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+// Complete frames at the start of `buffer`: { frames: [{ opcode, payload }], rest }, or null
+// when the client broke the protocol (unmasked, fragmented or oversized frames)
+function readFrames(buffer) {
+  const frames = []
+  let offset = 0
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset]
+    const second = buffer[offset + 1]
+    const fin = first & 0x80
+    const opcode = first & 0x0f
+    const masked = second & 0x80
+    let length = second & 0x7f
+    let headerLength = 2
+    if (length === 126) {
+      if (buffer.length - offset < 4) break
+      length = buffer.readUInt16BE(offset + 2)
+      headerLength = 4
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break
+      length = Number(buffer.readBigUInt64BE(offset + 2))
+      headerLength = 10
+    }
+    if (!fin || !masked || length > MAX_MESSAGE_BYTES) return null
+    if (buffer.length - offset < headerLength + 4 + length) break
+
+    const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4)
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + 4, offset + headerLength + 4 + length))
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4]
+    frames.push({ opcode, payload })
+    offset += headerLength + 4 + length
+  }
+  return { frames, rest: buffer.subarray(offset) }
+}
+
+function broadcast(room, sender, payload) {
+  const data = frame(OPCODES.text, payload)
+  for (const client of rooms.get(room) ?? []) {
+    if (client !== sender) client.socket.write(data)
+  }
+}
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' })
+  response.end('SKELE multiplayer relay: connect with a WebSocket\n')
+})
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key']
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+    return
+  }
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64')
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'))
+
+  const room = new URL(request.url, 'http://relay').searchParams.get('room') || 'town'
+  const client = { socket, id: null }
+  if (!rooms.has(room)) rooms.set(room, new Set())
+  rooms.get(room).add(client)
+  socket.setNoDelay(true)
+
+  let pending = Buffer.alloc(0)
+  let closed = false
+  const close = () => {
+    if (closed) return
+    closed = true
+    rooms.get(room)?.delete(client)
+    if (rooms.get(room)?.size === 0) rooms.delete(room)
+    if (client.id) broadcast(room, client, Buffer.from(JSON.stringify({ type: 'leave', id: client.id })))
+    socket.destroy()
+  }
+
+  socket.on('data', (chunk) => {
+    const result = readFrames(Buffer.concat([pending, chunk]))
+    if (!result) {
+      socket.write(frame(OPCODES.close))
+      close()
+      return
+    }
+    pending = result.rest
+    for (const { opcode, payload } of result.frames) {
+      if (opcode === OPCODES.text) {
+        if (!client.id) {
+          try {
+            client.id = JSON.parse(payload.toString('utf8')).id ?? null
+          } catch {
+            // Not JSON; forwarded anyway, receivers ignore it
+          }
+        }
+        broadcast(room, client, payload)
+      } else if (opcode === OPCODES.ping) {
+        socket.write(frame(OPCODES.pong, payload))
+      } else if (opcode === OPCODES.close) {
+        socket.write(frame(OPCODES.close))
+        close()
+        return
+      }
+    }
+  })
+  socket.on('close', close)
+  socket.on('error', close)
+})
+
+server.listen(PORT, () => {
+  console.log(`SKELE multiplayer relay on ws://localhost:${PORT}`)
+})
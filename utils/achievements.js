@@ -0,0 +1,71 @@
+import { EMOTES } from './skeletonAnimator'
+import { MAPS } from './maps'
+
+// Badges unlocked from play statistics (utils/stats.js). `test(totals, session)` gets the
+// lifetime counts and the current session's; once it passes, the badge stays unlocked.
+// The saloon is the town's legacy zone, so its time is kept under 'westernTown/saloon'.
+const countOf = (counts, key) => counts[key] ?? 0
+const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0)
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-steps',
+    title: 'First Steps',
+    description: 'Walk 100 metres.',
+    test: (totals) => totals.distance >= 100,
+  },
+  {
+    id: 'long-walk',
+    title: 'Long Walk Home',
+    description: 'Walk 5 kilometres in total.',
+    test: (totals) => totals.distance >= 5000,
+  },
+  {
+    id: 'orb-hoarder',
+    title: 'Orb Hoarder',
+    description: 'Collect 30 orbs.',
+    test: (totals) => countOf(totals.collected, 'orb') >= 30,
+  },
+  {
+    id: 'orb-rush',
+    title: 'Orb Rush',
+    description: 'Collect 10 orbs in one session.',
+    test: (totals, session) => countOf(session.collected, 'orb') >= 10,
+  },
+  {
+    id: 'treasure-hunter',
+    title: 'Treasure Hunter',
+    description: 'Find a rare relic.',
+    test: (totals) => countOf(totals.collected, 'relic') >= 1,
+  },
+  {
+    id: 'showman',
+    title: 'Showman',
+    description: 'Play every emote.',
+    test: (totals) => EMOTES.every((emote) => countOf(totals.emotes, emote) > 0),
+  },
+  {
+    id: 'saloon-regular',
+    title: 'Saloon Regular',
+    description: 'Spend 10 minutes in the Saloon.',
+    test: (totals) => countOf(totals.zoneTime, 'westernTown/saloon') >= 600,
+  },
+  {
+    id: 'globetrotter',
+    title: 'Globetrotter',
+    description: 'Visit every map.',
+    test: (totals) => Object.keys(MAPS).every((mapId) => countOf(totals.mapTime, mapId) > 0),
+  },
+  {
+    id: 'persistent',
+    title: 'Persistent',
+    description: 'Get turned away from locked zones 25 times.',
+    test: (totals) => sum(totals.blocked) >= 25,
+  },
+  {
+    id: 'veteran',
+    title: 'Veteran',
+    description: 'Play for an hour.',
+    test: (totals) => totals.playTime >= 3600,
+  },
+]
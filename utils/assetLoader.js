@@ -0,0 +1,213 @@
+import * as THREE from 'three'
+import { ASSETS } from './assetManifest'
+
+// Loaded bytes are seeded into THREE.Cache, which FileLoader (used by GLTFLoader for .gltf,
+// .glb and .bin files, and by AudioLoader) checks before going to the network. FileLoader
+// keys its entries `file:<url>`, so ours must match. Textures still decode through the image
+// loaders, which cache decoded images rather than bytes, so they stay out of the cache and
+// rely on the browser's HTTP cache.
+THREE.Cache.enabled = true
+
+const fileKey = (url) => `file:${url}`
+
+const isDataUri = (uri) => uri.startsWith('data:')
+
+// Fetch `url` as an ArrayBuffer, reporting (loadedBytes, totalBytes) as it streams.
+// totalBytes is 0 when the server doesn't send Content-Length.
+async function fetchBytes(url, onProgress, signal) {
+  const cached = THREE.Cache.get(fileKey(url))
+  if (cached instanceof ArrayBuffer) {
+    onProgress(cached.byteLength, cached.byteLength)
+    return cached
+  }
+
+  const response = await fetch(url, { signal })
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`)
+  // Dev servers answer unknown paths with the SPA's index.html
+  if ((response.headers.get('content-type') || '').includes('text/html')) {
+    throw new Error(`${url}: not found`)
+  }
+
+  const total = Number(response.headers.get('content-length')) || 0
+  if (!response.body) {
+    const buffer = await response.arrayBuffer()
+    onProgress(buffer.byteLength, buffer.byteLength)
+    return buffer
+  }
+
+  const reader = response.body.getReader()
+  const chunks = []
+  let loaded = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    loaded += value.byteLength
+    onProgress(loaded, Math.max(total, loaded))
+  }
+
+  const bytes = new Uint8Array(loaded)
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  onProgress(loaded, loaded)
+  return bytes.buffer
+}
+
+// Pull the JSON chunk out of a binary .glb
+function readGlbJson(buffer) {
+  const view = new DataView(buffer)
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== 0x46546c67) {
+    throw new Error('not a binary glTF file')
+  }
+  const jsonLength = view.getUint32(12, true)
+  return JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLength)))
+}
+
+// External buffer and image URLs a glTF file references, resolved the way GLTFLoader does
+export function gltfDependencies(url, buffer) {
+  const json = url.toLowerCase().endsWith('.glb')
+    ? readGlbJson(buffer)
+    : JSON.parse(new TextDecoder().decode(buffer))
+  const base = THREE.LoaderUtils.extractUrlBase(url)
+  const resolve = (uri) => THREE.LoaderUtils.resolveURL(uri, base)
+
+  return {
+    buffers: (json.buffers || []).filter((b) => b.uri && !isDataUri(b.uri)).map((b) => resolve(b.uri)),
+    images: (json.images || []).filter((i) => i.uri && !isDataUri(i.uri)).map((i) => resolve(i.uri)),
+  }
+}
+
+// Load one manifest asset and everything it references. `onProgress(loaded, total)` is in bytes
+// across all of the asset's files known so far.
+async function loadAsset(asset, onProgress, signal) {
+  const files = new Map() // url -> { loaded, total }
+  const track = (url) => (loaded, total) => {
+    files.set(url, { loaded, total })
+    let sumLoaded = 0
+    let sumTotal = 0
+    for (const file of files.values()) {
+      sumLoaded += file.loaded
+      sumTotal += file.total || file.loaded
+    }
+    onProgress(sumLoaded, sumTotal)
+  }
+
+  const buffer = await fetchBytes(asset.url, track(asset.url), signal)
+  if (asset.type !== 'texture') THREE.Cache.add(fileKey(asset.url), buffer)
+  if (asset.type !== 'gltf') return
+
+  let dependencies
+  try {
+    dependencies = gltfDependencies(asset.url, buffer)
+  } catch (error) {
+    throw new Error(`${asset.url}: ${error.message}`)
+  }
+  // Register every file before any bytes arrive so the total doesn't jump back mid-load
+  for (const url of [...dependencies.buffers, ...dependencies.images]) files.set(url, { loaded: 0, total: 0 })
+
+  await Promise.all([
+    ...dependencies.buffers.map(async (url) => {
+      THREE.Cache.add(fileKey(url), await fetchBytes(url, track(url), signal))
+    }),
+    ...dependencies.images.map((url) => fetchBytes(url, track(url), signal)),
+  ])
+}
+
+const EXTENSIONS = {
+  gltf: ['.gltf', '.glb'],
+  texture: ['.png', '.jpg', '.jpeg', '.webp', '.ktx2'],
+  audio: ['.mp3', '.ogg', '.wav', '.m4a'],
+}
+
+// Startup check of the manifest: each entry has a known type and matching extension, and the
+// server actually has the file (a HEAD request, no download). Resolves to a list of
+// { id, label, message } problems; an empty list means every asset looks loadable.
+export async function validateAssetManifest(ids = Object.keys(ASSETS)) {
+  const problems = await Promise.all(ids.map(async (id) => {
+    const asset = ASSETS[id]
+    if (!asset) return { id, label: id, message: 'not in the asset manifest' }
+    const { label, type, url } = asset
+    const extensions = EXTENSIONS[type]
+    if (!extensions) return { id, label, message: `unknown asset type '${type}'` }
+    if (!extensions.some((ext) => url.toLowerCase().endsWith(ext))) {
+      return { id, label, message: `${url} has the wrong extension for a ${type} asset` }
+    }
+
+    try {
+      const response = await fetch(url, { method: 'HEAD' })
+      if (!response.ok) return { id, label, message: `${url}: HTTP ${response.status}` }
+      if ((response.headers.get('content-type') || '').includes('text/html')) {
+        return { id, label, message: `${url}: not found` }
+      }
+    } catch (error) {
+      return { id, label, message: `${url}: ${error.message}` }
+    }
+    return null
+  }))
+  return problems.filter(Boolean)
+}
+
+// Loads a list of manifest ids, tracking each one's status so the loading screen can show
+// per-asset errors. Failed assets can be retried without reloading the ones that succeeded.
+// onChange receives { assets: { [id]: { label, status, loaded, total, error } }, progress, ready }.
+export function createAssetLoader(ids, onChange) {
+  const controller = new AbortController()
+  const assets = Object.fromEntries(
+    ids.map((id) => [id, { label: ASSETS[id].label, status: 'pending', loaded: 0, total: 0, error: null }])
+  )
+  let lastProgress = 0
+
+  const snapshot = () => {
+    const entries = Object.values(assets)
+    // Each asset counts equally; byte totals differ by orders of magnitude between a texture
+    // and a town, and the total for a glTF isn't known until its JSON has been read
+    const fraction = entries.reduce((sum, a) => {
+      if (a.status === 'ready') return sum + 1
+      return sum + (a.total ? a.loaded / a.total : 0)
+    }, 0) / Math.max(entries.length, 1)
+    // Never let the bar move backwards when new dependencies are discovered
+    lastProgress = Math.max(lastProgress, fraction * 100)
+    return {
+      assets: Object.fromEntries(Object.entries(assets).map(([id, a]) => [id, { ...a }])),
+      progress: lastProgress,
+      ready: entries.every((a) => a.status === 'ready'),
+    }
+  }
+  const emit = () => onChange(snapshot())
+
+  const loadOne = async (id) => {
+    const entry = assets[id]
+    Object.assign(entry, { status: 'loading', loaded: 0, total: 0, error: null })
+    emit()
+    try {
+      await loadAsset(ASSETS[id], (loaded, total) => {
+        Object.assign(entry, { loaded, total })
+        emit()
+      }, controller.signal)
+      entry.status = 'ready'
+    } catch (error) {
+      if (controller.signal.aborted) return
+      entry.status = 'error'
+      entry.error = error.message
+    }
+    emit()
+  }
+
+  return {
+    start() {
+      return Promise.all(ids.map(loadOne))
+    },
+
+    // Reload every asset that failed
+    retry() {
+      return Promise.all(ids.filter((id) => assets[id].status === 'error').map(loadOne))
+    },
+
+    cancel() {
+      controller.abort()
+    },
+  }
+}
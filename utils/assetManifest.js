@@ -0,0 +1,17 @@
+// Every model, texture and sound the game loads. Components look URLs up here
+// instead of hard-coding paths, so the loading screen and the scene can't drift apart.
+// type: 'gltf' (.gltf or .glb, dependencies discovered from the file), 'texture' or 'audio'
+export const ASSETS = {
+  skeleton: { label: 'Skeleton character', type: 'gltf', url: '/models/Characters_Skeleton.gltf' },
+  westernTown: { label: 'Western town', type: 'gltf', url: '/models/western-town/western_city.glb' },
+  forest: { label: 'Forest', type: 'gltf', url: '/models/forest/scene.gltf' },
+  // Embeds the Atlas_Pirate texture; the loose PNG next to it is the source atlas
+  pirateShip: { label: 'Pirate ship', type: 'gltf', url: '/models/Ship_Large.gltf' },
+}
+
+// Needed on every map; each map adds its own environment model (see mapAssetIds in maps.js)
+export const GAME_SCENE_ASSETS = ['skeleton']
+
+export function assetUrl(id) {
+  return ASSETS[id].url
+}
@@ -0,0 +1,201 @@
+import * as THREE from 'three'
+
+// Music and sound effects. Every file here is optional: a track or effect that fails to
+// load is skipped, so with an empty audio/ folder the game simply plays silently.
+
+export const MUSIC_TRACKS = ['/audio/pirate1.mp3', '/audio/pirate2.mp3', '/audio/pirate3.mp3', '/audio/pirate4.mp3']
+
+export const SOUND_EFFECTS = {
+  footstep: '/audio/sfx/footstep.mp3',
+  collect: '/audio/sfx/collect.mp3',
+  blocked: '/audio/sfx/blocked.mp3',
+  tierUp: '/audio/sfx/tier-up.mp3',
+}
+
+const AUDIO_SETTINGS_KEY = 'skele-audio'
+export const DEFAULT_AUDIO_SETTINGS = { muted: false, musicVolume: 0.5, sfxVolume: 0.8, shuffle: true }
+
+export function loadAudioSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY))
+    if (saved && typeof saved === 'object') return { ...DEFAULT_AUDIO_SETTINGS, ...saved }
+  } catch {
+    // Ignore unreadable settings and fall back to defaults
+  }
+  return { ...DEFAULT_AUDIO_SETTINGS }
+}
+
+export function saveAudioSettings(settings) {
+  localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(settings))
+}
+
+const TICK_MS = 100
+
+// Playlist on two <audio> elements so one track can fade out while the next fades in.
+// Browsers only allow playback after a user gesture, so call play() from one (START).
+export function createMusicPlayer(tracks = MUSIC_TRACKS, { crossfade = 3, shuffle = true, volume = 0.5 } = {}) {
+  const decks = [new Audio(), new Audio()]
+  decks.forEach((deck) => {
+    deck.preload = 'auto'
+    deck.volume = 0
+  })
+  const failed = new Set()
+  let order = []
+  let position = -1
+  let active = 0 // Index of the deck that is (or is fading) in
+  let fade = null // { from, to, elapsed }
+  let playing = false
+  let timer = null
+
+  const playable = () => tracks.filter((track) => !failed.has(track))
+
+  const buildOrder = () => {
+    const list = playable()
+    if (!shuffle) return list
+    // Fisher-Yates, never starting a new round with the track that just played
+    const previous = order[position]
+    for (let i = list.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      ;[list[i], list[j]] = [list[j], list[i]]
+    }
+    if (list.length > 1 && list[0] === previous) [list[0], list[1]] = [list[1], list[0]]
+    return list
+  }
+
+  const nextTrack = () => {
+    if (playable().length === 0) return null
+    position++
+    if (position >= order.length || failed.has(order[position])) {
+      order = buildOrder()
+      position = 0
+    }
+    return order[position]
+  }
+
+  // Start the next track on the idle deck, fading over `duration` seconds
+  const advance = (duration = crossfade) => {
+    const track = nextTrack()
+    if (!track) {
+      playing = false
+      return
+    }
+    const from = active
+    active = 1 - active
+    const deck = decks[active]
+    deck.src = track
+    deck.currentTime = 0
+    deck.volume = 0
+    deck.play().catch(() => {
+      // Autoplay refusal or a missing file; the error handler moves on for the latter
+    })
+    fade = { from, to: active, elapsed: 0, duration: Math.max(duration, 0.01) }
+  }
+
+  const tick = () => {
+    if (!playing) return
+    const deck = decks[active]
+
+    if (fade) {
+      fade.elapsed += TICK_MS / 1000
+      const t = Math.min(fade.elapsed / fade.duration, 1)
+      decks[fade.to].volume = volume * t
+      decks[fade.from].volume = volume * (1 - t)
+      if (t >= 1) {
+        decks[fade.from].pause()
+        fade = null
+      }
+    } else {
+      deck.volume = volume
+    }
+
+    // Begin the crossfade before the current track runs out
+    if (!fade && deck.duration && deck.duration - deck.currentTime <= crossfade) advance()
+  }
+
+  decks.forEach((deck) => {
+    deck.addEventListener('error', () => {
+      if (!deck.src) return
+      failed.add(new URL(deck.src).pathname)
+      if (deck === decks[active] && playing) advance(0)
+    })
+    deck.addEventListener('ended', () => {
+      if (deck === decks[active] && playing && !fade) advance(0)
+    })
+  })
+
+  return {
+    play() {
+      if (playing) return
+      playing = true
+      timer = timer ?? setInterval(tick, TICK_MS)
+      if (!decks[active].src) advance(crossfade / 2)
+      else decks[active].play().catch(() => {})
+    },
+
+    pause() {
+      playing = false
+      decks.forEach((deck) => deck.pause())
+    },
+
+    next() {
+      if (playing) advance()
+    },
+
+    setVolume(next) {
+      volume = next
+      if (!fade) decks[active].volume = playing ? volume : 0
+    },
+
+    setShuffle(enabled) {
+      if (enabled === shuffle) return
+      shuffle = enabled
+      // Takes effect from the next round
+      order = order.slice(0, position + 1)
+    },
+
+    get current() {
+      return playing ? order[position] ?? null : null
+    },
+
+    dispose() {
+      playing = false
+      clearInterval(timer)
+      decks.forEach((deck) => {
+        deck.pause()
+        deck.removeAttribute('src')
+        deck.load()
+      })
+    },
+  }
+}
+
+// Decoded buffers for SOUND_EFFECTS; effects whose file is missing or undecodable are left out
+export async function loadSoundEffects(effects = SOUND_EFFECTS) {
+  const loader = new THREE.AudioLoader()
+  const entries = await Promise.all(
+    Object.entries(effects).map(async ([name, url]) => {
+      try {
+        return [name, await loader.loadAsync(url)]
+      } catch {
+        return [name, null]
+      }
+    })
+  )
+  return Object.fromEntries(entries.filter(([, buffer]) => buffer))
+}
+
+// Game events that make a sound. The Skeleton and GameContent emit; the in-canvas
+// SoundEffects component plays them. emit(name, position?) with position a Vector3 or [x, y, z].
+export function createSoundEvents() {
+  const listeners = new Set()
+  return {
+    emit(name, position) {
+      listeners.forEach((listener) => listener(name, position))
+    },
+
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
@@ -0,0 +1,178 @@
+// Bounding volume hierarchy over a flat, world-space triangle list
+// (9 floats per triangle, as produced by createCollisionMeshBuilder).
+
+const MAX_LEAF_SIZE = 8
+const EPSILON = 1e-8
+
+// Build a BVH. Nodes are plain objects: { min, max, left, right, start, count };
+// leaves reference `count` triangle indices starting at `start` in `order`.
+export function buildBVH(positions, { maxLeafSize = MAX_LEAF_SIZE } = {}) {
+  const triangleCount = positions.length / 9
+  const order = new Uint32Array(triangleCount)
+  const centroids = new Float32Array(triangleCount * 3)
+  const bounds = new Float32Array(triangleCount * 6)
+
+  for (let t = 0; t < triangleCount; t++) {
+    order[t] = t
+    const p = t * 9
+    for (let axis = 0; axis < 3; axis++) {
+      const a = positions[p + axis]
+      const b = positions[p + 3 + axis]
+      const c = positions[p + 6 + axis]
+      bounds[t * 6 + axis] = Math.min(a, b, c)
+      bounds[t * 6 + 3 + axis] = Math.max(a, b, c)
+      centroids[t * 3 + axis] = (a + b + c) / 3
+    }
+  }
+
+  const buildNode = (start, count) => {
+    const min = [Infinity, Infinity, Infinity]
+    const max = [-Infinity, -Infinity, -Infinity]
+    const centroidMin = [Infinity, Infinity, Infinity]
+    const centroidMax = [-Infinity, -Infinity, -Infinity]
+    for (let i = start; i < start + count; i++) {
+      const t = order[i]
+      for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.min(min[axis], bounds[t * 6 + axis])
+        max[axis] = Math.max(max[axis], bounds[t * 6 + 3 + axis])
+        centroidMin[axis] = Math.min(centroidMin[axis], centroids[t * 3 + axis])
+        centroidMax[axis] = Math.max(centroidMax[axis], centroids[t * 3 + axis])
+      }
+    }
+
+    const node = { min, max, left: null, right: null, start, count }
+    if (count <= maxLeafSize) return node
+
+    // Split the longest centroid axis at its midpoint
+    let axis = 0
+    for (let a = 1; a < 3; a++) {
+      if (centroidMax[a] - centroidMin[a] > centroidMax[axis] - centroidMin[axis]) axis = a
+    }
+    const split = (centroidMin[axis] + centroidMax[axis]) / 2
+
+    let mid = start
+    for (let i = start; i < start + count; i++) {
+      if (centroids[order[i] * 3 + axis] < split) {
+        const swap = order[i]
+        order[i] = order[mid]
+        order[mid] = swap
+        mid++
+      }
+    }
+    // All centroids on one side (stacked geometry): split the range in half instead
+    if (mid === start || mid === start + count) mid = start + (count >> 1)
+
+    node.left = buildNode(start, mid - start)
+    node.right = buildNode(mid, start + count - mid)
+    node.count = 0
+    return node
+  }
+
+  const root = triangleCount > 0 ? buildNode(0, triangleCount) : null
+
+  // Slab test against a node's bounds, clipped to [0, far]. `o`, `d` and `inv` are the ray's
+  // origin, direction and 1 / direction per axis.
+  const rayHitsBox = (node, o, d, inv, far) => {
+    const { min, max } = node
+    let tmin = 0
+    let tmax = far
+    for (let axis = 0; axis < 3; axis++) {
+      // Parallel to the slab: the ray is inside it everywhere or nowhere. Going through the
+      // inverse would give 0 * Infinity = NaN for an origin on the slab's face.
+      if (d[axis] === 0) {
+        if (o[axis] < min[axis] || o[axis] > max[axis]) return false
+        continue
+      }
+      const t0 = (min[axis] - o[axis]) * inv[axis]
+      const t1 = (max[axis] - o[axis]) * inv[axis]
+      tmin = Math.max(tmin, Math.min(t0, t1))
+      tmax = Math.min(tmax, Math.max(t0, t1))
+    }
+    return tmin <= tmax
+  }
+
+  // Möller–Trumbore, double sided. Returns the hit distance or -1.
+  const intersectTriangle = (t, ox, oy, oz, dx, dy, dz) => {
+    const p = t * 9
+    const ax = positions[p], ay = positions[p + 1], az = positions[p + 2]
+    const e1x = positions[p + 3] - ax, e1y = positions[p + 4] - ay, e1z = positions[p + 5] - az
+    const e2x = positions[p + 6] - ax, e2y = positions[p + 7] - ay, e2z = positions[p + 8] - az
+    const px = dy * e2z - dz * e2y, py = dz * e2x - dx * e2z, pz = dx * e2y - dy * e2x
+    const det = e1x * px + e1y * py + e1z * pz
+    if (Math.abs(det) < EPSILON) return -1
+    const invDet = 1 / det
+    const sx = ox - ax, sy = oy - ay, sz = oz - az
+    const u = (sx * px + sy * py + sz * pz) * invDet
+    if (u < 0 || u > 1) return -1
+    const qx = sy * e1z - sz * e1y, qy = sz * e1x - sx * e1z, qz = sx * e1y - sy * e1x
+    const v = (dx * qx + dy * qy + dz * qz) * invDet
+    if (v < 0 || u + v > 1) return -1
+    const distance = (e2x * qx + e2y * qy + e2z * qz) * invDet
+    return distance >= 0 ? distance : -1
+  }
+
+  return {
+    positions,
+    triangleCount,
+    root,
+
+    // Closest triangle hit along a normalised ray: { distance, triangle } or null
+    raycast(origin, direction, far = Infinity) {
+      if (!root) return null
+      const { x: ox, y: oy, z: oz } = origin
+      const { x: dx, y: dy, z: dz } = direction
+      const o = [ox, oy, oz]
+      const d = [dx, dy, dz]
+      const inv = [1 / dx, 1 / dy, 1 / dz]
+      let best = far
+      let bestTriangle = -1
+
+      const stack = [root]
+      while (stack.length) {
+        const node = stack.pop()
+        if (!rayHitsBox(node, o, d, inv, best)) continue
+        if (node.left) {
+          stack.push(node.left, node.right)
+          continue
+        }
+        for (let i = node.start; i < node.start + node.count; i++) {
+          const distance = intersectTriangle(order[i], ox, oy, oz, dx, dy, dz)
+          if (distance >= 0 && distance <= best) {
+            best = distance
+            bestTriangle = order[i]
+          }
+        }
+      }
+      return bestTriangle < 0 ? null : { distance: best, triangle: bestTriangle }
+    },
+
+    // Call visit(triangleIndex) for every triangle whose bounds overlap the sphere
+    sphereQuery(center, radius, visit) {
+      if (!root) return
+      const { x, y, z } = center
+      const stack = [root]
+      while (stack.length) {
+        const node = stack.pop()
+        if (
+          x + radius < node.min[0] || x - radius > node.max[0] ||
+          y + radius < node.min[1] || y - radius > node.max[1] ||
+          z + radius < node.min[2] || z - radius > node.max[2]
+        ) continue
+        if (node.left) {
+          stack.push(node.left, node.right)
+          continue
+        }
+        for (let i = node.start; i < node.start + node.count; i++) {
+          const t = order[i]
+          const b = t * 6
+          if (
+            x + radius < bounds[b] || x - radius > bounds[b + 3] ||
+            y + radius < bounds[b + 1] || y - radius > bounds[b + 4] ||
+            z + radius < bounds[b + 2] || z - radius > bounds[b + 5]
+          ) continue
+          visit(t)
+        }
+      }
+    },
+  }
+}
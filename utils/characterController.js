@@ -0,0 +1,128 @@
+import * as THREE from 'three'
+
+export const DEFAULT_CONTROLLER_CONFIG = {
+  radius: 0.3, // Capsule radius
+  height: 1.7, // Feet to top of skull
+  stepHeight: 0.35, // Ledges up to this height are stepped onto instead of blocking
+  maxSlope: THREE.MathUtils.degToRad(50), // Steeper surfaces count as walls
+  groundSnap: 0.3, // How far below the feet to keep following the ground while walking
+  gravity: 20,
+  floorY: -3, // Fallback ground when there is nothing underneath (or no collision world yet)
+  iterations: 4,
+}
+
+const DOWN = new THREE.Vector3(0, -1, 0)
+const sphereCenter = new THREE.Vector3()
+const probeOrigin = new THREE.Vector3()
+const step = new THREE.Vector3()
+
+// Capsule-style character controller: slides along walls, steps up small ledges and
+// follows the terrain height by raycasting down. `position` is the feet position.
+export function createCharacterController(options = {}) {
+  const config = { ...DEFAULT_CONTROLLER_CONFIG, ...options }
+  const minGroundNormalY = Math.cos(config.maxSlope)
+  const position = new THREE.Vector3()
+  const velocity = new THREE.Vector3()
+  let grounded = true
+
+  // Sphere centres covering the capsule above step height, bottom to top
+  const sphereOffsets = []
+  const bottom = config.stepHeight + config.radius
+  const top = Math.max(bottom, config.height - config.radius)
+  const sphereCount = Math.max(1, Math.ceil((top - bottom) / config.radius) + 1)
+  for (let i = 0; i < sphereCount; i++) {
+    sphereOffsets.push(sphereCount === 1 ? bottom : bottom + ((top - bottom) * i) / (sphereCount - 1))
+  }
+
+  // Push the capsule out of walls. Walkable contacts are left to ground following.
+  const resolveWalls = (world) => {
+    for (let i = 0; i < config.iterations; i++) {
+      let deepest = null
+      for (const offset of sphereOffsets) {
+        sphereCenter.set(position.x, position.y + offset, position.z)
+        const contact = world.collideSphere(sphereCenter, config.radius)
+        if (contact && (!deepest || contact.depth > deepest.depth)) deepest = contact
+      }
+      if (!deepest) return
+
+      const { normal, depth } = deepest
+      if (normal.y >= minGroundNormalY) return
+
+      if (normal.y < -0.5) {
+        // Ceiling: stop rising and push down
+        position.y -= depth
+        if (velocity.y > 0) velocity.y = 0
+        continue
+      }
+
+      // Wall: push out horizontally only, which leaves the tangential motion (sliding)
+      const horizontal = Math.hypot(normal.x, normal.z) || 1
+      position.x += (normal.x / horizontal) * depth
+      position.z += (normal.z / horizontal) * depth
+    }
+  }
+
+  const followGround = (world, fallDistance) => {
+    let groundY = -Infinity
+    if (world) {
+      // Start above the feet by the step height plus this frame's fall, so neither
+      // a step-up nor a fast fall can put the surface behind the ray origin
+      probeOrigin.set(position.x, position.y + config.stepHeight + fallDistance, position.z)
+      const reach = config.stepHeight + fallDistance * 2 + (grounded ? config.groundSnap : 0)
+      const hit = world.raycast(probeOrigin, DOWN, reach)
+      if (hit && hit.normal.y >= minGroundNormalY) groundY = hit.point.y
+    }
+    groundY = Math.max(groundY, config.floorY)
+
+    if (velocity.y <= 0 && position.y <= groundY + (grounded ? config.groundSnap : 0)) {
+      position.y = groundY
+      velocity.y = 0
+      grounded = true
+    } else {
+      grounded = false
+    }
+  }
+
+  return {
+    config,
+    position,
+    velocity,
+
+    get grounded() {
+      return grounded
+    },
+
+    teleport(target) {
+      position.copy(target)
+      velocity.set(0, 0, 0)
+      grounded = true
+    },
+
+    jump(speed) {
+      if (!grounded) return false
+      velocity.y = speed
+      grounded = false
+      return true
+    },
+
+    // Move by a horizontal displacement (x/z, world units) and integrate gravity.
+    // `world` is a collision world from createCollisionWorld, or null.
+    move(displacement, delta, world) {
+      if (!grounded) velocity.y -= config.gravity * delta
+      const fall = velocity.y * delta
+
+      // Sub-step large moves so thin props can't be tunnelled through
+      const distance = Math.hypot(displacement.x, displacement.z)
+      const steps = Math.max(1, Math.ceil(distance / (config.radius * 0.5)))
+      step.set(displacement.x / steps, fall / steps, displacement.z / steps)
+
+      for (let i = 0; i < steps; i++) {
+        position.add(step)
+        if (world) resolveWalls(world)
+      }
+
+      followGround(world, Math.max(0, -fall))
+      return position
+    },
+  }
+}
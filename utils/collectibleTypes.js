@@ -0,0 +1,18 @@
+// Kinds of collectible. Layout entries name theirs in `type`; entries without one (and the
+// town's legacy ones in utils/collectibles.js) are orbs, which CollectiblesGroup draws.
+// The other kinds are drawn by components/CollectibleItems.jsx.
+//  - gold is what picking one up adds to the purse
+//  - a key opens the zones whose `key` is its id (see isZoneOpen in utils/maps.js)
+export const COLLECTIBLE_TYPES = {
+  orb: { label: 'Orb', gold: 1 },
+  coin: { label: 'Coin', gold: 5 },
+  bone: { label: 'Bone', gold: 2 },
+  key: { label: 'Key', gold: 0 },
+  relic: { label: 'Relic', gold: 25 },
+}
+
+export const DEFAULT_COLLECTIBLE_TYPE = 'orb'
+
+export function collectibleType(collectible) {
+  return COLLECTIBLE_TYPES[collectible.type] ? collectible.type : DEFAULT_COLLECTIBLE_TYPE
+}
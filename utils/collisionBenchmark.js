@@ -0,0 +1,70 @@
+import * as THREE from 'three'
+
+const PROBE_DIRECTIONS = [
+  new THREE.Vector3(1, 0, 0),
+  new THREE.Vector3(-1, 0, 0),
+  new THREE.Vector3(0, 0, 1),
+  new THREE.Vector3(0, 0, -1),
+  new THREE.Vector3(0, -1, 0),
+]
+
+// Small seeded PRNG so both paths are timed on identical sample points
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Time the old brute-force path (Raycaster.intersectObject over the whole render scene)
+// against the BVH-backed collision world, using the per-frame probe pattern the
+// Skeleton used: four wall rays plus one ground ray from random points in the level.
+export function benchmarkCollisionQueries(renderScene, collisionWorld, { samples = 200, seed = 1 } = {}) {
+  const random = mulberry32(seed)
+  const { min, max } = collisionWorld.bvh.root
+  const origins = Array.from({ length: samples }, () => new THREE.Vector3(
+    THREE.MathUtils.lerp(min[0], max[0], random()),
+    THREE.MathUtils.lerp(min[1], max[1], random()),
+    THREE.MathUtils.lerp(min[2], max[2], random())
+  ))
+
+  const raycaster = new THREE.Raycaster()
+  let bruteForceHits = 0
+  let bvhHits = 0
+
+  const bruteForceStart = performance.now()
+  for (const origin of origins) {
+    for (const direction of PROBE_DIRECTIONS) {
+      raycaster.set(origin, direction)
+      raycaster.far = 2
+      if (raycaster.intersectObject(renderScene, true).length > 0) bruteForceHits++
+    }
+  }
+  const bruteForceMs = performance.now() - bruteForceStart
+
+  const bvhStart = performance.now()
+  for (const origin of origins) {
+    for (const direction of PROBE_DIRECTIONS) {
+      if (collisionWorld.raycast(origin, direction, 2)) bvhHits++
+    }
+  }
+  const bvhMs = performance.now() - bvhStart
+
+  const queries = samples * PROBE_DIRECTIONS.length
+  const result = {
+    triangles: collisionWorld.triangleCount,
+    queries,
+    bruteForceMs: +bruteForceMs.toFixed(2),
+    bvhMs: +bvhMs.toFixed(2),
+    bruteForceUsPerQuery: +((bruteForceMs * 1000) / queries).toFixed(2),
+    bvhUsPerQuery: +((bvhMs * 1000) / queries).toFixed(2),
+    speedup: +(bruteForceMs / Math.max(bvhMs, 1e-3)).toFixed(1),
+    // The BVH is double sided and skips tiny meshes, so counts can differ from the Raycaster's
+    bruteForceHits,
+    bvhHits,
+  }
+  console.table(result)
+  return result
+}
@@ -0,0 +1,103 @@
+import * as THREE from 'three'
+import { buildBVH } from './bvh'
+
+// Meshes smaller than this (largest world-space extent) are decoration, not collision
+const MIN_COLLIDER_SIZE = 0.05
+
+const triangle = new THREE.Triangle()
+const closest = new THREE.Vector3()
+const worldBox = new THREE.Box3()
+const worldSize = new THREE.Vector3()
+const segment = new THREE.Vector3()
+
+// Collects world-space triangles from meshes handed to add(), so collision data can be
+// gathered inside a traversal the caller is already doing. Call updateWorldMatrix first.
+// Skinned meshes and anything flagged with userData.noCollision are skipped.
+export function createCollisionMeshBuilder({ minSize = MIN_COLLIDER_SIZE } = {}) {
+  const chunks = []
+  let count = 0
+
+  return {
+    add(child) {
+      if (!child.isMesh || child.isSkinnedMesh || child.userData.noCollision) return
+      if (!child.geometry?.attributes.position) return
+
+      worldBox.setFromObject(child).getSize(worldSize)
+      if (Math.max(worldSize.x, worldSize.y, worldSize.z) < minSize) return
+
+      const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone()
+      geometry.applyMatrix4(child.matrixWorld)
+      const array = geometry.attributes.position.array
+      chunks.push(array)
+      count += array.length
+      geometry.dispose()
+    },
+
+    // Flat triangle list, 9 floats per triangle
+    build() {
+      const positions = new Float32Array(count)
+      let offset = 0
+      for (const chunk of chunks) {
+        positions.set(chunk, offset)
+        offset += chunk.length
+      }
+      return positions
+    },
+  }
+}
+
+// Collision, ground and line-of-sight queries against a prebuilt triangle list,
+// accelerated by a BVH. Never touches the render scene.
+export function createCollisionWorld(positions) {
+  const bvh = buildBVH(positions)
+
+  const triangleNormal = (t, out) => {
+    triangle.a.fromArray(positions, t * 9)
+    triangle.b.fromArray(positions, t * 9 + 3)
+    triangle.c.fromArray(positions, t * 9 + 6)
+    return triangle.getNormal(out)
+  }
+
+  return {
+    bvh,
+    triangleCount: bvh.triangleCount,
+
+    // Nearest hit along a normalised ray within `far`, or null. Normals face the ray origin.
+    raycast(origin, direction, far = Infinity) {
+      const hit = bvh.raycast(origin, direction, far)
+      if (!hit) return null
+      const normal = triangleNormal(hit.triangle, new THREE.Vector3())
+      if (normal.dot(direction) > 0) normal.negate()
+      const point = origin.clone().addScaledVector(direction, hit.distance)
+      return { distance: hit.distance, point, normal }
+    },
+
+    // True when nothing blocks the straight line between two points
+    lineOfSight(from, to) {
+      segment.subVectors(to, from)
+      const length = segment.length()
+      if (length === 0) return true
+      return !bvh.raycast(from, segment.divideScalar(length), length)
+    },
+
+    // Deepest contact between a sphere and the collision mesh, or null.
+    // The normal points from the surface towards the sphere centre.
+    collideSphere(center, radius) {
+      let deepest = null
+      bvh.sphereQuery(center, radius, (t) => {
+        triangle.a.fromArray(positions, t * 9)
+        triangle.b.fromArray(positions, t * 9 + 3)
+        triangle.c.fromArray(positions, t * 9 + 6)
+        triangle.closestPointToPoint(center, closest)
+        const distance = closest.distanceTo(center)
+        if (distance >= radius || distance === 0) return
+
+        const depth = radius - distance
+        if (!deepest || depth > deepest.depth) {
+          deepest = { depth, normal: center.clone().sub(closest).divideScalar(distance) }
+        }
+      })
+      return deepest
+    },
+  }
+}
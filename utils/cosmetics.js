@@ -0,0 +1,111 @@
+import * as THREE from 'three'
+import { COSMETICS } from './walletPerks'
+
+// Swatches per row of the Atlas_Pirate palette texture
+const ATLAS_GRID = 32
+// Where a hat sits in the head's local space, measured from Characters_Skeleton.gltf (skull
+// top about 0.37 above the Head bone, 0.25 wide). The placeholder's sphere head is sized instead.
+const HEAD_BONE_FIT = { height: 0.3, radius: 0.25 }
+
+// Hat shapes for a head of radius 1, crown up
+function buildHat({ color, trim }, id) {
+  const material = new THREE.MeshStandardMaterial({ color, roughness: 0.8 })
+  const trimMaterial = trim && new THREE.MeshStandardMaterial({ color: trim, roughness: 0.5, metalness: 0.4 })
+  const parts = []
+  const part = (geometry, partMaterial, [x, y, z], rotationX = 0) => {
+    const mesh = new THREE.Mesh(geometry, partMaterial)
+    mesh.position.set(x, y, z)
+    mesh.rotation.x = rotationX
+    mesh.castShadow = true
+    parts.push(mesh)
+  }
+
+  if (id === 'bandana') {
+    // Cap over the top of the skull, knotted at the back
+    part(new THREE.SphereGeometry(1.06, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2), material, [0, -0.6, 0])
+    part(new THREE.SphereGeometry(0.2, 8, 6), material, [0, -0.4, -1])
+    part(new THREE.ConeGeometry(0.15, 0.6, 6), material, [0, -0.75, -1.05], 0.3)
+  } else {
+    // Three-cornered brim for the tricorn, a round one for the captain
+    const brim = id === 'tricorn' ? { radius: 1.5, sides: 3 } : { radius: 1.6, sides: 24 }
+    part(new THREE.CylinderGeometry(brim.radius, brim.radius, 0.1, brim.sides), material, [0, 0, 0])
+    const crownHeight = id === 'captain' ? 0.9 : 0.6
+    part(new THREE.CylinderGeometry(0.85, 0.95, crownHeight, 16), material, [0, crownHeight / 2, 0])
+    part(new THREE.CylinderGeometry(0.97, 0.97, 0.15, 16), trimMaterial, [0, 0.12, 0])
+    if (id === 'captain') part(new THREE.SphereGeometry(0.2, 10, 8), trimMaterial, [0, 0.45, 0.9])
+  }
+
+  const hat = new THREE.Group()
+  hat.name = 'Cosmetic_Hat'
+  hat.add(...parts)
+  return hat
+}
+
+// Copy of the atlas texture `map` with each [from, to] swatch swap painted in
+function recolouredAtlas(map, swaps) {
+  const { image } = map
+  const canvas = document.createElement('canvas')
+  canvas.width = image.width
+  canvas.height = image.height
+  const context = canvas.getContext('2d')
+  context.drawImage(image, 0, 0)
+  const size = image.width / ATLAS_GRID
+  // Always read from the original image, so swaps don't chain into each other
+  swaps.forEach(([[fromColumn, fromRow], [toColumn, toRow]]) => {
+    context.drawImage(image, toColumn * size, toRow * size, size, size, fromColumn * size, fromRow * size, size, size)
+  })
+  // Keep the glTF texture's flipY, colour space and filtering, but not its image
+  const texture = map.clone()
+  texture.source = new THREE.Source(canvas)
+  texture.needsUpdate = true
+  return texture
+}
+
+// Dress `root` (the skeleton model or the placeholder) in `cosmetics` ({ hat, outfit }, COSMETICS
+// keys). Outfits only change textured materials, so the untextured placeholder keeps its colour.
+// Returns a function that takes everything off again.
+export function applyCosmetics(root, { hat, outfit }) {
+  const undo = []
+
+  const swaps = COSMETICS.outfit[outfit]?.swaps
+  if (swaps) {
+    // Meshes sharing a material keep sharing its recoloured copy
+    const replacements = new Map()
+    root.traverse((child) => {
+      if (!child.isMesh || !child.material.map?.image) return
+      const original = child.material
+      if (!replacements.has(original)) {
+        const material = original.clone()
+        material.map = recolouredAtlas(original.map, swaps)
+        replacements.set(original, material)
+      }
+      child.material = replacements.get(original)
+      undo.push(() => {
+        child.material = original
+      })
+    })
+    undo.push(() => replacements.forEach((material) => {
+      material.map.dispose()
+      material.dispose()
+    }))
+  }
+
+  const head = root.getObjectByName('Head')
+  if (head && COSMETICS.hat[hat]?.color) {
+    const model = buildHat(COSMETICS.hat[hat], hat)
+    const radius = head.isMesh ? head.geometry.parameters.radius : HEAD_BONE_FIT.radius
+    model.scale.setScalar(radius)
+    model.position.y = head.isMesh ? radius * 0.75 : HEAD_BONE_FIT.height
+    head.add(model)
+    undo.push(() => {
+      head.remove(model)
+      model.traverse((child) => {
+        if (!child.isMesh) return
+        child.geometry.dispose()
+        child.material.dispose()
+      })
+    })
+  }
+
+  return () => undo.forEach((step) => step())
+}
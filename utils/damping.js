@@ -0,0 +1,19 @@
+import * as THREE from 'three'
+
+// Frame-rate-independent smoothing. A half-life is the time in seconds it takes to close
+// half of the remaining gap to the target, so motion feels the same at 30 Hz and 144 Hz.
+
+// Lerp factor for one frame of `delta` seconds
+export function dampFactor(halfLife, delta) {
+  if (halfLife <= 0) return 1
+  return 1 - Math.pow(2, -delta / halfLife)
+}
+
+export function damp(current, target, halfLife, delta) {
+  return THREE.MathUtils.lerp(current, target, dampFactor(halfLife, delta))
+}
+
+// Damp a Vector3 in place towards `target`
+export function dampVector3(current, target, halfLife, delta) {
+  return current.lerp(target, dampFactor(halfLife, delta))
+}
@@ -0,0 +1,30 @@
+// Fixed-timestep accumulator: runs a simulation in constant steps regardless of the
+// render frame rate, so movement is deterministic across refresh rates.
+export const DEFAULT_FIXED_STEP = 1 / 60
+
+export function createFixedStepper({ step = DEFAULT_FIXED_STEP, maxSteps = 5 } = {}) {
+  let accumulator = 0
+
+  return {
+    step,
+
+    // Run `simulate(step)` as many times as `delta` allows. Returns the leftover fraction
+    // of a step (0-1), for interpolating the rendered state between the last two steps.
+    advance(delta, simulate) {
+      accumulator += delta
+      let steps = 0
+      while (accumulator >= step && steps < maxSteps) {
+        simulate(step)
+        accumulator -= step
+        steps++
+      }
+      // After a long stall, drop the backlog instead of spiralling
+      if (steps === maxSteps) accumulator = Math.min(accumulator, step)
+      return accumulator / step
+    },
+
+    reset() {
+      accumulator = 0
+    },
+  }
+}
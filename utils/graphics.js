@@ -0,0 +1,131 @@
+// Graphics quality presets. 'auto' starts at High and steps between Low and High based on
+// measured frame time; Ultra is only ever picked by hand.
+//  - dpr is capped at the display's devicePixelRatio
+//  - fogScale multiplies each map's fog distances; maxLights caps its point lights
+//  - fireScale multiplies the start screen's doom-fire resolution
+//  - particleScale multiplies the number of rain drops and dust motes
+export const QUALITY_PRESETS = {
+  low: {
+    label: 'Low',
+    shadows: false,
+    shadowMapSize: 512,
+    dpr: 0.75,
+    antialias: false,
+    fogScale: 0.6,
+    maxLights: 0,
+    fireScale: 0.5,
+    particleScale: 0.25,
+  },
+  medium: {
+    label: 'Medium',
+    shadows: true,
+    shadowMapSize: 1024,
+    dpr: 1,
+    antialias: false,
+    fogScale: 0.8,
+    maxLights: 1,
+    fireScale: 0.75,
+    particleScale: 0.5,
+  },
+  high: {
+    label: 'High',
+    shadows: true,
+    shadowMapSize: 2048,
+    dpr: 1.5,
+    antialias: true,
+    fogScale: 1,
+    maxLights: 3,
+    fireScale: 1,
+    particleScale: 1,
+  },
+  ultra: {
+    label: 'Ultra',
+    shadows: true,
+    shadowMapSize: 4096,
+    dpr: 2,
+    antialias: true,
+    fogScale: 1.3,
+    maxLights: Infinity,
+    fireScale: 1.5,
+    particleScale: 1.5,
+  },
+}
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra']
+const AUTO_LEVELS = ['low', 'medium', 'high']
+export const AUTO_START_LEVEL = 'high'
+
+const GRAPHICS_STORAGE_KEY = 'skele-graphics'
+export const DEFAULT_GRAPHICS_SETTINGS = { quality: 'auto' }
+
+export function loadGraphicsSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GRAPHICS_STORAGE_KEY))
+    if (saved && (saved.quality === 'auto' || QUALITY_PRESETS[saved.quality])) return { ...DEFAULT_GRAPHICS_SETTINGS, ...saved }
+  } catch {
+    // Ignore unreadable settings and fall back to defaults
+  }
+  return { ...DEFAULT_GRAPHICS_SETTINGS }
+}
+
+export function saveGraphicsSettings(settings) {
+  localStorage.setItem(GRAPHICS_STORAGE_KEY, JSON.stringify(settings))
+}
+
+// The preset in effect: the chosen one, or the level auto mode has settled on
+export function resolveQuality(settings, autoLevel) {
+  return QUALITY_PRESETS[settings.quality === 'auto' ? autoLevel : settings.quality]
+}
+
+// Frame time thresholds for auto mode, in milliseconds
+const SLOW_FRAME_MS = 1000 / 45
+const FAST_FRAME_MS = 1000 / 58
+const SAMPLE_SECONDS = 2
+// Fast samples in a row before stepping up, so one quiet moment doesn't cause flip-flopping
+const FAST_SAMPLES_TO_UPGRADE = 3
+// Frames longer than this are a hitch (tab switch, shader compile), not a steady cost
+const MAX_SAMPLED_DELTA = 0.25
+
+// Auto quality: feed it every frame's delta; returns the new level when it decides to change
+export function createQualityGovernor(level = AUTO_START_LEVEL) {
+  let index = Math.max(AUTO_LEVELS.indexOf(level), 0)
+  let time = 0
+  let frames = 0
+  let fastSamples = 0
+  // Skip the sample after a change; new shadow maps and shaders make it unrepresentative
+  let settling = true
+
+  return {
+    get level() {
+      return AUTO_LEVELS[index]
+    },
+
+    sample(delta) {
+      if (delta > MAX_SAMPLED_DELTA) return null
+      time += delta
+      frames++
+      if (time < SAMPLE_SECONDS) return null
+
+      const frameMs = (time / frames) * 1000
+      time = 0
+      frames = 0
+      if (settling) {
+        settling = false
+        return null
+      }
+
+      if (frameMs > SLOW_FRAME_MS && index > 0) {
+        index--
+      } else if (frameMs < FAST_FRAME_MS && index < AUTO_LEVELS.length - 1) {
+        if (++fastSamples < FAST_SAMPLES_TO_UPGRADE) return null
+        index++
+      } else {
+        fastSamples = 0
+        return null
+      }
+      fastSamples = 0
+      settling = true
+      return AUTO_LEVELS[index]
+    },
+  }
+}
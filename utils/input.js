@@ -0,0 +1,306 @@
+// Unified input layer: keyboard (remappable), Gamepad API and on-screen touch controls
+// all feed one manager that the Skeleton and camera read every frame.
+
+const BINDINGS_STORAGE_KEY = 'skele-key-bindings'
+const STICK_DEADZONE = 0.15
+// Unconsumed presses older than this are dropped, so a jump pressed in a menu doesn't fire later
+const PRESS_BUFFER_MS = 250
+
+export const INPUT_ACTIONS = [
+  { id: 'forward', label: 'Move forward' },
+  { id: 'backward', label: 'Move backward' },
+  { id: 'left', label: 'Left' },
+  { id: 'right', label: 'Right' },
+  { id: 'sprint', label: 'Sprint' },
+  { id: 'jump', label: 'Jump' },
+  { id: 'crouch', label: 'Crouch' },
+  { id: 'emote1', label: 'Emote: Wave' },
+  { id: 'emote2', label: 'Emote: Yes' },
+  { id: 'emote3', label: 'Emote: No' },
+  { id: 'emote4', label: 'Emote: Punch' },
+  { id: 'emote5', label: 'Emote: Sword (holders)' },
+  { id: 'switchScheme', label: 'Switch control scheme' },
+  { id: 'photoMode', label: 'Photo mode' },
+  { id: 'perfOverlay', label: 'Performance overlay' },
+  { id: 'worldMap', label: 'World map' },
+  { id: 'questLog', label: 'Quest log' },
+  { id: 'pause', label: 'Pause' },
+]
+
+// Keyboard bindings use KeyboardEvent.code so they survive keyboard layout changes
+export const DEFAULT_BINDINGS = {
+  forward: ['KeyW', 'ArrowUp'],
+  backward: ['KeyS', 'ArrowDown'],
+  left: ['KeyA', 'ArrowLeft'],
+  right: ['KeyD', 'ArrowRight'],
+  sprint: ['ShiftLeft', 'ShiftRight'],
+  jump: ['Space'],
+  crouch: ['KeyC', 'ControlLeft', 'ControlRight'],
+  emote1: ['Digit1'],
+  emote2: ['Digit2'],
+  emote3: ['Digit3'],
+  emote4: ['Digit4'],
+  emote5: ['Digit5'],
+  switchScheme: ['KeyV'],
+  photoMode: ['KeyP'],
+  perfOverlay: ['Backquote'],
+  worldMap: ['KeyM'],
+  questLog: ['KeyJ'],
+  pause: ['Escape'],
+}
+
+// Standard-mapping gamepad buttons per action (A/B/X/Y = 0/1/2/3, LB = 4, Back = 8, Start = 9, L3 = 10, d-pad = 12-15)
+const GAMEPAD_BUTTONS = {
+  jump: [0],
+  crouch: [1],
+  sprint: [4, 10],
+  switchScheme: [3],
+  worldMap: [8],
+  pause: [9],
+  emote1: [12],
+  emote2: [13],
+  emote3: [14],
+  emote4: [15],
+}
+
+// Pressing these should not scroll the page or activate focused buttons
+const PREVENT_DEFAULT_CODES = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space']
+
+export function loadBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY))
+    if (saved && typeof saved === 'object') {
+      // Fill in actions added since the bindings were saved, and any that aren't a list of codes
+      const valid = Object.entries(saved).filter(([, codes]) => Array.isArray(codes) && codes.every((code) => typeof code === 'string'))
+      return { ...DEFAULT_BINDINGS, ...Object.fromEntries(valid) }
+    }
+  } catch {
+    // Ignore unreadable bindings and fall back to defaults
+  }
+  return { ...DEFAULT_BINDINGS }
+}
+
+export function saveBindings(bindings) {
+  localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings))
+}
+
+// Bind `code` as the primary key for `action`, removing it from any other action
+export function rebindAction(bindings, action, code) {
+  const next = {}
+  for (const [id, codes] of Object.entries(bindings)) {
+    next[id] = codes.filter((c) => c !== code)
+  }
+  next[action] = [code, ...next[action].slice(1)]
+  return next
+}
+
+// Human-readable key name for a KeyboardEvent.code
+export function formatKeyCode(code) {
+  if (!code) return '—'
+  if (code.startsWith('Key')) return code.slice(3)
+  if (code.startsWith('Digit')) return code.slice(5)
+  if (code.startsWith('Arrow')) return code.slice(5)
+  if (code.startsWith('Shift')) return 'Shift'
+  if (code.startsWith('Control')) return 'Ctrl'
+  if (code.startsWith('Alt')) return 'Alt'
+  return code
+}
+
+const applyDeadzone = (value) => (Math.abs(value) < STICK_DEADZONE ? 0 : value)
+
+// Clamp a 2D vector to unit length, keeping analog magnitudes below 1 intact
+const clampUnit = (x, y) => {
+  const length = Math.hypot(x, y)
+  return length > 1 ? [x / length, y / length] : [x, y]
+}
+
+export function createInputManager(initialBindings = loadBindings()) {
+  let bindings = initialBindings
+  let codeToActions = new Map()
+  const heldCodes = new Set()
+  const pressed = new Map() // Edge-triggered action -> time it was pressed
+  const pressListeners = new Map()
+  const touch = { x: 0, y: 0, buttons: new Set() }
+  const gamepad = { moveX: 0, moveY: 0, lookX: 0, lookY: 0, buttons: new Set() }
+  const pointer = { x: 0, y: 0, zoom: 0 } // Mouse look (pixels) and wheel steps since last consumed
+  let lastSource = 'keyboard'
+
+  const indexBindings = () => {
+    codeToActions = new Map()
+    for (const [action, codes] of Object.entries(bindings)) {
+      for (const code of codes) {
+        codeToActions.set(code, [...(codeToActions.get(code) || []), action])
+      }
+    }
+  }
+  indexBindings()
+
+  const press = (action) => {
+    pressed.set(action, performance.now())
+    pressListeners.get(action)?.forEach((listener) => listener())
+  }
+
+  const keyDown = (action) => [...heldCodes].some((code) => codeToActions.get(code)?.includes(action))
+
+  const handleKeyDown = (e) => {
+    if (e.target?.closest?.('input, textarea, select')) return
+    if (PREVENT_DEFAULT_CODES.includes(e.code)) e.preventDefault()
+    heldCodes.add(e.code)
+    lastSource = 'keyboard'
+    if (!e.repeat) codeToActions.get(e.code)?.forEach(press)
+  }
+  const handleKeyUp = (e) => {
+    heldCodes.delete(e.code)
+  }
+  // Releasing keys while the window is unfocused never fires keyup
+  const handleBlur = () => heldCodes.clear()
+
+  return {
+    get bindings() {
+      return bindings
+    },
+
+    get source() {
+      return lastSource
+    },
+
+    setBindings(next) {
+      bindings = next
+      indexBindings()
+    },
+
+    attach() {
+      window.addEventListener('keydown', handleKeyDown)
+      window.addEventListener('keyup', handleKeyUp)
+      window.addEventListener('blur', handleBlur)
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown)
+        window.removeEventListener('keyup', handleKeyUp)
+        window.removeEventListener('blur', handleBlur)
+        heldCodes.clear()
+      }
+    },
+
+    // Mouse look on `element`: click to pointer-lock, or right-drag to orbit without locking.
+    // The wheel zooms. Returns a detach function.
+    attachPointer(element) {
+      let dragging = false
+      const isLocked = () => document.pointerLockElement === element
+
+      const handleClick = () => {
+        if (!isLocked()) element.requestPointerLock?.()
+      }
+      const handlePointerDown = (e) => {
+        if (e.button === 2) dragging = true
+      }
+      const handlePointerUp = (e) => {
+        if (e.button === 2) dragging = false
+      }
+      const handleMouseMove = (e) => {
+        if (!isLocked() && !dragging) return
+        pointer.x += e.movementX
+        pointer.y += e.movementY
+      }
+      const handleWheel = (e) => {
+        e.preventDefault()
+        pointer.zoom += Math.sign(e.deltaY)
+      }
+      const handleContextMenu = (e) => e.preventDefault()
+
+      element.addEventListener('click', handleClick)
+      element.addEventListener('pointerdown', handlePointerDown)
+      window.addEventListener('pointerup', handlePointerUp)
+      window.addEventListener('mousemove', handleMouseMove)
+      element.addEventListener('wheel', handleWheel, { passive: false })
+      element.addEventListener('contextmenu', handleContextMenu)
+      return () => {
+        element.removeEventListener('click', handleClick)
+        element.removeEventListener('pointerdown', handlePointerDown)
+        window.removeEventListener('pointerup', handlePointerUp)
+        window.removeEventListener('mousemove', handleMouseMove)
+        element.removeEventListener('wheel', handleWheel)
+        element.removeEventListener('contextmenu', handleContextMenu)
+        if (isLocked()) document.exitPointerLock()
+      }
+    },
+
+    // Mouse movement (pixels) and wheel steps accumulated since the last call
+    consumePointer() {
+      const result = { ...pointer }
+      pointer.x = pointer.y = pointer.zoom = 0
+      return result
+    },
+
+    // Poll connected gamepads. Call once per frame before reading.
+    update() {
+      const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : []
+      const pad = [...pads].find((p) => p && p.connected)
+      if (!pad) {
+        gamepad.moveX = gamepad.moveY = gamepad.lookX = gamepad.lookY = 0
+        gamepad.buttons.clear()
+        return
+      }
+
+      const axes = pad.axes
+      gamepad.moveX = applyDeadzone(axes[0] || 0)
+      gamepad.moveY = -applyDeadzone(axes[1] || 0)
+      gamepad.lookX = applyDeadzone(axes[2] || 0)
+      gamepad.lookY = applyDeadzone(axes[3] || 0)
+
+      for (const [action, indices] of Object.entries(GAMEPAD_BUTTONS)) {
+        const down = indices.some((i) => pad.buttons[i]?.pressed)
+        if (down && !gamepad.buttons.has(action)) press(action)
+        if (down) gamepad.buttons.add(action)
+        else gamepad.buttons.delete(action)
+      }
+      if (gamepad.moveX || gamepad.moveY || gamepad.buttons.size) lastSource = 'gamepad'
+    },
+
+    // Movement (moveX right, moveY forward) and look axes, each clamped to unit length.
+    // Analog sources keep their magnitude so partial stick tilt means slower movement.
+    axes() {
+      const keyX = (keyDown('right') ? 1 : 0) - (keyDown('left') ? 1 : 0)
+      const keyY = (keyDown('forward') ? 1 : 0) - (keyDown('backward') ? 1 : 0)
+      const candidates = [clampUnit(keyX, keyY), [gamepad.moveX, gamepad.moveY], [touch.x, touch.y]]
+      const [moveX, moveY] = candidates.reduce((best, axis) =>
+        Math.hypot(axis[0], axis[1]) > Math.hypot(best[0], best[1]) ? axis : best
+      )
+      const [clampedX, clampedY] = clampUnit(moveX, moveY)
+      return { moveX: clampedX, moveY: clampedY, lookX: gamepad.lookX, lookY: gamepad.lookY }
+    },
+
+    // Held state of an action from any source
+    isDown(action) {
+      return keyDown(action) || gamepad.buttons.has(action) || touch.buttons.has(action)
+    },
+
+    // True once per press of an edge-triggered action (jump, emotes, ...)
+    consume(action) {
+      const time = pressed.get(action)
+      pressed.delete(action)
+      return time !== undefined && performance.now() - time <= PRESS_BUFFER_MS
+    },
+
+    // Run `listener` whenever `action` is pressed. Returns an unsubscribe function.
+    onPress(action, listener) {
+      if (!pressListeners.has(action)) pressListeners.set(action, new Set())
+      pressListeners.get(action).add(listener)
+      return () => pressListeners.get(action).delete(listener)
+    },
+
+    // On-screen joystick, x right and y forward in [-1, 1]
+    setTouchAxes(x, y) {
+      const [clampedX, clampedY] = clampUnit(x, y)
+      touch.x = clampedX
+      touch.y = clampedY
+      if (x || y) lastSource = 'touch'
+    },
+
+    setTouchButton(action, down) {
+      if (down && !touch.buttons.has(action)) press(action)
+      if (down) touch.buttons.add(action)
+      else touch.buttons.delete(action)
+      lastSource = 'touch'
+    },
+  }
+}
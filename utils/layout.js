@@ -0,0 +1,111 @@
+import DEFAULT_LAYOUT from '../data/layout.json'
+import { COLLECTIBLE_TYPES } from './collectibleTypes'
+
+// World layout: per-map spawn point, zone polygons and collectible positions, kept as JSON
+// so it can be tuned in the in-game editor and exported back to data/layout.json.
+// A map whose zones or collectibles are null falls back to its legacy source (see maps.js).
+
+export { DEFAULT_LAYOUT }
+
+export const LAYOUT_VERSION = 1
+const LAYOUT_STORAGE_KEY = 'skele-layout'
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const isPoint = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber)
+
+// Throws with a message naming the first problem, for rejecting bad imports
+export function validateLayout(layout) {
+  if (!layout || typeof layout !== 'object') throw new Error('Layout must be a JSON object')
+  if (layout.version !== LAYOUT_VERSION) throw new Error(`Unsupported layout version ${layout.version}`)
+  if (!layout.maps || typeof layout.maps !== 'object') throw new Error('Layout has no maps')
+
+  const collectibleIds = new Set()
+  for (const [mapId, map] of Object.entries(layout.maps)) {
+    const where = `maps.${mapId}`
+    // The shipped layout has an entry for every map in MAPS
+    if (!DEFAULT_LAYOUT.maps[mapId]) throw new Error(`Unknown map '${mapId}'`)
+    if (!map.spawn || !isPoint(map.spawn.position) || !isNumber(map.spawn.rotation)) {
+      throw new Error(`${where}.spawn needs a position [x, y, z] and a rotation`)
+    }
+
+    if (map.zones !== null) {
+      if (!Array.isArray(map.zones)) throw new Error(`${where}.zones must be a list or null`)
+      map.zones.forEach((zone, i) => {
+        const at = `${where}.zones[${i}]`
+        const { bounds, polygon } = zone
+        if (typeof zone.id !== 'string' || typeof zone.name !== 'string') {
+          throw new Error(`${at} needs an id and a name`)
+        }
+        if (!Number.isInteger(zone.tier) || zone.tier < 1) throw new Error(`${at}.tier must be 1 or more`)
+        if (polygon !== undefined) {
+          if (!Array.isArray(polygon) || polygon.length < 3 ||
+            !polygon.every((p) => Array.isArray(p) && p.length === 2 && p.every(isNumber))) {
+            throw new Error(`${at}.polygon must list at least three [x, z] points`)
+          }
+        } else if (!bounds || ![bounds.minX, bounds.maxX, bounds.minZ, bounds.maxZ].every(isNumber) ||
+          bounds.minX >= bounds.maxX || bounds.minZ >= bounds.maxZ) {
+          throw new Error(`${at} needs a polygon, or bounds with minX < maxX and minZ < maxZ`)
+        }
+        for (const key of ['minY', 'maxY', 'priority']) {
+          if (zone[key] !== undefined && !isNumber(zone[key])) throw new Error(`${at}.${key} must be a number`)
+        }
+        if (zone.minY !== undefined && zone.maxY !== undefined && zone.minY >= zone.maxY) {
+          throw new Error(`${at} must have minY < maxY`)
+        }
+        if (zone.key !== undefined && typeof zone.key !== 'string') throw new Error(`${at}.key must be a collectible id`)
+      })
+    }
+
+    if (map.collectibles !== null) {
+      if (!Array.isArray(map.collectibles)) throw new Error(`${where}.collectibles must be a list or null`)
+      map.collectibles.forEach((collectible, i) => {
+        if (typeof collectible.id !== 'string' || !isPoint(collectible.position)) {
+          throw new Error(`${where}.collectibles[${i}] needs an id and a position [x, y, z]`)
+        }
+        if (collectible.type !== undefined && !COLLECTIBLE_TYPES[collectible.type]) {
+          throw new Error(`${where}.collectibles[${i}] has unknown type '${collectible.type}'`)
+        }
+        // Collected ids are one set across every map
+        if (collectibleIds.has(collectible.id)) throw new Error(`Duplicate collectible id '${collectible.id}'`)
+        collectibleIds.add(collectible.id)
+      })
+    }
+  }
+  return layout
+}
+
+// `layout` with the default entry filled in for every map it leaves out
+export function withDefaultMaps(layout) {
+  return { ...layout, maps: { ...DEFAULT_LAYOUT.maps, ...layout.maps } }
+}
+
+// { layout, error }: the layout saved by the editor, or the shipped default with `error` set
+// if a saved one was there but unusable. Maps added to the default since the layout was
+// saved are filled in.
+export function loadLayout() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY))
+    if (saved) return { layout: withDefaultMaps(validateLayout(saved)), error: null }
+  } catch (error) {
+    return { layout: DEFAULT_LAYOUT, error: error.message }
+  }
+  return { layout: DEFAULT_LAYOUT, error: null }
+}
+
+export function saveLayout(layout) {
+  localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(layout))
+}
+
+export function clearSavedLayout() {
+  localStorage.removeItem(LAYOUT_STORAGE_KEY)
+}
+
+// Same formatting as data/layout.json, so an export can be dropped straight in
+export function serializeLayout(layout) {
+  return JSON.stringify(layout, null, 2) + '\n'
+}
+
+// New layout with `mapId`'s entry replaced by update(entry)
+export function updateMapLayout(layout, mapId, update) {
+  return { ...layout, maps: { ...layout.maps, [mapId]: update(layout.maps[mapId]) } }
+}
@@ -0,0 +1,174 @@
+import { COLLECTIBLES } from './collectibles'
+import { getZoneAtPosition, canAccessZone } from './zones'
+import { GAME_SCENE_ASSETS } from './assetManifest'
+import { DEFAULT_LAYOUT } from './layout'
+import { zonesAtPosition, slideAlongZone } from './zoneGeometry'
+import { collectibleType } from './collectibleTypes'
+
+// The western town's zones are the bounding boxes in utils/zones.js
+export const LEGACY_TOWN_ZONES = 'legacy'
+
+// Every playable map. Each declares its environment model (an asset manifest id and how to
+// place it), lighting/fog preset (its look at midday in clear weather, plus the weather
+// it can have; see utils/sky.js) and portals to other maps. Spawn point, zones and
+// collectibles come from the world layout (data/layout.json); see resolveMap.
+//  - floorY is the controller's fallback ground; falling below killY respawns the player
+//  - collision.skipTransparent / skipMeshes leave parts of the model out of the collision mesh
+//  - nav.bounds is the area the NPC nav grid covers (utils/navGrid.js); maps without NPCs omit it
+export const MAPS = {
+  westernTown: {
+    id: 'westernTown',
+    name: 'Western Town',
+    description: 'Main Street, the saloon and the inner town.',
+    asset: 'westernTown',
+    model: { scale: 1, position: [0, -3, 0] },
+    floorY: -3,
+    killY: -20,
+    environment: {
+      background: '#87CEEB',
+      fog: { color: '#c9a66b', near: 30, far: 100 },
+      ambient: 0.6,
+      sun: { position: [10, 20, 10], intensity: 2, color: '#fff5e0' },
+      lights: [
+        { position: [-5, 5, 5], intensity: 8, color: '#ffcc77', distance: 25 },
+        { position: [5, 3, -5], intensity: 6, color: '#ffd699', distance: 20 },
+        { position: [0, 2, 5], intensity: 4, color: '#ffffff', distance: 15 },
+      ],
+      weather: ['clear', 'dust', 'rain'],
+    },
+    // Used while the layout leaves the town's zones or collectibles null
+    legacy: { zones: LEGACY_TOWN_ZONES, collectibles: COLLECTIBLES },
+    nav: { bounds: { minX: -60, maxX: 60, minZ: -60, maxZ: 60 } },
+    portals: [
+      { to: 'forest', position: [12, -3, -6] },
+      { to: 'pirateShip', position: [4, -3, -6] },
+    ],
+  },
+
+  forest: {
+    id: 'forest',
+    name: 'Realistic Forest',
+    description: 'Dense woods with a clearing in the middle.',
+    asset: 'forest',
+    // Sketchfab export: the file already converts Z-up and applies its 0.01 scale;
+    // this drops the clearing to the town's ground level
+    model: { scale: 1, position: [0, -37, 0] },
+    floorY: -10,
+    killY: -40,
+    collision: {
+      // Leaves and grass are blended cards; walking (and the camera) should pass through them
+      skipTransparent: true,
+      // The sky dome would otherwise block the camera everywhere
+      skipMeshes: ['FrontSide_11'],
+    },
+    environment: {
+      background: '#9fb8a0',
+      fog: { color: '#6b8f71', near: 12, far: 70 },
+      ambient: 0.45,
+      sun: { position: [-20, 40, 10], intensity: 1.6, color: '#fff1cc' },
+      lights: [],
+      weather: ['clear', 'rain'],
+    },
+    portals: [{ to: 'westernTown', position: [-10, -3.1, 0] }],
+  },
+
+  pirateShip: {
+    id: 'pirateShip',
+    name: 'Pirate Ship',
+    description: 'The deck of a galleon. Mind the railings.',
+    asset: 'pirateShip',
+    // Scaled up so the deck is roomy next to the skeleton; the deck ends up around y = 0
+    model: { scale: 3, position: [0, -3, 0] },
+    floorY: -30,
+    killY: -6, // Overboard
+    environment: {
+      background: '#7ec8e3',
+      fog: { color: '#a8d8ea', near: 40, far: 160 },
+      ambient: 0.7,
+      sun: { position: [30, 40, -10], intensity: 2.4, color: '#ffffff' },
+      lights: [],
+      weather: ['clear', 'rain'],
+      water: { y: -3.2, color: '#1f6f8b' },
+    },
+    portals: [{ to: 'westernTown', position: [9, 0.1, 0] }],
+  },
+}
+
+export const DEFAULT_MAP_ID = 'westernTown'
+
+// Manifest ids that must be loaded before `mapId` can be played
+export function mapAssetIds(mapId) {
+  return [...GAME_SCENE_ASSETS, MAPS[mapId].asset]
+}
+
+// A map definition merged with its entry in `layout`, which is what Scene and the
+// character read: { ...MAPS[mapId], spawn, zones, collectibles }
+export function resolveMap(mapId, layout = DEFAULT_LAYOUT) {
+  const map = MAPS[mapId]
+  const placement = layout.maps[mapId] ?? DEFAULT_LAYOUT.maps[mapId]
+  return {
+    ...map,
+    spawn: placement.spawn,
+    zones: placement.zones ?? map.legacy?.zones ?? [],
+    collectibles: placement.collectibles ?? map.legacy?.collectibles ?? [],
+  }
+}
+
+// Zones containing `position` on a resolved map, winner first. The town's legacy lookup
+// returns at most one box and ignores height.
+export function getMapZonesAtPosition(map, position) {
+  if (map.zones === LEGACY_TOWN_ZONES) {
+    const zone = getZoneAtPosition(position)
+    return zone ? [zone] : []
+  }
+  return zonesAtPosition(map.zones, position)
+}
+
+// The zone that counts at `position` when several overlap, or null
+export function getMapZoneAtPosition(map, position) {
+  return getMapZonesAtPosition(map, position)[0] ?? null
+}
+
+// Whether `zone` can be entered at `tierLevel`. A zone with a `key` also needs that key's id
+// in `keys` (a Set of collected ids); pass null to ignore keys, as NPCs do.
+export function isZoneOpen(zone, tierLevel, keys = null) {
+  return canAccessZone(zone, tierLevel) && (!keys || !zone.key || keys.has(zone.key))
+}
+
+// Zone locks for a character at `position` (feet) about to move horizontally by `move`
+// ({ x, z }, adjusted in place): a zone that isn't open (see isZoneOpen) can't be entered, and
+// the move slides along its edge instead. A zone the character is already inside (spawned
+// there, or its tier was lost) never blocks, so they can always walk back out. Returns the
+// blocking zone, or null. Shared by the player and NPCs so both follow the same rules.
+export function applyZoneLocks(map, position, move, tierLevel, keys = null) {
+  if (!move.x && !move.z) return null
+  const { x, y, z } = position
+  const currentZone = getMapZoneAtPosition(map, { x, y, z })
+  const lockedZoneAt = (point) => {
+    const zone = getMapZoneAtPosition(map, { ...point, y })
+    return zone && zone.id !== currentZone?.id && !isZoneOpen(zone, tierLevel, keys) ? zone : null
+  }
+  const blockingZone = lockedZoneAt({ x: x + move.x, z: z + move.z })
+  if (!blockingZone) return null
+
+  const slide = slideAlongZone({ x, z }, move, blockingZone, lockedZoneAt)
+  move.x = slide.x
+  move.z = slide.z
+  return blockingZone
+}
+
+// [x, y, z] of a collectible; layout entries use arrays, utils/collectibles.js may use { x, y, z }
+export function collectiblePoint({ position }) {
+  return Array.isArray(position) ? position : [position.x, position.y, position.z]
+}
+
+// Every collectible in `layout` by id, across all maps: id -> { ...collectible, type, mapId }
+export function collectibleIndex(layout = DEFAULT_LAYOUT) {
+  const index = new Map()
+  Object.keys(MAPS).forEach((mapId) => {
+    resolveMap(mapId, layout).collectibles.forEach((collectible) => {
+      index.set(collectible.id, { ...collectible, type: collectibleType(collectible), mapId })
+    })
+  })
+  return index
+}
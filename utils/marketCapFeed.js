@@ -0,0 +1,264 @@
+// Market cap feed: polls a provider, backs off when it fails, caches the last known value
+// and keeps a short history for the HUD sparkline.
+// A provider is { id, label, interval?, persist?, fetch(signal) => Promise<number> }; interval
+// (ms) overrides the feed's polling interval, and persist: false keeps it out of the cache.
+
+const DEXSCREENER_URL = 'https://api.dexscreener.com/latest/dex/tokens/'
+const FEED_SETTINGS_KEY = 'skele-market-cap-feed'
+const CACHE_KEY_PREFIX = 'skele-market-cap-'
+
+export const POLL_INTERVAL_MS = 30 * 1000
+// Failed polls retry after interval * 2^failures, capped, with ±10% jitter so tabs don't sync up
+const MAX_BACKOFF_MS = 5 * 60 * 1000
+// A value older than this many polling intervals is shown as stale
+const STALE_AFTER_INTERVALS = 2.5
+const MAX_HISTORY = 240
+
+// Scripted curves for the mock provider: [seconds, market cap] keyframes, interpolated linearly.
+// They cross the tier thresholds ($50K, $100K) so tier changes can be tried without the API.
+export const MOCK_SCRIPTS = {
+  climb: { label: 'Climb through every tier', points: [[0, 20000], [60, 55000], [120, 90000], [180, 150000]] },
+  dip: { label: 'Dip below $50K and recover', points: [[0, 70000], [40, 40000], [80, 40000], [120, 70000]], loop: true },
+  volatile: { label: 'Volatile around $100K', points: [[0, 95000], [10, 108000], [20, 92000], [30, 112000], [40, 97000], [50, 104000], [60, 95000]], loop: true },
+  flaky: { label: 'Climb with a flaky API', points: [[0, 20000], [180, 150000]], failEvery: 3 },
+}
+
+// Market cap each tier unlocks at, lowest first (the tier table in the README)
+export const TIER_MARKET_CAPS = [0, 50000, 100000]
+
+// Tier level (1-based) reached at market cap `value`; with no value yet, the first tier
+export function tierLevelForMarketCap(value) {
+  if (value === null) return 1
+  return TIER_MARKET_CAPS.filter((minimum) => value >= minimum).length
+}
+
+// Mock scripts and replays are for testing. Production builds only read DexScreener, so zone
+// locks can't be opened by picking a mock script or editing the saved settings.
+export const FEED_PROVIDERS = import.meta.env.DEV
+  ? { dexscreener: 'DexScreener', mock: 'Mock script', replay: 'Replay history' }
+  : { dexscreener: 'DexScreener' }
+
+export const DEFAULT_FEED_SETTINGS = {
+  provider: 'dexscreener', // 'dexscreener' | 'mock' | 'replay'
+  tokenAddress: import.meta.env.VITE_SKELE_CONTRACT_ADDRESS ?? '',
+  script: 'climb', // MOCK_SCRIPTS key, for the mock provider
+  speed: 1, // Mock and replay playback speed
+}
+
+export function loadFeedSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FEED_SETTINGS_KEY))
+    if (saved && typeof saved === 'object') {
+      const settings = { ...DEFAULT_FEED_SETTINGS, ...saved }
+      return FEED_PROVIDERS[settings.provider] ? settings : { ...settings, provider: DEFAULT_FEED_SETTINGS.provider }
+    }
+  } catch {
+    // Ignore unreadable settings and fall back to defaults
+  }
+  return { ...DEFAULT_FEED_SETTINGS }
+}
+
+export function saveFeedSettings(settings) {
+  localStorage.setItem(FEED_SETTINGS_KEY, JSON.stringify(settings))
+}
+
+// DexScreener's token endpoint lists every pair for the token; the most liquid one's
+// market cap (or FDV, for pairs that don't report one) is used
+export function createDexScreenerProvider({ tokenAddress }) {
+  return {
+    id: `dexscreener-${tokenAddress}`,
+    label: 'DexScreener',
+    async fetch(signal) {
+      if (!tokenAddress) throw new Error('No contract address configured')
+      const response = await fetch(`${DEXSCREENER_URL}${tokenAddress}`, { signal })
+      if (!response.ok) throw new Error(`DexScreener returned ${response.status}`)
+      const { pairs } = await response.json()
+      const pair = (pairs ?? []).reduce((best, next) =>
+        (next.liquidity?.usd ?? 0) > (best?.liquidity?.usd ?? -1) ? next : best, null)
+      const value = pair?.marketCap ?? pair?.fdv
+      if (!Number.isFinite(value)) throw new Error('No market cap for this token')
+      return value
+    },
+  }
+}
+
+// Value of `points` ([[seconds, value], ...], sorted) at `seconds`
+function valueAt(points, seconds, loop) {
+  const end = points[points.length - 1][0]
+  const t = loop && end > 0 ? seconds % end : Math.min(seconds, end)
+  const index = points.findIndex(([at]) => at > t)
+  if (index <= 0) return points[index === 0 ? 0 : points.length - 1][1]
+  const [fromAt, from] = points[index - 1]
+  const [toAt, to] = points[index]
+  return from + ((to - from) * (t - fromAt)) / (toAt - fromAt)
+}
+
+// Plays `points` back from when it was created, `speed` times faster than real time.
+// `failEvery` makes every nth fetch throw, to exercise backoff and the stale indicator.
+export function createMockProvider({ id = 'mock', label = 'Mock', points, loop = false, failEvery = 0, speed = 1, now = () => Date.now() }) {
+  const startedAt = now()
+  let fetches = 0
+  return {
+    id,
+    label,
+    interval: 2000,
+    persist: false,
+    async fetch() {
+      fetches++
+      if (failEvery && fetches % failEvery === 0) throw new Error('Mock provider failure')
+      return Math.round(valueAt(points, ((now() - startedAt) / 1000) * speed, loop))
+    },
+  }
+}
+
+// Replays recorded feed history ([{ time, value }]) as a mock script
+export function createReplayProvider(history, options = {}) {
+  if (history.length < 2) throw new Error('Not enough history to replay')
+  const start = history[0].time
+  const points = history.map(({ time, value }) => [(time - start) / 1000, value])
+  return createMockProvider({ id: 'replay', label: 'Replay', points, ...options })
+}
+
+// Cached DexScreener history for the configured token, which the replay provider plays back
+export function recordedHistory(settings) {
+  return loadCache(createDexScreenerProvider(settings))?.history ?? []
+}
+
+// Provider for `settings`. Replay falls back to DexScreener until there is history to play.
+export function createProvider(settings) {
+  if (!FEED_PROVIDERS[settings.provider]) return createDexScreenerProvider(settings)
+  if (settings.provider === 'mock') {
+    const script = MOCK_SCRIPTS[settings.script] ?? MOCK_SCRIPTS.climb
+    return createMockProvider({ label: `Mock: ${script.label}`, ...script, speed: settings.speed })
+  }
+  if (settings.provider === 'replay') {
+    const history = recordedHistory(settings)
+    if (history.length >= 2) return createReplayProvider(history, { speed: settings.speed })
+  }
+  return createDexScreenerProvider(settings)
+}
+
+// $12.3K, $1.25M
+export function formatMarketCap(value) {
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`
+  return `$${Math.round(value)}`
+}
+
+function loadCache(provider) {
+  if (provider.persist === false) return null
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY_PREFIX + provider.id))
+    if (Number.isFinite(cached?.value) && Array.isArray(cached.history)) return cached
+  } catch {
+    // Unreadable cache: start empty
+  }
+  return null
+}
+
+function saveCache(provider, { value, fetchedAt, history }) {
+  if (provider.persist === false) return
+  try {
+    localStorage.setItem(CACHE_KEY_PREFIX + provider.id, JSON.stringify({ value, fetchedAt, history }))
+  } catch {
+    // Storage full or blocked; the in-memory value still works
+  }
+}
+
+// Polls `provider` while started. getState() returns
+//   { value, fetchedAt, status, error, failures, nextPollAt, history: [{ time, value }], provider }
+// where status is 'loading' (nothing yet), 'live', 'stale' (the value is old, or the last polls
+// failed) or 'offline' (failed with nothing cached). value survives reloads through the cache.
+export function createMarketCapFeed({ provider, interval = POLL_INTERVAL_MS, now = () => Date.now() }) {
+  const pollInterval = provider.interval ?? interval
+  const cached = loadCache(provider)
+  const state = {
+    value: cached?.value ?? null,
+    fetchedAt: cached?.fetchedAt ?? null,
+    status: 'loading',
+    error: null,
+    failures: 0,
+    nextPollAt: null,
+    history: cached?.history ?? [],
+    provider: provider.label,
+  }
+  const listeners = new Set()
+  let timer = null
+  let controller = null
+  let started = false
+
+  const emit = () => listeners.forEach((listener) => listener(state))
+
+  const updateStatus = () => {
+    if (state.value === null) {
+      state.status = state.failures > 0 ? 'offline' : 'loading'
+    } else {
+      const old = now() - state.fetchedAt > pollInterval * STALE_AFTER_INTERVALS
+      state.status = old || state.failures > 0 ? 'stale' : 'live'
+    }
+  }
+
+  const schedule = (delay) => {
+    clearTimeout(timer)
+    state.nextPollAt = now() + delay
+    timer = setTimeout(poll, delay)
+  }
+
+  async function poll() {
+    controller?.abort()
+    controller = new AbortController()
+    const { signal } = controller
+    try {
+      const value = await provider.fetch(signal)
+      if (signal.aborted) return
+      state.value = value
+      state.fetchedAt = now()
+      state.error = null
+      state.failures = 0
+      state.history = [...state.history, { time: state.fetchedAt, value }].slice(-MAX_HISTORY)
+      saveCache(provider, state)
+      schedule(pollInterval)
+    } catch (error) {
+      if (signal.aborted) return
+      state.error = error.message
+      state.failures++
+      const backoff = Math.min(pollInterval * 2 ** state.failures, MAX_BACKOFF_MS)
+      schedule(backoff * (0.9 + Math.random() * 0.2))
+    }
+    updateStatus()
+    emit()
+  }
+
+  updateStatus()
+
+  return {
+    getState() {
+      updateStatus()
+      return state
+    },
+
+    // Returns an unsubscribe function
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    start() {
+      if (started) return
+      started = true
+      poll()
+    },
+
+    stop() {
+      started = false
+      clearTimeout(timer)
+      controller?.abort()
+      state.nextPollAt = null
+    },
+
+    // Poll now instead of waiting for the next scheduled one
+    refresh() {
+      poll()
+    },
+  }
+}
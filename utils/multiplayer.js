@@ -0,0 +1,362 @@
+import * as THREE from 'three'
+
+// Presence of other players: each client broadcasts its transform, locomotion and emotes
+// over a transport, and renders everyone else from a short buffer of their snapshots.
+// Transports only move JSON messages around a room, so they can be swapped freely:
+//  - broadcast: BroadcastChannel between tabs of this browser, for testing on one machine
+//  - websocket: the relay in server/relay.mjs (`node server/relay.mjs`), or anything that
+//    forwards each message to the other sockets in the same ?room=
+
+const MULTIPLAYER_SETTINGS_KEY = 'skele-multiplayer'
+
+export const TRANSPORTS = {
+  off: 'Off',
+  broadcast: 'Browser tabs',
+  websocket: 'WebSocket relay',
+}
+
+export const DEFAULT_MULTIPLAYER_SETTINGS = {
+  transport: 'off',
+  relayUrl: 'ws://localhost:8787',
+  room: 'town',
+  name: '', // Blank picks "Skeleton-" and a few characters of the client id
+}
+
+// States are sent at most this often, and at least every HEARTBEAT_MS while nothing changes
+const SEND_INTERVAL_MS = 66
+const HEARTBEAT_MS = 1000
+// Peers not heard from for this long are dropped (closed tab, lost connection)
+const PEER_TIMEOUT_MS = 5000
+// Remote players are drawn this far in the past, so there is usually a snapshot either side
+const INTERPOLATION_DELAY_MS = 120
+// Past the newest snapshot, keep moving at the last velocity for at most this long
+const MAX_EXTRAPOLATION_MS = 250
+const MAX_SNAPSHOTS = 20
+// The WebSocket transport retries with a doubling delay between these bounds
+const RECONNECT_DELAY_MS = [1000, 10000]
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+// Relays forward whatever they get, so a message is only used if it has the fields its type
+// needs. A bad `t` would poison the peer's clock offset, and a bad position would throw.
+function isValidMessage(message) {
+  if (!message || typeof message !== 'object' || typeof message.id !== 'string') return false
+  switch (message.type) {
+    case 'leave':
+      return true
+    case 'emote':
+      return typeof message.emote === 'string'
+    case 'state':
+      return isNumber(message.t) &&
+        Array.isArray(message.position) && message.position.length === 3 && message.position.every(isNumber) &&
+        isNumber(message.rotation) &&
+        typeof message.mapId === 'string' && typeof message.name === 'string' &&
+        Boolean(message.motion) && isNumber(message.motion.speed)
+    default:
+      return false
+  }
+}
+
+export function loadMultiplayerSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MULTIPLAYER_SETTINGS_KEY))
+    if (saved && typeof saved === 'object') {
+      const settings = { ...DEFAULT_MULTIPLAYER_SETTINGS, ...saved }
+      if (TRANSPORTS[settings.transport]) return settings
+    }
+  } catch {
+    // Ignore unreadable settings and fall back to defaults
+  }
+  return { ...DEFAULT_MULTIPLAYER_SETTINGS }
+}
+
+export function saveMultiplayerSettings(settings) {
+  localStorage.setItem(MULTIPLAYER_SETTINGS_KEY, JSON.stringify(settings))
+}
+
+// Transports share one shape: { send(message), subscribe(listener), onStatus(listener), close() }.
+// Listeners get parsed messages from other clients; status is 'connecting', 'connected',
+// 'offline' or 'invalid' (the relay URL can't be parsed). subscribe and onStatus return
+// unsubscribe functions.
+function createStatus(initial) {
+  let status = initial
+  const listeners = new Set()
+  return {
+    get: () => status,
+    set(next) {
+      if (next === status) return
+      status = next
+      listeners.forEach((listener) => listener(status))
+    },
+    listen(listener) {
+      listeners.add(listener)
+      listener(status)
+      return () => listeners.delete(listener)
+    },
+  }
+}
+
+export function createBroadcastTransport(room) {
+  const channel = new BroadcastChannel(`skele-multiplayer-${room}`)
+  const status = createStatus('connected')
+  const listeners = new Set()
+  channel.onmessage = (event) => listeners.forEach((listener) => listener(event.data))
+
+  return {
+    send(message) {
+      channel.postMessage(message)
+    },
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    onStatus: status.listen,
+    close() {
+      channel.close()
+      status.set('offline')
+    },
+  }
+}
+
+export function createWebSocketTransport(url, room) {
+  const status = createStatus('connecting')
+  const listeners = new Set()
+  let socket = null
+  let retryDelay = RECONNECT_DELAY_MS[0]
+  let retryTimer = null
+  let closed = false
+
+  const connect = () => {
+    status.set('connecting')
+    const target = new URL(url)
+    target.searchParams.set('room', room)
+    socket = new WebSocket(target)
+    socket.onopen = () => {
+      retryDelay = RECONNECT_DELAY_MS[0]
+      status.set('connected')
+    }
+    socket.onmessage = (event) => {
+      let message
+      try {
+        message = JSON.parse(event.data)
+      } catch {
+        return
+      }
+      listeners.forEach((listener) => listener(message))
+    }
+    socket.onclose = () => {
+      socket = null
+      if (closed) return
+      status.set('offline')
+      retryTimer = setTimeout(connect, retryDelay)
+      retryDelay = Math.min(retryDelay * 2, RECONNECT_DELAY_MS[1])
+    }
+  }
+
+  try {
+    connect()
+  } catch {
+    // A malformed URL throws straight away rather than closing the socket
+    status.set('invalid')
+  }
+
+  return {
+    send(message) {
+      if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message))
+    },
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    onStatus: status.listen,
+    close() {
+      closed = true
+      clearTimeout(retryTimer)
+      socket?.close()
+      status.set('offline')
+    },
+  }
+}
+
+// Transport for `settings`, or null when multiplayer is off
+export function createTransport(settings) {
+  if (settings.transport === 'broadcast') return createBroadcastTransport(settings.room)
+  if (settings.transport === 'websocket') return createWebSocketTransport(settings.relayUrl, settings.room)
+  return null
+}
+
+const angleBetween = (from, to) => Math.atan2(Math.sin(to - from), Math.cos(to - from))
+
+// Presence over `transport`. Call setLocal() every frame with the player's state; sending is
+// throttled to SEND_INTERVAL_MS on a timer, so the player stays visible to others while this
+// client's frame loop is paused. `now` is performance.now(); pass it in to test with a fake clock.
+export function createPresence({ transport, name = '', id = Math.random().toString(36).slice(2, 10), now = () => performance.now() }) {
+  const displayName = name.trim() || `Skeleton-${id.slice(0, 4)}`
+  // id -> { id, name, mapId, snapshots: [{ time, position, rotation, motion }], offset, heardAt, emotes }
+  const peers = new Map()
+  const listeners = new Set()
+  let status = 'connecting'
+  let local = null
+  let changed = false
+  let sentAt = -Infinity
+  let disposed = false
+
+  const emit = () => listeners.forEach((listener) => listener())
+
+  const removePeer = (peerId) => {
+    if (peers.delete(peerId)) emit()
+  }
+
+  const receive = (message) => {
+    if (!isValidMessage(message) || message.id === id) return
+    const receivedAt = now()
+
+    if (message.type === 'leave') {
+      removePeer(message.id)
+      return
+    }
+
+    let peer = peers.get(message.id)
+    if (!peer) {
+      if (message.type !== 'state') return
+      peer = { id: message.id, name: message.name, mapId: message.mapId, snapshots: [], offset: Infinity, heardAt: receivedAt, emotes: [] }
+      peers.set(message.id, peer)
+      emit()
+    }
+    peer.heardAt = receivedAt
+
+    if (message.type === 'emote') {
+      peer.emotes.push(message.emote)
+    } else if (message.type === 'state') {
+      if (message.mapId !== peer.mapId || message.name !== peer.name) {
+        // A new map means a teleport: don't interpolate across it
+        if (message.mapId !== peer.mapId) peer.snapshots.length = 0
+        peer.mapId = message.mapId
+        peer.name = message.name
+        emit()
+      }
+      // Sender clocks start at different times; the smallest receive-minus-send gap seen so far
+      // is the best estimate of the offset, and it also keeps jittery arrivals evenly spaced
+      peer.offset = Math.min(peer.offset, receivedAt - message.t)
+      const time = message.t + peer.offset
+      const last = peer.snapshots[peer.snapshots.length - 1]
+      if (last && time <= last.time) return
+      peer.snapshots.push({ time, position: new THREE.Vector3().fromArray(message.position), rotation: message.rotation, motion: message.motion })
+      if (peer.snapshots.length > MAX_SNAPSHOTS) peer.snapshots.shift()
+    }
+  }
+
+  const send = (type, payload) => transport.send({ type, id, name: displayName, ...payload })
+
+  const tick = () => {
+    const time = now()
+    peers.forEach((peer) => {
+      if (time - peer.heardAt > PEER_TIMEOUT_MS) removePeer(peer.id)
+    })
+    if (!local || status !== 'connected') return
+    if ((changed && time - sentAt >= SEND_INTERVAL_MS) || time - sentAt >= HEARTBEAT_MS) {
+      send('state', { t: time, ...local })
+      sentAt = time
+      changed = false
+    }
+  }
+
+  const unsubscribe = transport.subscribe(receive)
+  const unsubscribeStatus = transport.onStatus((next) => {
+    status = next
+    // Announce straight away on (re)connecting
+    if (next === 'connected') sentAt = -Infinity
+    emit()
+  })
+  const timer = setInterval(tick, SEND_INTERVAL_MS / 2)
+
+  return {
+    id,
+    name: displayName,
+
+    getStatus() {
+      return status
+    },
+
+    // [{ id, name, mapId }] for every remote player
+    getPeers() {
+      return [...peers.values()].map(({ id: peerId, name: peerName, mapId }) => ({ id: peerId, name: peerName, mapId }))
+    },
+
+    // Called when players join, leave or change map, and when the connection status changes.
+    // Returns an unsubscribe function.
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    // The local player's state: { mapId, position (Vector3), rotation, motion: { speed, grounded, crouching } }
+    setLocal({ mapId, position, rotation, motion }) {
+      const next = {
+        mapId,
+        position: [position.x, position.y, position.z].map((value) => Math.round(value * 1000) / 1000),
+        rotation: Math.round(rotation * 1000) / 1000,
+        motion: { speed: Math.round(motion.speed * 100) / 100, grounded: motion.grounded, crouching: motion.crouching },
+      }
+      if (JSON.stringify(next) !== JSON.stringify(local)) {
+        local = next
+        changed = true
+      }
+    },
+
+    emote(emote) {
+      if (status === 'connected') send('emote', { emote })
+    },
+
+    // Fill `out` ({ position: Vector3, rotation, motion }) with where peer `peerId` should be
+    // drawn now. Returns false when there is nothing to draw yet.
+    sample(peerId, out) {
+      const snapshots = peers.get(peerId)?.snapshots
+      if (!snapshots?.length) return false
+      const renderTime = now() - INTERPOLATION_DELAY_MS
+      const last = snapshots[snapshots.length - 1]
+
+      if (renderTime >= last.time) {
+        // Extrapolate along the last velocity, briefly, then hold
+        const before = snapshots[snapshots.length - 2]
+        out.position.copy(last.position)
+        out.rotation = last.rotation
+        out.motion = last.motion
+        if (before && last.motion.speed > 0) {
+          const ahead = Math.min(renderTime - last.time, MAX_EXTRAPOLATION_MS) / (last.time - before.time)
+          out.position.x += (last.position.x - before.position.x) * ahead
+          out.position.z += (last.position.z - before.position.z) * ahead
+        }
+        return true
+      }
+
+      let index = snapshots.findIndex((snapshot) => snapshot.time > renderTime)
+      if (index === 0) index = 1
+      const from = snapshots[Math.max(0, index - 1)]
+      const to = snapshots[Math.min(index, snapshots.length - 1)]
+      const span = to.time - from.time
+      const alpha = span > 0 ? THREE.MathUtils.clamp((renderTime - from.time) / span, 0, 1) : 1
+      out.position.lerpVectors(from.position, to.position, alpha)
+      out.rotation = from.rotation + angleBetween(from.rotation, to.rotation) * alpha
+      out.motion = alpha < 0.5 ? from.motion : to.motion
+      return true
+    },
+
+    // The next emote peer `peerId` played, or undefined
+    takeEmote(peerId) {
+      return peers.get(peerId)?.emotes.shift()
+    },
+
+    // Safe to call more than once
+    dispose() {
+      if (disposed) return
+      disposed = true
+      if (status === 'connected') send('leave', {})
+      clearInterval(timer)
+      unsubscribe()
+      unsubscribeStatus()
+      transport.close()
+      listeners.clear()
+    },
+  }
+}
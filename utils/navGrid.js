@@ -0,0 +1,245 @@
+import * as THREE from 'three'
+import { DEFAULT_CONTROLLER_CONFIG } from './characterController'
+
+// Walkable grid for NPC pathfinding. It is flood-filled over the collision mesh from a seed
+// point using the character controller's own limits (capsule clearance, step height, slope),
+// so every cell it reaches is somewhere a character can actually walk to from the seed.
+
+const DOWN = new THREE.Vector3(0, -1, 0)
+const probe = new THREE.Vector3()
+const lineFrom = new THREE.Vector3()
+const lineTo = new THREE.Vector3()
+
+// Neighbour offsets; bit i of a cell's edge mask means the move in direction i is walkable.
+// Orthogonal directions come first, diagonals after.
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]
+const OPPOSITE = [1, 0, 3, 2, 7, 6, 5, 4]
+// Walls thinner than a cell are caught by a line-of-sight check at this height between centres
+const SIGHT_HEIGHT = 0.9
+
+// `bounds` ({ minX, maxX, minZ, maxZ }) limits the fill; `floorY` is the controller's fallback
+// ground. `zoneAt(point)`, when given, tags each walkable cell with its zone for path rules.
+export function buildNavGrid(world, { seed, bounds, cellSize = 0.75, floorY = -Infinity, zoneAt, config = {} }) {
+  const { radius, height, stepHeight, maxSlope } = { ...DEFAULT_CONTROLLER_CONFIG, ...config }
+  const minGroundNormalY = Math.cos(maxSlope)
+  const cols = Math.ceil((bounds.maxX - bounds.minX) / cellSize)
+  const rows = Math.ceil((bounds.maxZ - bounds.minZ) / cellSize)
+  const heights = new Float32Array(cols * rows).fill(NaN) // Ground height, NaN where not walkable
+  const edges = new Uint8Array(cols * rows)
+  const probed = new Uint8Array(cols * rows)
+  const zones = new Array(cols * rows).fill(null)
+
+  // Same sphere stack as the controller's capsule, above step height
+  const sphereOffsets = []
+  const bottom = stepHeight + radius
+  const top = Math.max(bottom, height - radius)
+  const sphereCount = Math.max(1, Math.ceil((top - bottom) / radius) + 1)
+  for (let i = 0; i < sphereCount; i++) {
+    sphereOffsets.push(sphereCount === 1 ? bottom : bottom + ((top - bottom) * i) / (sphereCount - 1))
+  }
+
+  const colOf = (x) => Math.floor((x - bounds.minX) / cellSize)
+  const rowOf = (z) => Math.floor((z - bounds.minZ) / cellSize)
+  const inBounds = (col, row) => col >= 0 && row >= 0 && col < cols && row < rows
+  const centerX = (col) => bounds.minX + (col + 0.5) * cellSize
+  const centerZ = (row) => bounds.minZ + (row + 0.5) * cellSize
+  const walkable = (i) => !Number.isNaN(heights[i])
+
+  // Ground under (x, z) that a character standing at fromY could step to, or NaN
+  const groundAt = (x, z, fromY) => {
+    probe.set(x, fromY + stepHeight + 0.05, z)
+    const hit = world.raycast(probe, DOWN, stepHeight * 2 + 0.1)
+    if (hit) return hit.normal.y >= minGroundNormalY ? hit.point.y : NaN
+    return Math.abs(fromY - floorY) <= stepHeight ? floorY : NaN
+  }
+
+  // No wall inside the capsule standing at (x, y, z)
+  const clearAt = (x, y, z) => sphereOffsets.every((offset) => {
+    const contact = world.collideSphere(probe.set(x, y + offset, z), radius)
+    return !contact || contact.normal.y >= minGroundNormalY
+  })
+
+  const connect = (a, b, direction) => {
+    edges[a] |= 1 << direction
+    edges[b] |= 1 << OPPOSITE[direction]
+  }
+
+  // Flood fill across orthogonal moves
+  const queue = []
+  const seedCol = colOf(seed.x)
+  const seedRow = rowOf(seed.z)
+  if (inBounds(seedCol, seedRow)) {
+    const start = seedRow * cols + seedCol
+    const y = groundAt(centerX(seedCol), centerZ(seedRow), seed.y)
+    probed[start] = 1
+    if (!Number.isNaN(y) && clearAt(centerX(seedCol), y, centerZ(seedRow))) {
+      heights[start] = y
+      queue.push(start)
+    }
+  }
+
+  for (let head = 0; head < queue.length; head++) {
+    const cell = queue[head]
+    const col = cell % cols
+    const row = (cell - col) / cols
+    for (let d = 0; d < 4; d++) {
+      const nCol = col + DIRECTIONS[d][0]
+      const nRow = row + DIRECTIONS[d][1]
+      if (!inBounds(nCol, nRow)) continue
+      const next = nRow * cols + nCol
+      const x = centerX(nCol)
+      const z = centerZ(nRow)
+
+      if (!probed[next]) {
+        probed[next] = 1
+        const y = groundAt(x, z, heights[cell])
+        if (!Number.isNaN(y) && clearAt(x, y, z)) {
+          heights[next] = y
+          queue.push(next)
+        }
+      }
+      if (!walkable(next) || Math.abs(heights[next] - heights[cell]) > stepHeight + 0.05) continue
+      lineFrom.set(centerX(col), heights[cell] + SIGHT_HEIGHT, centerZ(row))
+      lineTo.set(x, heights[next] + SIGHT_HEIGHT, z)
+      if (world.lineOfSight(lineFrom, lineTo)) connect(cell, next, d)
+    }
+  }
+
+  // Diagonal moves only where both orthogonal routes around the corner are open
+  for (const cell of queue) {
+    const col = cell % cols
+    for (let d = 4; d < 8; d++) {
+      const [dx, dz] = DIRECTIONS[d]
+      const xDirection = dx > 0 ? 0 : 1
+      const zDirection = dz > 0 ? 2 : 3
+      if (!(edges[cell] & (1 << xDirection)) || !(edges[cell] & (1 << zDirection))) continue
+      const viaX = cell + dx
+      const viaZ = cell + dz * cols
+      if ((edges[viaX] & (1 << zDirection)) && (edges[viaZ] & (1 << xDirection))) edges[cell] |= 1 << d
+    }
+    if (zoneAt) zones[cell] = zoneAt({ x: centerX(col), y: heights[cell], z: centerZ((cell - col) / cols) })
+  }
+
+  const cellAt = (x, z) => {
+    const col = colOf(x)
+    const row = rowOf(z)
+    return inBounds(col, row) ? row * cols + col : -1
+  }
+
+  return {
+    cellSize,
+    cells: queue, // Every walkable cell index, in fill order
+    zones,
+
+    // Walkable cell containing (x, z), or the nearest one within a few cells; -1 if none
+    nearestCell(x, z, reach = 3) {
+      const cell = cellAt(x, z)
+      if (cell >= 0 && walkable(cell)) return cell
+      let best = -1
+      let bestDistance = Infinity
+      const col = colOf(x)
+      const row = rowOf(z)
+      for (let r = row - reach; r <= row + reach; r++) {
+        for (let c = col - reach; c <= col + reach; c++) {
+          if (!inBounds(c, r) || !walkable(r * cols + c)) continue
+          const distance = Math.hypot(centerX(c) - x, centerZ(r) - z)
+          if (distance < bestDistance) {
+            best = r * cols + c
+            bestDistance = distance
+          }
+        }
+      }
+      return best
+    },
+
+    // Centre of `cell` on the ground
+    point(cell, out = new THREE.Vector3()) {
+      const col = cell % cols
+      return out.set(centerX(col), heights[cell], centerZ((cell - col) / cols))
+    },
+
+    // Walkable cells sharing an edge with `cell`
+    neighbours(cell) {
+      const result = []
+      for (let d = 0; d < 8; d++) {
+        if (edges[cell] & (1 << d)) result.push(cell + DIRECTIONS[d][0] + DIRECTIONS[d][1] * cols)
+      }
+      return result
+    },
+
+    // A* from cell to cell. canEnter(cell) can rule cells out (locked zones). Returns the
+    // cells to walk through after `from`, ending with `to`, or null when unreachable.
+    findPath(from, to, canEnter = () => true) {
+      if (from < 0 || to < 0 || !walkable(from) || !walkable(to)) return null
+      if (from === to) return []
+      const toCol = to % cols
+      const toRow = (to - toCol) / cols
+      // Octile distance, in cells
+      const estimate = (cell) => {
+        const dx = Math.abs((cell % cols) - toCol)
+        const dz = Math.abs(Math.floor(cell / cols) - toRow)
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz)
+      }
+
+      const cost = new Map([[from, 0]])
+      const cameFrom = new Map()
+      const open = [[estimate(from), from]]
+      const closed = new Set()
+
+      while (open.length) {
+        const [, cell] = heapPop(open)
+        if (cell === to) {
+          const path = [to]
+          for (let step = cameFrom.get(to); step !== from; step = cameFrom.get(step)) path.push(step)
+          return path.reverse()
+        }
+        if (closed.has(cell)) continue
+        closed.add(cell)
+
+        for (let d = 0; d < 8; d++) {
+          if (!(edges[cell] & (1 << d))) continue
+          const next = cell + DIRECTIONS[d][0] + DIRECTIONS[d][1] * cols
+          if (closed.has(next) || !canEnter(next)) continue
+          const nextCost = cost.get(cell) + (d < 4 ? 1 : Math.SQRT2)
+          if (nextCost >= (cost.get(next) ?? Infinity)) continue
+          cost.set(next, nextCost)
+          cameFrom.set(next, cell)
+          heapPush(open, [nextCost + estimate(next), next])
+        }
+      }
+      return null
+    },
+  }
+}
+
+// Binary min-heap of [priority, value] pairs in a plain array
+function heapPush(heap, item) {
+  heap.push(item)
+  let i = heap.length - 1
+  while (i > 0) {
+    const parent = (i - 1) >> 1
+    if (heap[parent][0] <= heap[i][0]) break
+    ;[heap[parent], heap[i]] = [heap[i], heap[parent]]
+    i = parent
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0]
+  const last = heap.pop()
+  if (heap.length) {
+    heap[0] = last
+    let i = 0
+    for (;;) {
+      const left = i * 2 + 1
+      const right = left + 1
+      let smallest = i
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right
+      if (smallest === i) break
+      ;[heap[smallest], heap[i]] = [heap[i], heap[smallest]]
+      i = smallest
+    }
+  }
+  return top
+}
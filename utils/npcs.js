@@ -0,0 +1,241 @@
+import * as THREE from 'three'
+import { createCharacterController } from './characterController'
+import { applyZoneLocks } from './maps'
+import { canAccessZone } from './zones'
+
+// NPC skeletons per map id. Roles:
+//  - townsfolk wander between random cells within `wanderRadius` of `near` ([x, z]) and wave
+//    at the player
+//  - bartender potters about inside `zone` and nods at the player
+//  - guard stands just outside `zone` and shakes its head at the player while it is locked
+export const NPCS = {
+  westernTown: [
+    { id: 'townsfolk-1', role: 'townsfolk', near: [2, 4], wanderRadius: 12 },
+    { id: 'townsfolk-2', role: 'townsfolk', near: [-8, -6], wanderRadius: 12 },
+    { id: 'townsfolk-3', role: 'townsfolk', near: [14, -12], wanderRadius: 10 },
+    { id: 'bartender', role: 'bartender', zone: 'saloon' },
+    { id: 'guard', role: 'guard', zone: 'saloon' },
+  ],
+}
+
+const WALK_SPEED = 1.8
+const FACE_TURN_SPEED = 6
+// Close enough to a waypoint to head for the next one
+const ARRIVE_DISTANCE = 0.3
+// Slower than this for STUCK_SECONDS while on a path means something is in the way
+const STUCK_SPEED = 0.3
+const STUCK_SECONDS = 1.5
+// Seconds to stand around between walks: [min, max]
+const IDLE_TIME = [2, 7]
+// The player is noticed within GREET_DISTANCE; NPCs stop and turn to face them there
+export const GREET_DISTANCE = 3.5
+const GREET_COOLDOWN = 20
+const GUARD_WARN_INTERVAL = 4
+// Long frames (tab switches) are clamped so NPCs don't jump through the world
+const MAX_STEP = 0.1
+
+const EMOTE = { townsfolk: 'Wave', bartender: 'Yes' }
+
+const randomBetween = ([min, max]) => min + Math.random() * (max - min)
+const target = new THREE.Vector3()
+
+// Cells an NPC lives on: { home, area } for its role, or null when the grid has no room
+// for it (its zone isn't on this map, or it is out of reach of the spawn point)
+function placeNpc(def, grid, map) {
+  const point = new THREE.Vector3()
+  const nearest = (cells, x, z) => {
+    let best = null
+    let bestDistance = Infinity
+    for (const cell of cells) {
+      grid.point(cell, point)
+      const distance = Math.hypot(point.x - x, point.z - z)
+      if (distance < bestDistance) {
+        best = cell
+        bestDistance = distance
+      }
+    }
+    return best
+  }
+
+  if (def.role === 'townsfolk') {
+    const [x, z] = def.near
+    const area = grid.cells.filter((cell) => {
+      grid.point(cell, point)
+      return Math.hypot(point.x - x, point.z - z) <= def.wanderRadius
+    })
+    return area.length ? { home: nearest(area, x, z), area } : null
+  }
+
+  const inZone = grid.cells.filter((cell) => grid.zones[cell]?.id === def.zone)
+  if (!inZone.length) return null
+
+  if (def.role === 'bartender') {
+    // Home is the zone cell nearest the middle of the zone
+    const centre = inZone.reduce((sum, cell) => sum.add(grid.point(cell, point)), new THREE.Vector3())
+      .divideScalar(inZone.length)
+    return { home: nearest(inZone, centre.x, centre.z), area: inZone }
+  }
+
+  // Guard: a cell outside the zone that borders it, on the side nearest the spawn
+  const zoneCells = new Set(inZone)
+  const border = grid.cells.filter((cell) =>
+    grid.zones[cell]?.id !== def.zone && grid.neighbours(cell).some((next) => zoneCells.has(next))
+  )
+  if (!border.length) return null
+  const home = nearest(border, map.spawn.position[0], map.spawn.position[2])
+  return { home, area: [home], zone: grid.zones[inZone[0]] }
+}
+
+// One NPC's brain and body: picks where to go, paths there over `grid` (from buildNavGrid),
+// walks with its own character controller under the same zone locks as the player, and
+// reacts to the player. Returns null if the NPC can't be placed on this map.
+export function createNpcAgent(def, { grid, map }) {
+  const placement = placeNpc(def, grid, map)
+  if (!placement) {
+    // A zone renamed or dropped in the layout editor; only worth flagging while developing
+    if (import.meta.env.DEV) console.warn(`NPC ${def.id} has nowhere to stand on ${map.id}`)
+    return null
+  }
+  const { home, zone: guardedZone } = placement
+  const confine = def.role === 'townsfolk' ? null : new Set(placement.area)
+
+  const controller = createCharacterController({ floorY: map.floorY })
+  const spawnPoint = grid.point(home)
+  controller.teleport(spawnPoint)
+  const position = controller.position
+  let rotation = Math.random() * Math.PI * 2
+
+  let path = null
+  let waypoint = 0
+  // Staggered so the NPCs don't all plan a path on the same frame
+  let idleTime = Math.random() * IDLE_TIME[1]
+  let stuckTime = 0
+  let greetCooldown = 0
+
+  // Path rule: a locked zone is off limits unless the NPC is standing in it; bartender and
+  // guard also stay on their own cells
+  const pathRules = (tierLevel) => {
+    const startZone = grid.zones[grid.nearestCell(position.x, position.z)]
+    return (cell) => {
+      if (confine && !confine.has(cell)) return false
+      const zone = grid.zones[cell]
+      return !zone || zone.id === startZone?.id || canAccessZone(zone, tierLevel)
+    }
+  }
+
+  const planTo = (cell, tierLevel) => {
+    const from = grid.nearestCell(position.x, position.z)
+    path = grid.findPath(from, cell, pathRules(tierLevel))
+    waypoint = 0
+    stuckTime = 0
+    // Already there, or no way through right now: stand around and try elsewhere later
+    if (!path?.length) {
+      path = null
+      idleTime = randomBetween(IDLE_TIME)
+    }
+  }
+
+  const pickDestination = (tierLevel) => {
+    if (def.role === 'guard') {
+      if (grid.nearestCell(position.x, position.z) !== home) planTo(home, tierLevel)
+      else idleTime = randomBetween(IDLE_TIME)
+      return
+    }
+    planTo(placement.area[Math.floor(Math.random() * placement.area.length)], tierLevel)
+  }
+
+  const turnTowards = (facing, dt) => {
+    const turn = Math.atan2(Math.sin(facing - rotation), Math.cos(facing - rotation))
+    rotation += THREE.MathUtils.clamp(turn, -FACE_TURN_SPEED * dt, FACE_TURN_SPEED * dt)
+  }
+
+  // The emote to play at the player, if any
+  const react = (tierLevel) => {
+    if (greetCooldown > 0) return null
+    if (def.role === 'guard') {
+      if (!canAccessZone(guardedZone, tierLevel)) {
+        greetCooldown = GUARD_WARN_INTERVAL
+        return 'No'
+      }
+      greetCooldown = GREET_COOLDOWN
+      return 'Yes'
+    }
+    greetCooldown = GREET_COOLDOWN
+    return EMOTE[def.role]
+  }
+
+  return {
+    id: def.id,
+    role: def.role,
+    position,
+
+    get rotation() {
+      return rotation
+    },
+
+    // Advance by `delta` seconds. `player` is the player's feet position. Returns what the
+    // animator needs: { speed, grounded, emote } (emote is a clip name or null).
+    update(delta, { world, tierLevel, player }) {
+      const dt = Math.min(delta, MAX_STEP)
+      greetCooldown = Math.max(0, greetCooldown - dt)
+      const previousX = position.x
+      const previousZ = position.z
+      const move = { x: 0, z: 0 }
+      let emote = null
+
+      const toPlayerX = player.x - position.x
+      const toPlayerZ = player.z - position.z
+      if (Math.hypot(toPlayerX, toPlayerZ) < GREET_DISTANCE && Math.abs(player.y - position.y) < 2) {
+        // Stop and face the player; the walk resumes once they leave
+        turnTowards(Math.atan2(toPlayerX, toPlayerZ), dt)
+        emote = react(tierLevel)
+        stuckTime = 0
+      } else if (path) {
+        const next = grid.point(path[waypoint], target)
+        const dx = next.x - position.x
+        const dz = next.z - position.z
+        const distance = Math.hypot(dx, dz)
+        if (distance < ARRIVE_DISTANCE) {
+          waypoint++
+          if (waypoint >= path.length) {
+            path = null
+            idleTime = randomBetween(IDLE_TIME)
+          }
+        } else {
+          const step = Math.min(WALK_SPEED * dt, distance)
+          move.x = (dx / distance) * step
+          move.z = (dz / distance) * step
+          turnTowards(Math.atan2(dx, dz), dt)
+        }
+      } else if ((idleTime -= dt) <= 0) {
+        pickDestination(tierLevel)
+      }
+
+      // Same zone locks and collision as the player
+      applyZoneLocks(map, position, move, tierLevel)
+      controller.move(move, dt, world)
+
+      // Fell off the map: back home
+      if (position.y < map.killY) {
+        controller.teleport(spawnPoint)
+        path = null
+      }
+
+      const speed = dt > 0 ? Math.hypot(position.x - previousX, position.z - previousZ) / dt : 0
+
+      // A zone locked since the path was planned, or something in the way: give up on this
+      // walk, and the next destination is planned under the current rules
+      if (path && (move.x || move.z) && speed < STUCK_SPEED) {
+        stuckTime += dt
+        if (stuckTime > STUCK_SECONDS) {
+          path = null
+          idleTime = randomBetween(IDLE_TIME) / 2
+        }
+      } else {
+        stuckTime = 0
+      }
+
+      return { speed, grounded: controller.grounded, emote }
+    },
+  }
+}
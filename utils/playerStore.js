@@ -0,0 +1,33 @@
+import * as THREE from 'three'
+
+// Player transform shared outside React state, so moving doesn't re-render the tree.
+// The Skeleton writes it every frame; the camera, collectibles and HUD read it in their
+// own frame loops (getState) or react to changes through subscribe(), zustand-style.
+export function createPlayerStore({ position = new THREE.Vector3(8, -3, 0), rotation = Math.PI } = {}) {
+  const state = {
+    position: position.clone(), // Rendered feet position, mutated in place
+    rotation, // Facing yaw in radians
+    motion: { speed: 0, grounded: true, crouching: false }, // What the animator was last given
+  }
+  const listeners = new Set()
+
+  return {
+    getState() {
+      return state
+    },
+
+    // `motion` ({ speed, grounded, crouching }) is optional and copied when given
+    setTransform(nextPosition, nextRotation, motion) {
+      state.position.copy(nextPosition)
+      state.rotation = nextRotation
+      if (motion) Object.assign(state.motion, motion)
+      listeners.forEach((listener) => listener(state))
+    },
+
+    // Called on every transform update. Returns an unsubscribe function.
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
@@ -0,0 +1,138 @@
+// Quests: objectives counted from game events, with a gold reward. Every quest is open from the
+// start. Progress is a count per objective, { [questId]: [count, ...] }, kept in the save next
+// to collectedIds (progress.quests).
+// Objectives, matched against the events passed to record():
+//  - collect: pick up `count` (default 1) collectibles of type `item`; `zone` limits it to
+//    ones lying in that zone, `id` to one particular collectible
+//  - visit: walk into zone `zone`
+//  - emote: play `emote` near an NPC whose role is `npc`
+// Zones are named by id. The town's come from utils/zones.js; the rest from data/layout.json.
+export const QUESTS = [
+  {
+    id: 'main-street-orbs',
+    title: 'Street Sweeper',
+    description: 'Collect 10 orbs on Main Street.',
+    objectives: [{ type: 'collect', item: 'orb', zone: 'main-street', count: 10, label: 'Orbs on Main Street' }],
+    reward: { gold: 20 },
+  },
+  {
+    id: 'visit-saloon',
+    title: 'Last Orders',
+    description: 'Find your way into the Saloon.',
+    objectives: [{ type: 'visit', zone: 'saloon', label: 'Visit the Saloon' }],
+    reward: { gold: 10 },
+  },
+  {
+    id: 'wave-bartender',
+    title: 'Regular',
+    description: 'Wave at the bartender so they remember you.',
+    objectives: [{ type: 'emote', emote: 'Wave', npc: 'bartender', label: 'Wave at the bartender' }],
+    reward: { gold: 10 },
+  },
+  {
+    id: 'pieces-of-eight',
+    title: 'Pieces of Eight',
+    description: 'Pick up the coins scattered about the ship, and any spare bones.',
+    objectives: [
+      { type: 'collect', item: 'coin', count: 2, label: 'Coins' },
+      { type: 'collect', item: 'bone', count: 2, label: 'Bones' },
+    ],
+    reward: { gold: 15 },
+  },
+  {
+    id: 'hollow-relic',
+    title: 'Into the Hollow',
+    description: 'Find the key to the Hollow in the forest and take the relic inside.',
+    objectives: [
+      { type: 'collect', item: 'key', id: 'forest-hollow-key', label: 'Find the Hollow key' },
+      { type: 'visit', zone: 'forest-hollow', label: 'Enter the Hollow' },
+      { type: 'collect', item: 'relic', zone: 'forest-hollow', label: 'Take the relic' },
+    ],
+    reward: { gold: 50 },
+  },
+]
+
+const target = (objective) => objective.count ?? 1
+
+const isComplete = (quest, counts) => quest.objectives.every((objective, i) => counts[i] >= target(objective))
+
+// Whether `event` counts towards `objective`. Events:
+//   { type: 'collect', item, id, zone }  zone is the id of the zone the collectible was in, or null
+//   { type: 'visit', zone }
+//   { type: 'emote', emote, npcs }       npcs lists the roles of NPCs close enough to see it
+function matches(objective, event) {
+  if (objective.type !== event.type) return false
+  switch (event.type) {
+    case 'collect':
+      return objective.item === event.item &&
+        (!objective.id || objective.id === event.id) &&
+        (!objective.zone || objective.zone === event.zone)
+    case 'visit':
+      return objective.zone === event.zone
+    case 'emote':
+      return objective.emote === event.emote && event.npcs.includes(objective.npc)
+    default:
+      return false
+  }
+}
+
+// Saved progress made to fit the current QUESTS, dropping quests that no longer exist
+function normalizeProgress(saved) {
+  return Object.fromEntries(QUESTS.map((quest) => {
+    const counts = Array.isArray(saved?.[quest.id]) ? saved[quest.id] : []
+    return [quest.id, quest.objectives.map((objective, i) => Math.min(Number(counts[i]) || 0, target(objective)))]
+  }))
+}
+
+// Tracks progress on every quest. getProgress() returns a new object after each change, so
+// it can go straight into React state. `saved` is progress.quests from a save.
+export function createQuestLog(saved = {}) {
+  let progress = normalizeProgress(saved)
+  const listeners = new Set()
+
+  const emit = (event) => listeners.forEach((listener) => listener(event))
+
+  return {
+    getProgress() {
+      return progress
+    },
+
+    // [{ ...quest, counts, complete }] in QUESTS order
+    getQuests() {
+      return QUESTS.map((quest) => ({ ...quest, counts: progress[quest.id], complete: isComplete(quest, progress[quest.id]) }))
+    },
+
+    // Count `event` towards every unfinished quest it matches
+    record(event) {
+      QUESTS.forEach((quest) => {
+        const counts = progress[quest.id]
+        if (isComplete(quest, counts)) return
+        const next = counts.map((count, i) => {
+          const objective = quest.objectives[i]
+          return count < target(objective) && matches(objective, event) ? count + 1 : count
+        })
+        if (next.every((count, i) => count === counts[i])) return
+        progress = { ...progress, [quest.id]: next }
+        emit({ type: isComplete(quest, next) ? 'complete' : 'progress', quest })
+      })
+    },
+
+    // Replace all progress, e.g. when another save slot is loaded
+    load(next) {
+      progress = normalizeProgress(next)
+      emit({ type: 'load' })
+    },
+
+    // Listener gets { type: 'progress' | 'complete', quest } or { type: 'load' }.
+    // Returns an unsubscribe function.
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
+
+// Gold from quest rewards in `progress`
+export function questGold(progress) {
+  return QUESTS.reduce((sum, quest) => sum + (progress[quest.id] && isComplete(quest, progress[quest.id]) ? quest.reward.gold : 0), 0)
+}
@@ -0,0 +1,201 @@
+import { EMOTES } from './skeletonAnimator'
+import { MAPS, DEFAULT_MAP_ID } from './maps'
+import { QUALITY_PRESETS } from './graphics'
+
+// Save slots: the player's map, transform, play time, progress and settings. Saves carry a
+// version and are migrated forward on load. A slot that can't be parsed, migrated or
+// validated is quarantined (moved to its own key) rather than loaded, so a bad save never
+// stops the game from starting.
+
+export const SAVE_VERSION = 2
+export const SAVE_SLOTS = 3
+
+const SLOT_KEY_PREFIX = 'skele-save-slot-'
+const QUARANTINE_KEY_PREFIX = 'skele-save-quarantine-'
+const ACTIVE_SLOT_KEY = 'skele-save-active'
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const isPoint = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber)
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// MIGRATIONS[n] turns a version n save into version n + 1. Version 0 is the bare
+// { collectedIds } progress that was all the game persisted before save slots.
+const MIGRATIONS = {
+  0: (save) => ({
+    version: 1,
+    savedAt: new Date(0).toISOString(),
+    mapId: DEFAULT_MAP_ID,
+    player: null,
+    playTime: 0,
+    progress: { collectedIds: save.collectedIds, unlockedEmotes: [...EMOTES] },
+    settings: {},
+  }),
+  // Quest progress (utils/quests.js) joined collectedIds
+  1: (save) => ({
+    ...save,
+    version: 2,
+    progress: { ...save.progress, quests: {} },
+  }),
+}
+
+// A new save. `player` is { position: [x, y, z], rotation }, or null to start at the map's spawn.
+export function createSave({ mapId = DEFAULT_MAP_ID, player = null, playTime = 0, progress = {}, settings = {} } = {}) {
+  return {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    mapId,
+    player,
+    playTime,
+    progress: { collectedIds: [], unlockedEmotes: [...EMOTES], quests: {}, ...progress },
+    settings,
+  }
+}
+
+// Throws with a message naming the first problem
+export function validateSave(save) {
+  if (!isObject(save)) throw new Error('Save must be a JSON object')
+  if (save.version !== SAVE_VERSION) throw new Error(`Unsupported save version ${save.version}`)
+  if (typeof save.savedAt !== 'string' || Number.isNaN(Date.parse(save.savedAt))) {
+    throw new Error('savedAt must be a date')
+  }
+  if (!MAPS[save.mapId]) throw new Error(`Unknown map '${save.mapId}'`)
+  if (save.player !== null && (!isObject(save.player) || !isPoint(save.player.position) || !isNumber(save.player.rotation))) {
+    throw new Error('player needs a position [x, y, z] and a rotation, or must be null')
+  }
+  if (!isNumber(save.playTime) || save.playTime < 0) throw new Error('playTime must be a number of seconds')
+
+  const { progress, settings } = save
+  if (!isObject(progress)) throw new Error('Save has no progress')
+  if (!Array.isArray(progress.collectedIds) || !progress.collectedIds.every((id) => typeof id === 'string')) {
+    throw new Error('progress.collectedIds must be a list of ids')
+  }
+  if (!Array.isArray(progress.unlockedEmotes) || !progress.unlockedEmotes.every((name) => EMOTES.includes(name))) {
+    throw new Error(`progress.unlockedEmotes must only list ${EMOTES.join(', ')}`)
+  }
+  if (!isObject(progress.quests) || !Object.values(progress.quests).every((counts) =>
+    Array.isArray(counts) && counts.every((count) => Number.isInteger(count) && count >= 0))) {
+    throw new Error('progress.quests must map quest ids to lists of counts')
+  }
+  if (!isObject(settings)) throw new Error('settings must be an object')
+  if (settings.controlScheme !== undefined && typeof settings.controlScheme !== 'string') {
+    throw new Error('settings.controlScheme must be a string')
+  }
+  for (const key of ['bindings', 'audio', 'graphics']) {
+    if (settings[key] !== undefined && !isObject(settings[key])) throw new Error(`settings.${key} must be an object`)
+  }
+  if (settings.bindings && !Object.values(settings.bindings).every((codes) => Array.isArray(codes) && codes.every((code) => typeof code === 'string'))) {
+    throw new Error('settings.bindings must map actions to lists of key codes')
+  }
+  if (settings.graphics && settings.graphics.quality !== 'auto' && !QUALITY_PRESETS[settings.graphics.quality]) {
+    throw new Error(`Unknown graphics quality '${settings.graphics.quality}'`)
+  }
+  return save
+}
+
+// Upgrade a parsed save of any known version to SAVE_VERSION, then validate it
+export function migrateSave(raw) {
+  if (!isObject(raw)) throw new Error('Save must be a JSON object')
+  let save = raw
+  const version = save.version ?? 0
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Invalid save version ${save.version}`)
+  if (version > SAVE_VERSION) throw new Error(`Save version ${version} is newer than this game supports`)
+  for (let v = version; v < SAVE_VERSION; v++) save = MIGRATIONS[v](save)
+  return validateSave(save)
+}
+
+const slotKey = (slot) => `${SLOT_KEY_PREFIX}${slot}`
+
+// Move a slot's unreadable contents aside, keeping them for inspection or manual recovery
+function quarantineSlot(slot, raw, error) {
+  try {
+    localStorage.setItem(
+      `${QUARANTINE_KEY_PREFIX}${slot}-${Date.now()}`,
+      JSON.stringify({ slot, error: error.message, quarantinedAt: new Date().toISOString(), raw })
+    )
+  } catch {
+    // No room to keep a copy; dropping the slot still lets the game start
+  }
+  localStorage.removeItem(slotKey(slot))
+}
+
+// The save in `slot`, or null when it is empty or had to be quarantined.
+// Saves from older versions are migrated and written back when there is room.
+export function readSlot(slot) {
+  const raw = localStorage.getItem(slotKey(slot))
+  if (raw === null) return null
+  let parsed
+  let save
+  try {
+    parsed = JSON.parse(raw)
+    save = migrateSave(parsed)
+  } catch (error) {
+    quarantineSlot(slot, raw, error)
+    return null
+  }
+  if (parsed.version !== SAVE_VERSION) {
+    try {
+      writeSlot(slot, save)
+    } catch {
+      // Storage is full; the old copy stays and is migrated again on the next read
+    }
+  }
+  return save
+}
+
+export function writeSlot(slot, save) {
+  localStorage.setItem(slotKey(slot), JSON.stringify(save))
+}
+
+export function deleteSlot(slot) {
+  localStorage.removeItem(slotKey(slot))
+}
+
+// Every slot in order: [{ slot, save }], save null for empty ones
+export function listSlots() {
+  return Array.from({ length: SAVE_SLOTS }, (_, i) => ({ slot: i + 1, save: readSlot(i + 1) }))
+}
+
+// Saves set aside by readSlot: [{ key, slot, error, quarantinedAt }], newest first
+export function listQuarantinedSaves() {
+  const entries = []
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i)
+    if (!key?.startsWith(QUARANTINE_KEY_PREFIX)) continue
+    try {
+      const { slot, error, quarantinedAt } = JSON.parse(localStorage.getItem(key))
+      entries.push({ key, slot, error, quarantinedAt })
+    } catch {
+      entries.push({ key, slot: null, error: 'Unreadable', quarantinedAt: null })
+    }
+  }
+  return entries.sort((a, b) => (b.quarantinedAt ?? '').localeCompare(a.quarantinedAt ?? ''))
+}
+
+export function discardQuarantinedSave(key) {
+  if (key.startsWith(QUARANTINE_KEY_PREFIX)) localStorage.removeItem(key)
+}
+
+export function loadActiveSlot() {
+  const slot = Number(localStorage.getItem(ACTIVE_SLOT_KEY))
+  return Number.isInteger(slot) && slot >= 1 && slot <= SAVE_SLOTS ? slot : 1
+}
+
+export function saveActiveSlot(slot) {
+  localStorage.setItem(ACTIVE_SLOT_KEY, String(slot))
+}
+
+// For moving saves between browsers
+export function serializeSave(save) {
+  return JSON.stringify(save, null, 2) + '\n'
+}
+
+// Parse an exported save, migrating it if it came from an older version. Throws on bad input.
+export function parseSave(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    throw new Error('Not a JSON file')
+  }
+  return migrateSave(parsed)
+}
@@ -0,0 +1,133 @@
+import * as THREE from 'three'
+
+// Horizontal speeds (units/sec) where locomotion switches clips
+export const LOCOMOTION_THRESHOLDS = { walk: 0.2, run: 5.5 }
+
+// Speeds the Walk and Run clips were authored for, used to scale playback
+const CLIP_SPEEDS = { Walk: 4, Run: 7 }
+
+// One-shot emotes that can be triggered on top of locomotion
+export const EMOTES = ['Wave', 'Yes', 'No', 'Punch']
+// Emotes unlocked by holding $SKELE (see utils/walletPerks.js)
+export const HOLDER_EMOTES = ['Sword']
+const ALL_EMOTES = [...EMOTES, ...HOLDER_EMOTES]
+
+const FADE_DURATION = 0.2
+
+// Points in the Walk and Run cycles (fraction of the clip) where a foot touches down,
+// measured from the Foot.L / Foot.R heights in Characters_Skeleton.gltf
+const FOOT_CONTACTS = { Walk: [0.1, 0.62], Run: [0.22, 0.72] }
+
+// Animation state machine for Characters_Skeleton.gltf on top of an AnimationMixer.
+// Call update() once per frame with the character's motion; emotes are one-shots.
+export function createSkeletonAnimator(root, clips) {
+  const mixer = new THREE.AnimationMixer(root)
+  const actions = {}
+  clips.forEach((clip) => {
+    actions[clip.name] = mixer.clipAction(clip)
+  })
+
+  let state = null
+  let current = null
+  let finished = false
+  const footstepListeners = new Set()
+
+  const onFinished = (e) => {
+    if (e.action === current) finished = true
+  }
+  mixer.addEventListener('finished', onFinished)
+
+  const fadeTo = (name, { once = false, duration = FADE_DURATION } = {}) => {
+    const next = actions[name]
+    if (!next || name === state) return
+    next.reset()
+    next.setLoop(once ? THREE.LoopOnce : THREE.LoopRepeat, Infinity)
+    next.clampWhenFinished = once
+    next.setEffectiveTimeScale(1)
+    next.setEffectiveWeight(1)
+    next.play()
+    if (current) current.crossFadeTo(next, duration, false)
+    state = name
+    current = next
+    finished = false
+  }
+
+  const locomotionState = (speed, crouching) => {
+    if (crouching) return 'Duck'
+    if (speed >= LOCOMOTION_THRESHOLDS.run) return 'Run'
+    if (speed >= LOCOMOTION_THRESHOLDS.walk) return 'Walk'
+    return 'Idle'
+  }
+
+  const isAirborneState = () => state === 'Jump' || state === 'Jump_Idle'
+  const isEmoteState = () => ALL_EMOTES.includes(state)
+
+  fadeTo('Idle', { duration: 0 })
+
+  return {
+    mixer,
+    actions,
+
+    get state() {
+      return state
+    },
+
+    // Advance the state machine. speed is horizontal speed in units/sec.
+    update(delta, { speed = 0, grounded = true, crouching = false } = {}) {
+      if (!grounded) {
+        if (!isAirborneState()) fadeTo('Jump', { once: true, duration: 0.1 })
+        else if (state === 'Jump' && finished) fadeTo('Jump_Idle')
+      } else if (isAirborneState()) {
+        fadeTo('Jump_Land', { once: true, duration: 0.1 })
+      } else if (state === 'Jump_Land' && !finished && speed < LOCOMOTION_THRESHOLDS.walk) {
+        // Let the landing play out unless the player is already moving again
+      } else if (isEmoteState() && !finished && speed < LOCOMOTION_THRESHOLDS.walk && !crouching) {
+        // Emotes play through while standing still
+      } else {
+        const next = locomotionState(speed, crouching)
+        fadeTo(next, { once: next === 'Duck' })
+        const clipSpeed = CLIP_SPEEDS[state]
+        if (clipSpeed) {
+          current.setEffectiveTimeScale(THREE.MathUtils.clamp(speed / clipSpeed, 0.5, 1.6))
+        }
+      }
+
+      const cycleBefore = current.time / current.getClip().duration
+      mixer.update(delta)
+
+      // Footsteps: contact points the walk/run cycle passed this frame (it may have wrapped)
+      const contacts = FOOT_CONTACTS[state]
+      if (contacts && footstepListeners.size > 0 && current.getEffectiveWeight() > 0.5) {
+        const cycleAfter = current.time / current.getClip().duration
+        const wrapped = cycleAfter < cycleBefore
+        contacts.forEach((contact) => {
+          const crossed = wrapped
+            ? contact > cycleBefore || contact <= cycleAfter
+            : contact > cycleBefore && contact <= cycleAfter
+          if (crossed) footstepListeners.forEach((listener) => listener(state))
+        })
+      }
+    },
+
+    // Called with the clip name ('Walk' or 'Run') each time a foot lands. Returns an unsubscribe function.
+    onFootstep(listener) {
+      footstepListeners.add(listener)
+      return () => footstepListeners.delete(listener)
+    },
+
+    // Trigger a one-shot emote; ignored while airborne or for unknown clips.
+    playEmote(name) {
+      if (!ALL_EMOTES.includes(name) || !actions[name] || isAirborneState()) return false
+      state = null
+      fadeTo(name, { once: true })
+      return true
+    },
+
+    dispose() {
+      footstepListeners.clear()
+      mixer.removeEventListener('finished', onFinished)
+      mixer.stopAllAction()
+      mixer.uncacheRoot(root)
+    },
+  }
+}
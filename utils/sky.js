@@ -0,0 +1,75 @@
+import * as THREE from 'three'
+
+// Colours and light levels for a time of day and weather mix. A map's environment preset
+// is how it looks at midday in clear weather; dawn, dusk and night are blended from it.
+
+const NIGHT_ZENITH = new THREE.Color('#0b1026')
+const NIGHT_HORIZON = new THREE.Color('#1c2340')
+const DUSK_ZENITH = new THREE.Color('#e07a4b')
+const DUSK_HORIZON = new THREE.Color('#ff9e5e')
+const DUSK_SUN = new THREE.Color('#ff8a3d')
+const MOON_COLOR = new THREE.Color('#9db4ff')
+const MOON_INTENSITY = 0.35
+// Share of the map's ambient light left at midnight
+const NIGHT_AMBIENT = 0.25
+// Point light multiplier in full darkness, so lanterns stand out at night
+const LANTERN_NIGHT_BOOST = 2.5
+
+const scratch = new THREE.Color()
+const scratchVector = new THREE.Vector3()
+
+// Mutable result for computeSky, so the frame loop doesn't allocate
+export function createSkyState() {
+  return {
+    zenith: new THREE.Color(),
+    horizon: new THREE.Color(),
+    sunPosition: new THREE.Vector3(),
+    sunColor: new THREE.Color(),
+    sunIntensity: 0,
+    ambient: 0,
+    lanterns: 1,
+    fogScale: 1,
+    daylight: 1,
+  }
+}
+
+// Fill `sky` for `hour` (0-24) on a map with `environment`, under `weather` from weatherMix()
+export function computeSky(sky, hour, environment, weather) {
+  // The sun rises in the east (+X) at 6, peaks at noon and sets in the west at 18;
+  // the moon takes the opposite side of the same arc
+  const angle = ((hour - 6) / 12) * Math.PI
+  const elevation = Math.sin(angle)
+  const daylight = THREE.MathUtils.smoothstep(elevation, -0.1, 0.25)
+  // Strongest right at sunrise and sunset
+  const dusk = Math.max(0, 1 - Math.abs(elevation) / 0.3)
+  const [, , sunZ] = environment.sun.position
+  const distance = scratchVector.fromArray(environment.sun.position).length()
+  const side = elevation >= 0 ? 1 : -1
+  sky.sunPosition.set(Math.cos(angle) * side, Math.abs(elevation), 0).multiplyScalar(distance).setZ(sunZ)
+
+  if (elevation >= 0) {
+    sky.sunColor.set(environment.sun.color).lerp(DUSK_SUN, dusk)
+    sky.sunIntensity = environment.sun.intensity * daylight
+  } else {
+    sky.sunColor.copy(MOON_COLOR)
+    sky.sunIntensity = MOON_INTENSITY * THREE.MathUtils.smoothstep(-elevation, 0.05, 0.3)
+  }
+  sky.sunIntensity *= weather.light
+  sky.ambient = environment.ambient * THREE.MathUtils.lerp(NIGHT_AMBIENT, 1, daylight) * (0.5 + 0.5 * weather.light)
+
+  sky.zenith.copy(NIGHT_ZENITH).lerp(scratch.set(environment.background), daylight).lerp(DUSK_ZENITH, dusk * 0.5)
+  sky.horizon.copy(NIGHT_HORIZON).lerp(scratch.set(environment.fog.color), daylight).lerp(DUSK_HORIZON, dusk * 0.7)
+  // Haze takes on the light level too, so a storm at night is dark rather than glowing
+  for (const [color, amount] of weather.hazes) {
+    if (amount <= 0) continue
+    scratch.set(color).multiplyScalar(THREE.MathUtils.lerp(0.15, 1, daylight))
+    sky.zenith.lerp(scratch, amount * 0.8)
+    sky.horizon.lerp(scratch, amount)
+  }
+
+  const darkness = 1 - daylight * weather.light
+  sky.lanterns = 1 + (LANTERN_NIGHT_BOOST - 1) * darkness
+  sky.fogScale = weather.fogScale
+  sky.daylight = daylight
+  return sky
+}
@@ -0,0 +1,158 @@
+import { ACHIEVEMENTS } from './achievements'
+
+// Play statistics, kept per browser in localStorage rather than per save slot, so
+// achievements follow the player whichever slot they load. Lifetime totals and the last
+// MAX_SESSIONS sessions (a session is one visit to the page) share the same counts:
+//   distance  metres walked, run or swum
+//   playTime  seconds in the game view, not counting pauses
+//   mapTime   { [mapId]: seconds }
+//   zoneTime  { [zoneKey(mapId, zoneId)]: seconds }, time inside each zone
+//   collected { [collectible type]: count }
+//   emotes    { [emote]: count }
+//   blocked   { [zoneKey(mapId, zoneId)]: count }, times a locked zone turned the player away
+const STATS_KEY = 'skele-stats'
+const STATS_VERSION = 1
+const MAX_SESSIONS = 20
+// Achievements that depend on time or distance are checked this often (seconds)
+const CHECK_INTERVAL = 1
+
+const emptyCounts = () => ({ distance: 0, playTime: 0, mapTime: {}, zoneTime: {}, collected: {}, emotes: {}, blocked: {} })
+
+export const createStats = () => ({ version: STATS_VERSION, totals: emptyCounts(), sessions: [], achievements: {} })
+
+// Zone ids are only unique within a map
+export const zoneKey = (mapId, zoneId) => `${mapId}/${zoneId}`
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Stored stats filled out to the current shape; anything unreadable starts over
+export function loadStats() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STATS_KEY))
+    if (saved?.version === STATS_VERSION && isObject(saved.totals) && Array.isArray(saved.sessions)) {
+      return {
+        ...createStats(),
+        totals: { ...emptyCounts(), ...saved.totals },
+        sessions: saved.sessions.filter(isObject).map((session) => ({ ...emptyCounts(), ...session })),
+        achievements: isObject(saved.achievements) ? saved.achievements : {},
+      }
+    }
+  } catch {
+    // Ignore unreadable stats and start fresh
+  }
+  return createStats()
+}
+
+export function saveStats(stats) {
+  localStorage.setItem(STATS_KEY, JSON.stringify(stats))
+}
+
+// Sum of a count map's values, e.g. every emote played
+export const countTotal = (counts) => Object.values(counts).reduce((sum, count) => sum + count, 0)
+
+const bump = (counts, key, amount = 1) => {
+  counts[key] = (counts[key] ?? 0) + amount
+}
+
+// Records play into `stats` (from loadStats) and unlocks ACHIEVEMENTS as their tests pass.
+// Counting mutates in place, since tick() runs every frame; listeners only hear about
+// discrete changes. Call flush() to write to localStorage.
+export function createStatsTracker(stats = loadStats()) {
+  let session = null
+  let sinceCheck = 0
+  let saveError = null
+  const listeners = new Set()
+
+  const emit = (event) => listeners.forEach((listener) => listener(event))
+
+  // The session starts with its first recorded play, so opening the page and leaving isn't one
+  const current = () => {
+    if (!session) {
+      session = { startedAt: new Date().toISOString(), ...emptyCounts() }
+      stats.sessions = [...stats.sessions, session].slice(-MAX_SESSIONS)
+    }
+    return session
+  }
+  const both = (fn) => {
+    fn(stats.totals)
+    fn(current())
+  }
+
+  const checkAchievements = () => {
+    sinceCheck = 0
+    ACHIEVEMENTS.forEach((achievement) => {
+      if (stats.achievements[achievement.id] || !achievement.test(stats.totals, current())) return
+      stats.achievements[achievement.id] = new Date().toISOString()
+      emit({ type: 'unlock', achievement })
+    })
+  }
+
+  return {
+    getStats() {
+      return stats
+    },
+
+    // Why the last flush failed, or null if it worked
+    getSaveError() {
+      return saveError
+    },
+
+    // This page visit's counts, or null before any play
+    getSession() {
+      return session
+    },
+
+    // Advance by `delta` seconds of play on `mapId`, standing in `zoneId` (or null) after
+    // moving `distance` metres
+    tick(delta, { mapId, zoneId, distance }) {
+      both((counts) => {
+        counts.playTime += delta
+        counts.distance += distance
+        bump(counts.mapTime, mapId, delta)
+        if (zoneId) bump(counts.zoneTime, zoneKey(mapId, zoneId), delta)
+      })
+      sinceCheck += delta
+      if (sinceCheck >= CHECK_INTERVAL) checkAchievements()
+    },
+
+    // Count a discrete event:
+    //   { type: 'collect', item }         item is the collectible's type
+    //   { type: 'emote', emote }
+    //   { type: 'blocked', mapId, zoneId }
+    record(event) {
+      both((counts) => {
+        if (event.type === 'collect') bump(counts.collected, event.item)
+        else if (event.type === 'emote') bump(counts.emotes, event.emote)
+        else if (event.type === 'blocked') bump(counts.blocked, zoneKey(event.mapId, event.zoneId))
+      })
+      emit({ type: 'record', event })
+      checkAchievements()
+    },
+
+    flush() {
+      try {
+        saveStats(stats)
+        saveError = null
+      } catch (error) {
+        saveError = error.message
+      }
+    },
+
+    // Everything as a pretty-printed JSON report, achievements listed with their titles
+    report() {
+      return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        totals: stats.totals,
+        sessions: stats.sessions,
+        achievements: ACHIEVEMENTS.map(({ id, title }) => ({ id, title, unlockedAt: stats.achievements[id] ?? null })),
+      }, null, 2)
+    },
+
+    // Listener gets { type: 'record', event } or { type: 'unlock', achievement }.
+    // Returns an unsubscribe function.
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
@@ -0,0 +1,240 @@
+// Wallet-gated perks. A connected wallet proves it is the player's by signing a challenge
+// message; the signature is checked against the wallet's public key and the $SKELE balance is
+// read for that address through an RPC adapter. Perks follow from the balance.
+// Only the signed proof is stored. It is verified again (and the balance read again) on every
+// load, so editing localStorage can't grant perks: a proof can't be forged for an address
+// without its key, and the balance never comes from storage.
+
+const PROOF_KEY = 'skele-wallet-proof'
+const PERK_SETTINGS_KEY = 'skele-perks'
+// A signed challenge is good for this long before the wallet is asked to sign a new one
+const PROOF_LIFETIME_MS = 24 * 60 * 60 * 1000
+const CHALLENGE_TITLE = 'SKELE wants you to prove you own this wallet.'
+
+// Holder levels, lowest first, by whole $SKELE held
+export const HOLDER_LEVELS = [
+  { id: 'holder', label: 'Holder', minBalance: 1 },
+  { id: 'crew', label: 'Crew', minBalance: 100000 },
+  { id: 'captain', label: 'Captain', minBalance: 1000000 },
+]
+
+// Cosmetics by slot. `level` is the holder level needed; entries without one are free.
+// Outfits recolour the skeleton's Atlas_Pirate palette texture: each [from, to] pair copies
+// the atlas swatch at `to` (column, row of 32px squares) over the one at `from`.
+// Hats are built from primitives (utils/cosmetics.js) in colours picked from the same atlas.
+export const COSMETICS = {
+  hat: {
+    none: { label: 'No hat' },
+    bandana: { label: 'Bandana', level: 'holder', color: '#8b1e1f' },
+    tricorn: { label: 'Tricorn', level: 'crew', color: '#1b1b1b', trim: '#d6a74e' },
+    captain: { label: "Captain's hat", level: 'captain', color: '#8b1e1f', trim: '#d6a74e' },
+  },
+  outfit: {
+    bones: { label: 'Bare bones' },
+    deckhand: { label: 'Deckhand', level: 'holder', swaps: [[[2, 10], [0, 8]], [[3, 10], [8, 11]]] },
+    corsair: { label: 'Corsair', level: 'crew', swaps: [[[2, 10], [3, 7]], [[3, 10], [6, 7]], [[7, 10], [1, 9]]] },
+    gilded: { label: 'Gilded bones', level: 'captain', swaps: [[[4, 10], [1, 9]], [[5, 10], [1, 9]], [[2, 10], [6, 7]]] },
+  },
+}
+
+// Emote clips only holders can play, and the level each needs
+export const HOLDER_EMOTE_LEVELS = { Sword: 'crew' }
+
+const MAINNET = { label: 'Mainnet', url: 'https://api.mainnet-beta.solana.com' }
+
+// The local validator and mock balance are for testing. Production builds only read mainnet,
+// so a balance can't be faked by editing the saved settings.
+export const RPC_ENDPOINTS = import.meta.env.DEV
+  ? {
+      mainnet: MAINNET,
+      local: { label: 'Local validator', url: 'http://127.0.0.1:8899' },
+      mock: { label: 'Mock balance', url: null },
+    }
+  : { mainnet: MAINNET }
+
+export const DEFAULT_PERK_SETTINGS = {
+  rpc: 'mainnet',
+  mockBalance: 150000,
+  hat: 'none',
+  outfit: 'bones',
+}
+
+export function loadPerkSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PERK_SETTINGS_KEY))
+    if (saved && typeof saved === 'object') {
+      const settings = { ...DEFAULT_PERK_SETTINGS, ...saved }
+      return RPC_ENDPOINTS[settings.rpc] ? settings : { ...settings, rpc: DEFAULT_PERK_SETTINGS.rpc }
+    }
+  } catch {
+    // Ignore unreadable settings and fall back to defaults
+  }
+  return { ...DEFAULT_PERK_SETTINGS }
+}
+
+export function savePerkSettings(settings) {
+  localStorage.setItem(PERK_SETTINGS_KEY, JSON.stringify(settings))
+}
+
+// Balance adapters: { getBalance(owner, mint) => Promise<number> }, in whole tokens
+export function createRpcBalanceAdapter(url) {
+  return {
+    async getBalance(owner, mint) {
+      if (!mint) throw new Error('No $SKELE mint address configured')
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'getTokenAccountsByOwner',
+          params: [owner, { mint }, { encoding: 'jsonParsed' }],
+        }),
+      })
+      if (!response.ok) throw new Error(`RPC returned ${response.status}`)
+      const { result, error } = await response.json()
+      if (error) throw new Error(error.message)
+      return result.value.reduce((sum, { account }) => sum + (account.data.parsed.info.tokenAmount.uiAmount ?? 0), 0)
+    },
+  }
+}
+
+// Every wallet holds `balance`
+export function createMockBalanceAdapter(balance) {
+  return {
+    async getBalance() {
+      return balance
+    },
+  }
+}
+
+// Endpoints missing from RPC_ENDPOINTS (the test ones, in production) fall back to mainnet
+export function createBalanceAdapter(settings) {
+  const endpoint = RPC_ENDPOINTS[settings.rpc] ?? RPC_ENDPOINTS.mainnet
+  if (endpoint === RPC_ENDPOINTS.mock) return createMockBalanceAdapter(settings.mockBalance)
+  return createRpcBalanceAdapter(endpoint.url)
+}
+
+// The highest holder level `balance` reaches, or null
+export function holderLevel(balance) {
+  return HOLDER_LEVELS.filter((level) => balance >= level.minBalance).pop() ?? null
+}
+
+// Whether something needing holder level `levelId` (undefined = free) is open at `level`
+export function levelAllows(levelId, level) {
+  if (!levelId) return true
+  if (!level) return false
+  return HOLDER_LEVELS.findIndex(({ id }) => id === levelId) <= HOLDER_LEVELS.indexOf(level)
+}
+
+// Holder emotes open at `level`
+export function holderEmotes(level) {
+  return Object.keys(HOLDER_EMOTE_LEVELS).filter((name) => levelAllows(HOLDER_EMOTE_LEVELS[name], level))
+}
+
+// The cosmetic actually worn in `slot`: the chosen one if `level` allows it, else the free default
+export function equippedCosmetic(slot, chosen, level) {
+  const options = COSMETICS[slot]
+  if (options[chosen] && levelAllows(options[chosen].level, level)) return chosen
+  return Object.keys(options)[0]
+}
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+// Solana addresses are base58 public keys
+export function decodeBase58(text) {
+  // Little-endian while decoding; each leading '1' is a leading zero byte
+  const bytes = []
+  for (const char of text) {
+    let carry = BASE58.indexOf(char)
+    if (carry < 0) throw new Error('Invalid base58 character')
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58
+      bytes[i] = carry & 0xff
+      carry >>= 8
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff)
+      carry >>= 8
+    }
+  }
+  for (const char of text) {
+    if (char !== '1') break
+    bytes.push(0)
+  }
+  return Uint8Array.from(bytes.reverse())
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes))
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0))
+
+// Challenge text for `address` to sign. Bound to this site and time limited.
+export function createChallenge(address, { domain = window.location.host, now = Date.now() } = {}) {
+  const nonce = toBase64(crypto.getRandomValues(new Uint8Array(12)))
+  return [
+    CHALLENGE_TITLE,
+    '',
+    `Wallet: ${address}`,
+    `Domain: ${domain}`,
+    `Nonce: ${nonce}`,
+    `Issued: ${new Date(now).toISOString()}`,
+    `Expires: ${new Date(now + PROOF_LIFETIME_MS).toISOString()}`,
+    '',
+    'Signing is free and does not send a transaction.',
+  ].join('\n')
+}
+
+// The `Key: value` lines of a challenge
+function parseChallenge(message) {
+  const lines = message.split('\n')
+  if (lines[0] !== CHALLENGE_TITLE) throw new Error('Not a SKELE challenge')
+  return Object.fromEntries(lines
+    .map((line) => line.match(/^(\w+): (.+)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value]))
+}
+
+// Throws with the reason if `proof` ({ address, message, signature (base64) }) doesn't show
+// that `address` signed a current challenge for this site
+export async function verifyProof(proof, { domain = window.location.host, now = Date.now() } = {}) {
+  const fields = parseChallenge(proof.message)
+  if (fields.Wallet !== proof.address) throw new Error('Challenge was for another wallet')
+  if (fields.Domain !== domain) throw new Error('Challenge was for another site')
+  if (!(Date.parse(fields.Expires) > now)) throw new Error('Challenge has expired')
+
+  const publicKey = decodeBase58(proof.address)
+  if (publicKey.length !== 32) throw new Error('Not a wallet address')
+  let key
+  try {
+    key = await crypto.subtle.importKey('raw', publicKey, { name: 'Ed25519' }, false, ['verify'])
+  } catch {
+    throw new Error("This browser can't check wallet signatures")
+  }
+  const valid = await crypto.subtle.verify('Ed25519', key, fromBase64(proof.signature), new TextEncoder().encode(proof.message))
+  if (!valid) throw new Error('Signature does not match the wallet')
+}
+
+// Ask the wallet to sign a fresh challenge. `signMessage` is the wallet adapter's.
+export async function requestProof(address, signMessage) {
+  if (!signMessage) throw new Error("This wallet can't sign messages")
+  const message = createChallenge(address)
+  const signature = await signMessage(new TextEncoder().encode(message))
+  return { address, message, signature: toBase64(signature) }
+}
+
+export function loadProof(address) {
+  try {
+    const proof = JSON.parse(localStorage.getItem(PROOF_KEY))
+    return proof?.address === address ? proof : null
+  } catch {
+    return null
+  }
+}
+
+export function saveProof(proof) {
+  localStorage.setItem(PROOF_KEY, JSON.stringify(proof))
+}
+
+export function clearProof() {
+  localStorage.removeItem(PROOF_KEY)
+}
@@ -0,0 +1,120 @@
+// Time of day and weather. Scene's frame loop advances it; the sky, lights and weather
+// particles read it there. Kept outside React state like playerStore, since it changes
+// every frame.
+
+// Real seconds per game day at speed 1
+export const DAY_LENGTH_SECONDS = 20 * 60
+
+// Weather states. fogScale multiplies fog distances, haze pulls fog and sky towards
+// fogColor, light scales the sun, and particles picks the WeatherParticles effect.
+export const WEATHER = {
+  clear: { label: 'Clear', fogScale: 1, fogColor: '#ffffff', haze: 0, light: 1, particles: null },
+  dust: { label: 'Dust storm', fogScale: 0.3, fogColor: '#b8894f', haze: 0.75, light: 0.55, particles: 'dust' },
+  rain: { label: 'Rain', fogScale: 0.55, fogColor: '#6f7a85', haze: 0.6, light: 0.45, particles: 'rain' },
+}
+
+const WEATHER_FADE_SECONDS = 8
+// Auto weather holds each state for a random spell, in seconds; clear skies come up most often
+const WEATHER_SPELL = [90, 240]
+const WEATHER_WEIGHTS = { clear: 3, dust: 1, rain: 1 }
+
+const randomSpell = () => WEATHER_SPELL[0] + Math.random() * (WEATHER_SPELL[1] - WEATHER_SPELL[0])
+
+function pickWeather(allowed, current) {
+  const options = allowed.filter((id) => id !== current)
+  if (options.length === 0) return current
+  let roll = Math.random() * options.reduce((sum, id) => sum + (WEATHER_WEIGHTS[id] ?? 1), 0)
+  return options.find((id) => (roll -= WEATHER_WEIGHTS[id] ?? 1) < 0) ?? options[0]
+}
+
+export function createWorldClock({ hour = 10, speed = 1 } = {}) {
+  const state = {
+    hour, // 0-24
+    speed, // Multiplier on DAY_LENGTH_SECONDS; 0 stops time
+    fixedHour: null, // Dev override: time stands at this hour while set
+    weather: 'clear', // Weather being faded towards
+    previousWeather: 'clear',
+    weatherBlend: 1, // 0 = previousWeather, 1 = weather
+    weatherOverride: null, // Dev override: hold this weather while set
+  }
+  let spell = randomSpell()
+  const listeners = new Set()
+
+  const emit = () => listeners.forEach((listener) => listener(state))
+
+  const changeWeather = (next) => {
+    if (next === state.weather) return
+    state.previousWeather = state.weatherBlend < 0.5 ? state.previousWeather : state.weather
+    state.weather = next
+    state.weatherBlend = 0
+    spell = randomSpell()
+    emit()
+  }
+
+  return {
+    getState() {
+      return state
+    },
+
+    // Step by `delta` real seconds. `allowedWeather` is the current map's list; weather the
+    // map doesn't have (after travelling) fades back to clear.
+    advance(delta, allowedWeather = ['clear']) {
+      if (state.fixedHour === null) {
+        state.hour = (state.hour + (delta * state.speed * 24) / DAY_LENGTH_SECONDS) % 24
+      } else {
+        state.hour = state.fixedHour
+      }
+
+      state.weatherBlend = Math.min(state.weatherBlend + delta / WEATHER_FADE_SECONDS, 1)
+      const override = state.weatherOverride
+      if (override && allowedWeather.includes(override)) {
+        changeWeather(override)
+      } else if (!allowedWeather.includes(state.weather)) {
+        changeWeather('clear')
+      } else if (!override && (spell -= delta) <= 0) {
+        changeWeather(pickWeather(allowedWeather, state.weather))
+      }
+    },
+
+    setSpeed(speed) {
+      state.speed = speed
+      emit()
+    },
+
+    setFixedHour(fixedHour) {
+      state.fixedHour = fixedHour
+      if (fixedHour !== null) state.hour = fixedHour
+      emit()
+    },
+
+    // null returns to automatic weather
+    setWeatherOverride(weather) {
+      state.weatherOverride = weather
+      emit()
+    },
+
+    // Called on settings and weather changes, not every frame. Returns an unsubscribe function.
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
+
+// The previous and current weather blended by weatherBlend: { fogScale, light, hazes, dust, rain }.
+// hazes lists [fogColor, amount] per state; dust and rain are particle amounts from 0 to 1.
+export function weatherMix(state) {
+  const t = state.weatherBlend
+  const from = WEATHER[state.previousWeather]
+  const to = WEATHER[state.weather]
+  const mix = (key) => from[key] + (to[key] - from[key]) * t
+  const amount = (kind) => (from.particles === kind ? 1 - t : 0) + (to.particles === kind ? t : 0)
+  return {
+    fogScale: mix('fogScale'),
+    light: mix('light'),
+    // Each state's haze towards its own fog colour, so a dust-to-rain change doesn't pass through grey
+    hazes: [[from.fogColor, from.haze * (1 - t)], [to.fogColor, to.haze * t]],
+    dust: amount('dust'),
+    rain: amount('rain'),
+  }
+}
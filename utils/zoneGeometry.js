@@ -0,0 +1,92 @@
+// Zone shapes on the ground plane. A zone is a 2D polygon of [x, z] points with an
+// optional height range:
+//   { id, name, tier, polygon: [[x, z], ...], minY?, maxY?, priority? }
+// The older { bounds: { minX, maxX, minZ, maxZ } } rectangles are still accepted.
+
+// Polygon of `zone`, converting a bounds rectangle
+export function zonePolygon(zone) {
+  if (zone.polygon) return zone.polygon
+  const { minX, maxX, minZ, maxZ } = zone.bounds
+  return [[minX, minZ], [maxX, minZ], [maxX, maxZ], [minX, maxZ]]
+}
+
+// Even-odd ray cast; works for concave polygons in either winding
+export function pointInPolygon(x, z, polygon) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, zi] = polygon[i]
+    const [xj, zj] = polygon[j]
+    if ((zi > z) !== (zj > z) && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) inside = !inside
+  }
+  return inside
+}
+
+export function polygonArea(polygon) {
+  let twiceArea = 0
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    twiceArea += polygon[j][0] * polygon[i][1] - polygon[i][0] * polygon[j][1]
+  }
+  return Math.abs(twiceArea) / 2
+}
+
+// Whether `position` ({ x, z, y? }) is inside the zone. Without a y the height range is ignored.
+export function zoneContains(zone, position) {
+  if (position.y !== undefined) {
+    if (zone.minY !== undefined && position.y < zone.minY) return false
+    if (zone.maxY !== undefined && position.y > zone.maxY) return false
+  }
+  return pointInPolygon(position.x, position.z, zonePolygon(zone))
+}
+
+// Overlap rule: higher `priority` (default 0) wins; on a tie the smaller zone wins,
+// so a zone drawn inside a bigger one overrides it
+export function compareZonePriority(a, b) {
+  const byPriority = (b.priority ?? 0) - (a.priority ?? 0)
+  if (byPriority !== 0) return byPriority
+  return polygonArea(zonePolygon(a)) - polygonArea(zonePolygon(b))
+}
+
+// Every zone containing `position`, winner first
+export function zonesAtPosition(zones, position) {
+  return zones.filter((zone) => zoneContains(zone, position)).sort(compareZonePriority)
+}
+
+// Edge of `polygon` closest to (x, z), as a unit direction { x, z }
+export function nearestEdgeDirection(x, z, polygon) {
+  let best = null
+  let bestDistance = Infinity
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [ax, az] = polygon[j]
+    const [bx, bz] = polygon[i]
+    const ex = bx - ax
+    const ez = bz - az
+    const lengthSq = ex * ex + ez * ez
+    if (lengthSq === 0) continue
+    const t = Math.min(Math.max(((x - ax) * ex + (z - az) * ez) / lengthSq, 0), 1)
+    const distance = Math.hypot(ax + ex * t - x, az + ez * t - z)
+    if (distance < bestDistance) {
+      bestDistance = distance
+      const length = Math.sqrt(lengthSq)
+      best = { x: ex / length, z: ez / length }
+    }
+  }
+  return best
+}
+
+// Horizontal move that keeps the player out of a locked zone: the part of `move` along the
+// zone's nearest edge, falling back to single-axis moves. isBlocked({ x, z }) is checked for
+// each candidate so sliding never ends up inside this or another locked zone.
+export function slideAlongZone(from, move, zone, isBlocked) {
+  const edge = nearestEdgeDirection(from.x, from.z, zonePolygon(zone))
+  const along = edge ? move.x * edge.x + move.z * edge.z : 0
+  const candidates = [
+    edge && { x: edge.x * along, z: edge.z * along },
+    { x: move.x, z: 0 },
+    { x: 0, z: move.z },
+  ]
+  for (const candidate of candidates) {
+    if (!candidate || (candidate.x === 0 && candidate.z === 0)) continue
+    if (!isBlocked({ x: from.x + candidate.x, z: from.z + candidate.z })) return candidate
+  }
+  return { x: 0, z: 0 }
+}
@@ -0,0 +1,33 @@
+// Which zones the player is standing in, with enter/exit events when that changes.
+// The Skeleton updates it every movement step; HUD and game logic subscribe().
+export function createZoneTracker() {
+  let current = [] // Containing zones, winner first (see compareZonePriority)
+  const listeners = new Set()
+
+  const emit = (event) => listeners.forEach((listener) => listener(event))
+
+  return {
+    // The zone that counts when several overlap, or null
+    getZone() {
+      return current[0] ?? null
+    },
+
+    getZones() {
+      return current
+    },
+
+    update(zones) {
+      if (zones.length === current.length && zones.every((zone, i) => zone.id === current[i].id)) return
+      const previous = current
+      current = zones
+      previous.filter((zone) => !zones.some((z) => z.id === zone.id)).forEach((zone) => emit({ type: 'exit', zone }))
+      zones.filter((zone) => !previous.some((z) => z.id === zone.id)).forEach((zone) => emit({ type: 'enter', zone }))
+    },
+
+    // Listener gets { type: 'enter' | 'exit', zone }. Returns an unsubscribe function.
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}